@@ -1,9 +1,36 @@
-import React, { useState } from 'react';
-import { Home, Library, Upload, Music, Play, Pause, SkipBack, SkipForward, Volume2 } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Home, Library, Upload, Music, Play, Pause, SkipBack, SkipForward, Volume2, Pencil, ListPlus, ListEnd, ListMusic, Gauge, Loader2 } from 'lucide-react';
 import AudioPlayer from './components/AudioPlayer';
 import AudioUploader from './components/AudioUploader';
+import StorageUsage from './components/StorageUsage';
+import DuplicateFinder from './components/DuplicateFinder';
+import TagEditorDialog from './components/TagEditorDialog';
+import BatchTagEditorDialog from './components/BatchTagEditorDialog';
+import QueuePanel from './components/QueuePanel';
+import SoundSettingsPanel from './components/SoundSettingsPanel';
+import PlaylistsPage from './components/PlaylistsPage';
+import PlaylistFormDialog from './components/PlaylistFormDialog';
+import {
+  ContextMenu,
+  ContextMenuContent,
+  ContextMenuItem,
+  ContextMenuSeparator,
+  ContextMenuSub,
+  ContextMenuSubContent,
+  ContextMenuSubTrigger,
+  ContextMenuTrigger
+} from './components/ui/context-menu';
+import { Checkbox } from './components/ui/checkbox';
 import { useAudioPlayer } from './hooks/useAudioPlayer';
+import { useEqualizer } from './hooks/useEqualizer';
+import { useDynamics } from './hooks/useDynamics';
+import { Toaster } from './components/ui/sonner';
+import { toast } from 'sonner';
 import { getStoredTracks, deleteTrack } from './services/audioStorage';
+import { hasLegacyLibrary, migrateLegacyLibrary, migrateLegacySettings } from './services/libraryMigration';
+import { initializeStorage } from './services/storage/storageAdapter';
+import { createPlaylist, getPlaylists, addTracksToPlaylist } from './services/playlists';
+import { scanLibraryLoudness } from './services/loudness';
 
 const HomePage = ({ tracks, currentTrack, onTrackSelect }) => (
   <div className="flex flex-col h-full text-white p-6">
@@ -39,7 +66,7 @@ const HomePage = ({ tracks, currentTrack, onTrackSelect }) => (
             >
               <div className="flex items-center justify-between">
                 <div className="flex-1">
-                  <h3 className="font-medium truncate">{track.name}</h3>
+                  <h3 className="font-medium truncate">{track.title}</h3>
                   <p className="text-white/70 text-sm">
                     {Math.floor(track.duration / 60)}:{(track.duration % 60).toString().padStart(2, '0')}
                   </p>
@@ -58,72 +85,303 @@ const HomePage = ({ tracks, currentTrack, onTrackSelect }) => (
   </div>
 );
 
-const LibraryPage = ({ tracks, currentTrack, onTrackSelect, onTrackDelete }) => (
-  <div className="flex flex-col h-full text-white p-6">
-    <div className="flex items-center mb-6">
-      <Library className="w-8 h-8 mr-3 text-white/70" />
-      <h1 className="text-2xl font-bold">Your Library</h1>
-    </div>
-    
-    {tracks.length === 0 ? (
-      <div className="flex-1 flex items-center justify-center">
-        <div className="text-center">
-          <Library className="w-16 h-16 mx-auto mb-4 text-white/50" />
-          <p className="text-white/70 text-lg">Your library is empty</p>
-        </div>
+const LibraryPage = ({
+  tracks,
+  playlists,
+  currentTrack,
+  onTrackSelect,
+  onTrackDelete,
+  onTracksChanged,
+  onPlayNext,
+  onEnqueue,
+  onAddToPlaylist,
+  onCreatePlaylist,
+  loudnessScan,
+  onScanLoudness
+}) => {
+  const [editingTrack, setEditingTrack] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [batchEditing, setBatchEditing] = useState(false);
+  // Tracks waiting for the "New playlist" dialog
+  const [newPlaylistTracks, setNewPlaylistTracks] = useState(null);
+  // Last row clicked without Shift; Shift-click selects the range from it
+  const anchorIdRef = useRef(null);
+
+  // Tracks deleted elsewhere simply drop out of the selection
+  const selectedTracks = useMemo(
+    () => tracks.filter(track => selectedIds.has(track.id)),
+    [tracks, selectedIds]
+  );
+  // Smart playlists pick their own tracks
+  const manualPlaylists = useMemo(() => playlists.filter(playlist => !playlist.smart), [playlists]);
+  const allSelected = tracks.length > 0 && selectedTracks.length === tracks.length;
+
+  const selectAll = useCallback(() => {
+    setSelectedIds(new Set(tracks.map(track => track.id)));
+  }, [tracks]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+    anchorIdRef.current = null;
+  }, []);
+
+  const toggleSelection = (event, index) => {
+    const { id } = tracks[index];
+    const anchorIndex = tracks.findIndex(track => track.id === anchorIdRef.current);
+
+    if (event.shiftKey && anchorIndex !== -1) {
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      setSelectedIds(previous => {
+        const next = new Set(previous);
+        tracks.slice(from, to + 1).forEach(track => next.add(track.id));
+        return next;
+      });
+      return;
+    }
+
+    anchorIdRef.current = id;
+    setSelectedIds(previous => {
+      const next = new Set(previous);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Shift/Ctrl/Cmd-click selects; a plain click still plays
+  const handleRowClick = (event, track, index) => {
+    if (event.shiftKey || event.ctrlKey || event.metaKey) {
+      toggleSelection(event, index);
+    } else {
+      onTrackSelect(track);
+    }
+  };
+
+  // Context menu actions apply to the whole selection when the row is
+  // part of it, otherwise to that row alone
+  const menuTargets = (track) => (selectedIds.has(track.id) ? selectedTracks : [track]);
+
+  // Ctrl/Cmd+A selects every track, Escape clears the selection
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.target.closest?.('input, textarea, [role="dialog"]')) return;
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'a') {
+        event.preventDefault();
+        selectAll();
+      } else if (event.key === 'Escape') {
+        clearSelection();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [selectAll, clearSelection]);
+
+  return (
+    <div className="flex flex-col h-full text-white p-6">
+      <div className="flex items-center mb-6">
+        <Library className="w-8 h-8 mr-3 text-white/70" />
+        <h1 className="text-2xl font-bold">Your Library</h1>
       </div>
-    ) : (
-      <div className="flex-1">
-        <p className="text-white/70 mb-4">{tracks.length} track{tracks.length !== 1 ? 's' : ''}</p>
-        <div className="space-y-3">
-          {tracks.map((track) => (
-            <div
-              key={track.id}
-              className={`p-4 rounded-lg backdrop-blur-sm border transition-all duration-300 ${
-                currentTrack?.id === track.id
-                  ? 'bg-white/20 border-white/30'
-                  : 'bg-white/5 border-white/10'
-              }`}
-            >
-              <div className="flex items-center justify-between">
-                <div
-                  className="flex-1 cursor-pointer"
-                  onClick={() => onTrackSelect(track)}
-                >
-                  <h3 className="font-medium truncate">{track.name}</h3>
-                  <p className="text-white/70 text-sm">
-                    {Math.floor(track.duration / 60)}:{(track.duration % 60).toString().padStart(2, '0')} • 
-                    {new Date(track.uploadDate).toLocaleDateString()}
-                  </p>
-                </div>
-                <div className="flex items-center space-x-2 ml-4">
+      
+      {tracks.length === 0 ? (
+        <div className="flex-1 flex items-center justify-center">
+          <div className="text-center">
+            <Library className="w-16 h-16 mx-auto mb-4 text-white/50" />
+            <p className="text-white/70 text-lg">Your library is empty</p>
+          </div>
+        </div>
+      ) : (
+        <div className="flex-1">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-3">
+              <Checkbox
+                checked={allSelected ? true : selectedTracks.length > 0 ? 'indeterminate' : false}
+                onCheckedChange={() => (allSelected ? clearSelection() : selectAll())}
+                className="border-white/50"
+                aria-label="Select all tracks"
+              />
+              {selectedTracks.length > 0 ? (
+                <>
+                  <p className="text-white/70">{selectedTracks.length} selected</p>
                   <button
-                    onClick={() => onTrackSelect(track)}
-                    className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+                    onClick={() => onPlayNext(selectedTracks)}
+                    className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
                   >
-                    {currentTrack?.id === track.id ? (
-                      <Pause className="w-4 h-4" />
-                    ) : (
-                      <Play className="w-4 h-4" />
-                    )}
+                    <ListPlus className="w-4 h-4 mr-2" />
+                    Play next
                   </button>
                   <button
-                    onClick={() => onTrackDelete(track.id)}
-                    className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+                    onClick={() => onEnqueue(selectedTracks)}
+                    className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
                   >
-                    ×
+                    <ListEnd className="w-4 h-4 mr-2" />
+                    Add to queue
                   </button>
-                </div>
-              </div>
+                  <button
+                    onClick={() => setBatchEditing(true)}
+                    className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+                  >
+                    <Pencil className="w-4 h-4 mr-2" />
+                    Edit tags
+                  </button>
+                  <button
+                    onClick={clearSelection}
+                    className="px-3 py-1.5 rounded-lg hover:bg-white/10 text-sm text-white/70 transition-colors"
+                  >
+                    Clear
+                  </button>
+                </>
+              ) : (
+                <p className="text-white/70">{tracks.length} track{tracks.length !== 1 ? 's' : ''}</p>
+              )}
             </div>
-          ))}
+            <div className="flex items-center gap-2">
+              <button
+                onClick={onScanLoudness}
+                disabled={!!loudnessScan}
+                title="Measure the loudness of tracks without ReplayGain tags"
+                className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors disabled:opacity-70"
+              >
+                {loudnessScan ? (
+                  <>
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    Scanning {loudnessScan.total ? `${loudnessScan.completed}/${loudnessScan.total}` : '…'}
+                  </>
+                ) : (
+                  <>
+                    <Gauge className="w-4 h-4 mr-2" />
+                    Scan loudness
+                  </>
+                )}
+              </button>
+              <DuplicateFinder onTrackDelete={onTrackDelete} />
+            </div>
+          </div>
+          <div className="space-y-3 select-none">
+            {tracks.map((track, index) => (
+              <ContextMenu key={track.id}>
+                <ContextMenuTrigger asChild>
+                  <div
+                    className={`p-4 rounded-lg backdrop-blur-sm border transition-all duration-300 ${
+                      selectedIds.has(track.id)
+                        ? 'bg-blue-500/20 border-blue-400/40'
+                        : currentTrack?.id === track.id
+                          ? 'bg-white/20 border-white/30'
+                          : 'bg-white/5 border-white/10'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <Checkbox
+                        checked={selectedIds.has(track.id)}
+                        onClick={(event) => {
+                          // Handle the toggle here so Shift-click can select a range
+                          event.preventDefault();
+                          toggleSelection(event, index);
+                        }}
+                        className="mr-4 border-white/50"
+                        aria-label={`Select ${track.title}`}
+                      />
+                      <div
+                        className="flex-1 min-w-0 cursor-pointer"
+                        onClick={(event) => handleRowClick(event, track, index)}
+                      >
+                        <h3 className="font-medium truncate">{track.title}</h3>
+                        <p className="text-white/70 text-sm truncate">
+                          {track.artist ? `${track.artist} • ` : ''}
+                          {Math.floor(track.duration / 60)}:{(track.duration % 60).toString().padStart(2, '0')} • 
+                          {new Date(track.uploadDate).toLocaleDateString()}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2 ml-4">
+                        <button
+                          onClick={() => onTrackSelect(track)}
+                          className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+                        >
+                          {currentTrack?.id === track.id ? (
+                            <Pause className="w-4 h-4" />
+                          ) : (
+                            <Play className="w-4 h-4" />
+                          )}
+                        </button>
+                        <button
+                          onClick={() => setEditingTrack(track)}
+                          className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+                          aria-label="Edit tags"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => onTrackDelete(track.id)}
+                          className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </ContextMenuTrigger>
+                <ContextMenuContent className="text-white">
+                  <ContextMenuItem onSelect={() => onPlayNext(menuTargets(track))}>
+                    <ListPlus className="w-4 h-4 mr-2" />
+                    Play next
+                  </ContextMenuItem>
+                  <ContextMenuItem onSelect={() => onEnqueue(menuTargets(track))}>
+                    <ListEnd className="w-4 h-4 mr-2" />
+                    Add to queue
+                  </ContextMenuItem>
+                  <ContextMenuSeparator />
+                  <ContextMenuSub>
+                    <ContextMenuSubTrigger>
+                      <ListMusic className="w-4 h-4 mr-2" />
+                      Add to playlist
+                    </ContextMenuSubTrigger>
+                    <ContextMenuSubContent className="text-white max-h-72 overflow-y-auto">
+                      <ContextMenuItem onSelect={() => setNewPlaylistTracks(menuTargets(track))}>
+                        New playlist…
+                      </ContextMenuItem>
+                      {manualPlaylists.length > 0 && <ContextMenuSeparator />}
+                      {manualPlaylists.map(playlist => (
+                        <ContextMenuItem
+                          key={playlist.id}
+                          onSelect={() => onAddToPlaylist(playlist, menuTargets(track))}
+                        >
+                          {playlist.name}
+                        </ContextMenuItem>
+                      ))}
+                    </ContextMenuSubContent>
+                  </ContextMenuSub>
+                </ContextMenuContent>
+              </ContextMenu>
+            ))}
+          </div>
         </div>
-      </div>
-    )}
-  </div>
-);
+      )}
+
+      <TagEditorDialog
+        track={editingTrack}
+        open={!!editingTrack}
+        onOpenChange={(open) => !open && setEditingTrack(null)}
+        onSaved={onTracksChanged}
+      />
 
-const UploadPage = ({ onUploadComplete }) => (
+      <BatchTagEditorDialog
+        tracks={selectedTracks}
+        open={batchEditing && selectedTracks.length > 0}
+        onOpenChange={setBatchEditing}
+        onSaved={onTracksChanged}
+      />
+
+      <PlaylistFormDialog
+        playlist={null}
+        open={!!newPlaylistTracks}
+        onOpenChange={(open) => !open && setNewPlaylistTracks(null)}
+        onSubmit={(values) => onCreatePlaylist(values, newPlaylistTracks)}
+      />
+    </div>
+  );
+};
+
+const UploadPage = ({ onUploadComplete, libraryVersion }) => (
   <div className="flex flex-col h-full text-white p-6">
     <div className="flex items-center mb-6">
       <Upload className="w-8 h-8 mr-3 text-white/70" />
@@ -132,6 +390,7 @@ const UploadPage = ({ onUploadComplete }) => (
     
     <div className="flex-1">
       <AudioUploader onUploadComplete={onUploadComplete} />
+      <StorageUsage refreshKey={libraryVersion} />
     </div>
   </div>
 );
@@ -152,21 +411,166 @@ const NavItem = ({ icon, label, isActive, onClick }) => {
 
 export default function App() {
   const [activeView, setActiveView] = useState('Home');
-  const [tracks, setTracks] = useState(() => getStoredTracks());
+  const [tracks, setTracks] = useState([]);
+  const [playlists, setPlaylists] = useState([]);
+  const [queueOpen, setQueueOpen] = useState(false);
+  const [soundOpen, setSoundOpen] = useState(false);
+  // { completed, total } while a loudness scan runs
+  const [loudnessScan, setLoudnessScan] = useState(null);
+  const stopLoudnessScanRef = useRef(false);
   const {
     currentTrack,
     isPlaying,
     currentTime,
     duration,
     volume,
+    isLoading,
+    isShuffling,
+    repeatMode,
     play,
     pause,
-    stop,
-    seek,
-    setVolume: updateVolume,
-    loadTrack
-  } = useAudioPlayer();
+    seekTo,
+    changeVolume,
+    toggleMute,
+    toggleShuffle,
+    toggleRepeat,
+    crossfade,
+    setCrossfade,
+    replayGain,
+    trackGain,
+    setReplayGain,
+    queue,
+    currentIndex,
+    playQueue,
+    playQueueItem,
+    next,
+    previous,
+    playNext,
+    enqueue,
+    removeFromQueue,
+    moveInQueue,
+    clearUpcoming,
+    syncLibrary,
+    restoreQueue
+  } = useAudioPlayer({
+    // Keep play counts current for smart playlists
+    onTrackPlayed: () => refreshTracks()
+  });
+  const equalizer = useEqualizer({ track: currentTrack });
+  const dynamics = useDynamics();
+
+  const runLegacyMigration = useCallback(async () => {
+    const toastId = 'library-migration';
+    toast.loading('Moving your library to the new storage…', { id: toastId });
+
+    try {
+      const result = await migrateLegacyLibrary({
+        onProgress: ({ completed, total, name }) => {
+          toast.loading(`Moving your library (${completed}/${total})`, {
+            id: toastId,
+            description: name
+          });
+        }
+      });
+
+      if (result.complete) {
+        toast.success('Library upgrade complete', {
+          id: toastId,
+          description: `${result.total} track${result.total !== 1 ? 's' : ''} moved`
+        });
+      } else {
+        toast.error('Some tracks could not be moved', {
+          id: toastId,
+          description: `${result.failed.length} of ${result.total} failed. We'll retry next time you open the app.`
+        });
+      }
+    } catch (error) {
+      console.error('Library migration failed:', error);
+      toast.error('Library upgrade failed', { id: toastId, description: error.message });
+    }
+  }, []);
+
+  // Reload the library; queued tracks pick up the changes
+  const refreshTracks = useCallback(async () => {
+    const storedTracks = await getStoredTracks();
+    setTracks(storedTracks);
+    syncLibrary(storedTracks);
+    return storedTracks;
+  }, [syncLibrary]);
+
+  // Measure tracks without ReplayGain tags in the background. Progress
+  // shows in a toast (with a Stop action) and on the library button.
+  const handleScanLoudness = async () => {
+    if (loudnessScan) return;
+    const toastId = 'loudness-scan';
+    const stop = {
+      label: 'Stop',
+      onClick: () => { stopLoudnessScanRef.current = true; }
+    };
+
+    stopLoudnessScanRef.current = false;
+    setLoudnessScan({ completed: 0, total: 0 });
+    toast.loading('Scanning loudness…', { id: toastId, action: stop });
+
+    try {
+      const result = await scanLibraryLoudness({
+        onProgress: (progress) => {
+          setLoudnessScan(progress);
+          if (stopLoudnessScanRef.current) return;
+          toast.loading(`Scanning loudness (${progress.completed}/${progress.total})`, {
+            id: toastId,
+            description: progress.name,
+            action: stop
+          });
+        },
+        shouldStop: () => stopLoudnessScanRef.current
+      });
+
+      if (result.total === 0) {
+        toast.success('Every track already has loudness information', { id: toastId, action: null });
+      } else {
+        const skipped = result.failed > 0 ? `; ${result.failed} couldn't be measured` : '';
+        toast.success(result.stopped ? 'Loudness scan stopped' : 'Loudness scan complete', {
+          id: toastId,
+          description: `${result.analyzed} track${result.analyzed !== 1 ? 's' : ''} measured${skipped}`,
+          action: null
+        });
+      }
+      await refreshTracks();
+    } catch (error) {
+      console.error('Loudness scan failed:', error);
+      toast.error('Loudness scan failed', { id: toastId, description: error.message, action: null });
+    } finally {
+      setLoudnessScan(null);
+    }
+  };
+
+  const refreshPlaylists = useCallback(async () => {
+    setPlaylists(await getPlaylists());
+  }, []);
 
+  useEffect(() => {
+    const loadLibrary = async () => {
+      try {
+        await initializeStorage();
+      } catch (error) {
+        toast.error('Storage is unavailable', { description: error.message });
+        return;
+      }
+
+      await migrateLegacySettings();
+      if (hasLegacyLibrary()) {
+        await runLegacyMigration();
+      }
+      restoreQueue(await refreshTracks());
+      refreshPlaylists();
+    };
+
+    // Runs once on startup: its dependencies never change
+    loadLibrary();
+  }, [runLegacyMigration, refreshTracks, restoreQueue, refreshPlaylists]);
+
+  // Play the library from the selected track, or toggle the current one
   const handleTrackSelect = (track) => {
     if (currentTrack?.id === track.id) {
       if (isPlaying) {
@@ -175,21 +579,59 @@ export default function App() {
         play();
       }
     } else {
-      loadTrack(track);
-      play();
+      playQueue(tracks, tracks.findIndex(item => item.id === track.id));
     }
   };
 
+  const handlePlayNext = (selected) => {
+    playNext(selected);
+    toast.success(`${selected.length} track${selected.length !== 1 ? 's' : ''} will play next`);
+  };
+
+  const handleEnqueue = (selected) => {
+    enqueue(selected);
+    toast.success(`Added ${selected.length} track${selected.length !== 1 ? 's' : ''} to the queue`);
+  };
+
   const handleUploadComplete = () => {
-    setTracks(getStoredTracks());
+    refreshTracks();
+  };
+
+  const handleSaveQueue = async (name) => {
+    const playlist = await createPlaylist({ name, trackIds: queue.map(entry => entry.track.id) });
+    if (playlist) {
+      toast.success(`Saved "${playlist.name}"`);
+      refreshPlaylists();
+    } else {
+      toast.error('Could not save the playlist');
+    }
+    return !!playlist;
+  };
+
+  const handleAddToPlaylist = async (playlist, selected) => {
+    if (await addTracksToPlaylist(playlist.id, selected.map(track => track.id))) {
+      toast.success(`Added ${selected.length} track${selected.length !== 1 ? 's' : ''} to "${playlist.name}"`);
+      refreshPlaylists();
+    } else {
+      toast.error('Could not add to the playlist');
+    }
   };
 
-  const handleTrackDelete = (trackId) => {
-    if (currentTrack?.id === trackId) {
-      stop();
+  const handleCreatePlaylist = async ({ name, description }, selected) => {
+    const playlist = await createPlaylist({ name, description, trackIds: selected.map(track => track.id) });
+    if (!playlist) {
+      toast.error('Could not create the playlist');
+      return false;
     }
-    deleteTrack(trackId);
-    setTracks(getStoredTracks());
+    toast.success(`Created "${playlist.name}"`);
+    refreshPlaylists();
+    return true;
+  };
+
+  // Deleted tracks leave the queue when the library refreshes
+  const handleTrackDelete = async (trackId) => {
+    await deleteTrack(trackId);
+    refreshTracks();
   };
 
   const renderContent = () => {
@@ -209,10 +651,29 @@ export default function App() {
             currentTrack={currentTrack}
             onTrackSelect={handleTrackSelect}
             onTrackDelete={handleTrackDelete}
+            onTracksChanged={refreshTracks}
+            onPlayNext={handlePlayNext}
+            onEnqueue={handleEnqueue}
+            playlists={playlists}
+            onAddToPlaylist={handleAddToPlaylist}
+            onCreatePlaylist={handleCreatePlaylist}
+            loudnessScan={loudnessScan}
+            onScanLoudness={handleScanLoudness}
+          />
+        );
+      case 'Playlists':
+        return (
+          <PlaylistsPage
+            tracks={tracks}
+            playlists={playlists}
+            currentTrack={currentTrack}
+            onPlay={playQueue}
+            onEnqueue={handleEnqueue}
+            onPlaylistsChanged={refreshPlaylists}
           />
         );
       case 'Upload':
-        return <UploadPage onUploadComplete={handleUploadComplete} />;
+        return <UploadPage onUploadComplete={handleUploadComplete} libraryVersion={tracks} />;
       default:
         return (
           <HomePage
@@ -226,6 +687,7 @@ export default function App() {
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-900 to-purple-900 relative">
+      <Toaster theme="dark" position="top-center" />
       <div className="flex flex-col min-h-screen">
         <main className="flex-1 pb-32">
           {renderContent()}
@@ -240,15 +702,51 @@ export default function App() {
                 currentTime={currentTime}
                 duration={duration}
                 volume={volume}
+                isLoading={isLoading}
+                isShuffling={isShuffling}
+                repeatMode={repeatMode}
                 onPlay={play}
                 onPause={pause}
-                onSeek={seek}
-                onVolumeChange={updateVolume}
+                onSeek={seekTo}
+                onVolumeChange={changeVolume}
+                onToggleMute={toggleMute}
+                onNext={next}
+                onPrevious={previous}
+                onToggleShuffle={toggleShuffle}
+                onToggleRepeat={toggleRepeat}
+                onOpenQueue={() => setQueueOpen(true)}
+                onOpenSound={() => setSoundOpen(true)}
               />
             </div>
           </div>
         )}
 
+        <QueuePanel
+          open={queueOpen}
+          onOpenChange={setQueueOpen}
+          queue={queue}
+          currentIndex={currentIndex}
+          isPlaying={isPlaying}
+          onPlayItem={playQueueItem}
+          onRemove={removeFromQueue}
+          onMove={moveInQueue}
+          onClearUpcoming={clearUpcoming}
+          onSaveAsPlaylist={handleSaveQueue}
+        />
+
+        <SoundSettingsPanel
+          open={soundOpen}
+          onOpenChange={setSoundOpen}
+          crossfade={crossfade}
+          onCrossfadeChange={setCrossfade}
+          replayGain={replayGain}
+          trackGain={trackGain}
+          onReplayGainChange={setReplayGain}
+          equalizer={equalizer}
+          dynamics={dynamics}
+          currentTrack={currentTrack}
+        />
+
         <div className="fixed bottom-0 left-0 right-0 z-50">
           <div className="backdrop-blur-xl bg-black/40 border-t border-white/20">
             <nav className="flex justify-around items-center py-4 px-4 pb-8">
@@ -264,6 +762,12 @@ export default function App() {
                 isActive={activeView === 'Library'}
                 onClick={() => setActiveView('Library')}
               />
+              <NavItem
+                icon={<ListMusic />}
+                label="Playlists"
+                isActive={activeView === 'Playlists'}
+                onClick={() => setActiveView('Playlists')}
+              />
               <NavItem
                 icon={<Upload />}
                 label="Upload"
@@ -1,55 +1,38 @@
-import React, { useRef, useEffect, useState } from 'react';
-import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Repeat, Shuffle } from 'lucide-react';
+import React, { useRef, useState } from 'react';
+import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Repeat, Repeat1, Shuffle, ListMusic, SlidersHorizontal } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { useAudioPlayer } from '../hooks/useAudioPlayer';
 
-const AudioPlayer = ({ playlist = [], currentIndex = 0, onTrackChange }) => {
-  const audioRef = useRef(null);
+// Player controls. Playback state and the queue live in useAudioPlayer;
+// this component only renders them and reports user actions.
+const AudioPlayer = ({
+  track: currentTrack,
+  isPlaying,
+  currentTime,
+  duration,
+  volume,
+  isLoading,
+  isShuffling,
+  repeatMode,
+  onPlay,
+  onPause,
+  onSeek,
+  onVolumeChange,
+  onToggleMute,
+  onNext,
+  onPrevious,
+  onToggleShuffle,
+  onToggleRepeat,
+  onOpenQueue,
+  onOpenSound
+}) => {
   const progressRef = useRef(null);
+  const volumeRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
-  
-  const {
-    isPlaying,
-    currentTime,
-    duration,
-    volume,
-    isMuted,
-    isShuffled,
-    repeatMode,
-    isLoading,
-    play,
-    pause,
-    setVolume,
-    toggleMute,
-    toggleShuffle,
-    toggleRepeat,
-    seek
-  } = useAudioPlayer(audioRef);
-
-  const currentTrack = playlist[currentIndex];
-
-  useEffect(() => {
-    if (audioRef.current && currentTrack) {
-      audioRef.current.src = currentTrack.url;
-      audioRef.current.load();
-    }
-  }, [currentTrack]);
+  const isMuted = volume === 0;
 
   const handlePlayPause = () => {
     if (!currentTrack) return;
-    isPlaying ? pause() : play();
-  };
-
-  const handlePrevious = () => {
-    if (!playlist.length) return;
-    const newIndex = currentIndex > 0 ? currentIndex - 1 : playlist.length - 1;
-    onTrackChange?.(newIndex);
-  };
-
-  const handleNext = () => {
-    if (!playlist.length) return;
-    const newIndex = currentIndex < playlist.length - 1 ? currentIndex + 1 : 0;
-    onTrackChange?.(newIndex);
+    isPlaying ? onPause() : onPlay();
   };
 
   const handleProgressClick = (e) => {
@@ -57,7 +40,7 @@ const AudioPlayer = ({ playlist = [], currentIndex = 0, onTrackChange }) => {
     const rect = progressRef.current.getBoundingClientRect();
     const percent = (e.clientX - rect.left) / rect.width;
     const newTime = percent * duration;
-    seek(newTime);
+    onSeek(newTime);
   };
 
   const handleProgressDrag = (e) => {
@@ -65,7 +48,13 @@ const AudioPlayer = ({ playlist = [], currentIndex = 0, onTrackChange }) => {
     const rect = progressRef.current.getBoundingClientRect();
     const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
     const newTime = percent * duration;
-    seek(newTime);
+    onSeek(newTime);
+  };
+
+  const handleVolumeClick = (e) => {
+    if (!volumeRef.current) return;
+    const rect = volumeRef.current.getBoundingClientRect();
+    onVolumeChange(Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)));
   };
 
   const formatTime = (time) => {
@@ -93,14 +82,6 @@ const AudioPlayer = ({ playlist = [], currentIndex = 0, onTrackChange }) => {
       animate={{ y: 0, opacity: 1 }}
       className="backdrop-blur-xl bg-black/40 border-t border-white/20 p-4"
     >
-      <audio
-        ref={audioRef}
-        onLoadStart={() => {}}
-        onCanPlay={() => {}}
-        onEnded={handleNext}
-        preload="metadata"
-      />
-
       {/* Track Info */}
       <div className="flex items-center space-x-3 mb-4">
         <div className="w-12 h-12 bg-white/10 rounded-lg flex items-center justify-center overflow-hidden">
@@ -150,26 +131,29 @@ const AudioPlayer = ({ playlist = [], currentIndex = 0, onTrackChange }) => {
       <div className="flex items-center justify-between">
         <div className="flex items-center space-x-2">
           <button
-            onClick={toggleShuffle}
+            onClick={onToggleShuffle}
+            aria-label="Shuffle"
             className={`p-2 rounded-lg transition-all duration-200 ${
-              isShuffled ? 'text-white bg-white/20' : 'text-white/70 hover:text-white'
+              isShuffling ? 'text-white bg-white/20' : 'text-white/70 hover:text-white'
             }`}
           >
             <Shuffle className="w-4 h-4" />
           </button>
           <button
-            onClick={toggleRepeat}
+            onClick={onToggleRepeat}
+            aria-label={`Repeat: ${repeatMode}`}
             className={`p-2 rounded-lg transition-all duration-200 ${
-              repeatMode !== 'off' ? 'text-white bg-white/20' : 'text-white/70 hover:text-white'
+              repeatMode !== 'none' ? 'text-white bg-white/20' : 'text-white/70 hover:text-white'
             }`}
           >
-            <Repeat className="w-4 h-4" />
+            {repeatMode === 'one' ? <Repeat1 className="w-4 h-4" /> : <Repeat className="w-4 h-4" />}
           </button>
         </div>
 
         <div className="flex items-center space-x-4">
           <button
-            onClick={handlePrevious}
+            onClick={onPrevious}
+            aria-label="Previous track"
             className="text-white/70 hover:text-white transition-colors duration-200"
           >
             <SkipBack className="w-6 h-6" />
@@ -214,7 +198,8 @@ const AudioPlayer = ({ playlist = [], currentIndex = 0, onTrackChange }) => {
           </motion.button>
 
           <button
-            onClick={handleNext}
+            onClick={onNext}
+            aria-label="Next track"
             className="text-white/70 hover:text-white transition-colors duration-200"
           >
             <SkipForward className="w-6 h-6" />
@@ -223,12 +208,30 @@ const AudioPlayer = ({ playlist = [], currentIndex = 0, onTrackChange }) => {
 
         <div className="flex items-center space-x-2">
           <button
-            onClick={toggleMute}
+            onClick={onOpenQueue}
+            className="text-white/70 hover:text-white transition-colors duration-200"
+            aria-label="Show queue"
+          >
+            <ListMusic className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onOpenSound}
+            className="text-white/70 hover:text-white transition-colors duration-200"
+            aria-label="Sound settings"
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onToggleMute}
             className="text-white/70 hover:text-white transition-colors duration-200"
           >
             {isMuted ? <VolumeX className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
           </button>
-          <div className="w-16 h-1 bg-white/20 rounded-full overflow-hidden">
+          <div
+            ref={volumeRef}
+            onClick={handleVolumeClick}
+            className="w-16 h-1 bg-white/20 rounded-full overflow-hidden cursor-pointer"
+          >
             <div
               className="h-full bg-white transition-all duration-150"
               style={{ width: `${isMuted ? 0 : volume * 100}%` }}
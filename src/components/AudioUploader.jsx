@@ -1,75 +1,116 @@
 import React, { useState, useRef } from 'react';
 import { Upload, X, Music, AlertCircle, CheckCircle } from 'lucide-react';
-import { saveAudioFile, getStoredAudioFiles } from '../services/audioStorage';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from './ui/alert-dialog';
+import { Checkbox } from './ui/checkbox';
+import {
+  saveAudioFile,
+  saveCueTracks,
+  checkBatchQuota,
+  validateAudioFile,
+  findDuplicateAudioFile,
+  DUPLICATE_ACTIONS
+} from '../services/audioStorage';
+import { isCueFile, readCueSheet, findCueAudio } from '../services/cueSheet';
+import { formatBytes } from '../lib/utils';
 
 const AudioUploader = ({ onUploadComplete }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [uploadStatus, setUploadStatus] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [quotaWarning, setQuotaWarning] = useState(null);
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null);
+  const [applyToAll, setApplyToAll] = useState(false);
+  const duplicateDecisionRef = useRef(null);
   const fileInputRef = useRef(null);
 
-  const supportedFormats = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/m4a'];
+  // Pair every FILE entry of the batch's cue sheets with its audio.
+  // Returns a Map of audio file -> { sheet, fileEntry }, or an error.
+  const pairCueSheets = async (cueFiles, audioFiles) => {
+    const cueParts = new Map();
 
-  const validateFile = (file) => {
-    if (!supportedFormats.includes(file.type) && !file.name.match(/\.(mp3|wav|ogg|m4a)$/i)) {
-      return { valid: false, error: 'Unsupported file format. Please upload MP3, WAV, OGG, or M4A files.' };
+    for (const cueFile of cueFiles) {
+      const sheet = await readCueSheet(cueFile);
+      if (sheet.files.length === 0) {
+        return { error: `${cueFile.name}: No tracks found in the cue sheet.` };
+      }
+
+      for (const fileEntry of sheet.files) {
+        const audio = findCueAudio(fileEntry, audioFiles);
+        if (!audio) {
+          return { error: `${cueFile.name}: Add "${fileEntry.name}" to the upload to split it into tracks.` };
+        }
+        cueParts.set(audio, { sheet, fileEntry });
+      }
     }
+
+    return { cueParts };
+  };
+
+  const handleFiles = async (files) => {
+    const fileList = Array.from(files).filter(file => !isCueFile(file));
+    const cueFiles = Array.from(files).filter(isCueFile);
     
-    if (file.size > 50 * 1024 * 1024) { // 50MB limit
-      return { valid: false, error: 'File size too large. Please upload files smaller than 50MB.' };
+    if (fileList.length === 0) {
+      if (cueFiles.length > 0) {
+        setUploadStatus({ type: 'error', message: 'Upload the cue sheet together with its audio file.' });
+      }
+      return;
+    }
+
+    const { cueParts, error } = await pairCueSheets(cueFiles, fileList);
+    if (error) {
+      setUploadStatus({ type: 'error', message: error });
+      return;
     }
 
-    return { valid: true };
+    // Validate the whole batch up front so nothing is half-uploaded
+    for (const file of fileList) {
+      const validation = validateAudioFile(file, { isCueAudio: cueParts.has(file) });
+      if (!validation.valid) {
+        setUploadStatus({ type: 'error', message: `${file.name}: ${validation.error}` });
+        return;
+      }
+    }
+
+    const quota = await checkBatchQuota(fileList);
+    if (!quota.fits) {
+      setQuotaWarning({ files: fileList, cueParts, ...quota });
+      return;
+    }
+
+    uploadFiles(fileList, cueParts);
   };
 
-  const processAudioFile = async (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = async (e) => {
-        try {
-          const audioData = e.target.result;
-          const audio = new Audio();
-          
-          audio.onloadedmetadata = () => {
-            const audioFile = {
-              id: Date.now().toString(),
-              name: file.name.replace(/\.[^/.]+$/, ""),
-              file: file.name,
-              duration: audio.duration,
-              size: file.size,
-              type: file.type,
-              data: audioData,
-              uploadedAt: new Date().toISOString()
-            };
-            
-            resolve(audioFile);
-          };
-          
-          audio.onerror = () => {
-            reject(new Error('Invalid audio file or corrupted data.'));
-          };
-          
-          audio.src = audioData;
-        } catch (error) {
-          reject(error);
-        }
-      };
-      
-      reader.onerror = () => {
-        reject(new Error('Failed to read file.'));
-      };
-      
-      reader.readAsDataURL(file);
+  // Pause the batch until the user picks skip / keep both / replace
+  const askDuplicateAction = (file, duplicate) => {
+    return new Promise(resolve => {
+      setApplyToAll(false);
+      setDuplicatePrompt({ file, duplicate, resolve });
     });
   };
 
-  const handleFiles = async (files) => {
-    const fileList = Array.from(files);
-    
-    if (fileList.length === 0) return;
+  const resolveDuplicate = (action) => {
+    if (!duplicatePrompt) return;
+    if (applyToAll) {
+      duplicateDecisionRef.current = action;
+    }
+    duplicatePrompt.resolve(action);
+    setDuplicatePrompt(null);
+  };
 
+  // `cueParts` maps whole-album files to the cue sheet that splits them
+  const uploadFiles = async (fileList, cueParts = new Map()) => {
+    duplicateDecisionRef.current = null;
     setUploading(true);
     setUploadStatus(null);
     setUploadProgress(0);
@@ -77,21 +118,32 @@ const AudioUploader = ({ onUploadComplete }) => {
     try {
       const totalFiles = fileList.length;
       const processedFiles = [];
+      let skippedCount = 0;
       
       for (let i = 0; i < fileList.length; i++) {
         const file = fileList[i];
-        const validation = validateFile(file);
-        
-        if (!validation.valid) {
-          setUploadStatus({ type: 'error', message: validation.error });
-          setUploading(false);
-          return;
-        }
+        const cue = cueParts.get(file);
 
         try {
-          const audioFile = await processAudioFile(file);
-          await saveAudioFile(audioFile);
-          processedFiles.push(audioFile);
+          if (cue) {
+            processedFiles.push(...await saveCueTracks(file, cue.fileEntry, cue.sheet));
+            setUploadProgress(((i + 1) / totalFiles) * 100);
+            continue;
+          }
+
+          const { hash, duplicate } = await findDuplicateAudioFile(file);
+          let action = DUPLICATE_ACTIONS.KEEP_BOTH;
+
+          if (duplicate) {
+            action = duplicateDecisionRef.current || await askDuplicateAction(file, duplicate);
+          }
+
+          if (action === DUPLICATE_ACTIONS.SKIP) {
+            skippedCount++;
+          } else {
+            const audioFile = await saveAudioFile(file, { hash, onDuplicate: action });
+            processedFiles.push(audioFile);
+          }
           
           setUploadProgress(((i + 1) / totalFiles) * 100);
         } catch (error) {
@@ -107,7 +159,8 @@ const AudioUploader = ({ onUploadComplete }) => {
 
       setUploadStatus({ 
         type: 'success', 
-        message: `Successfully uploaded ${processedFiles.length} file${processedFiles.length > 1 ? 's' : ''}` 
+        message: `Successfully uploaded ${processedFiles.length} track${processedFiles.length !== 1 ? 's' : ''}` +
+          (skippedCount ? ` (${skippedCount} duplicate${skippedCount !== 1 ? 's' : ''} skipped)` : '')
       });
       
       if (onUploadComplete) {
@@ -155,6 +208,12 @@ const AudioUploader = ({ onUploadComplete }) => {
     setUploadStatus(null);
   };
 
+  const uploadFittingFiles = () => {
+    const { files, fitting, cueParts } = quotaWarning;
+    setQuotaWarning(null);
+    uploadFiles(files.slice(0, fitting), cueParts);
+  };
+
   return (
     <div className="w-full max-w-2xl mx-auto p-6">
       <div className="backdrop-blur-xl bg-white/10 rounded-2xl border border-white/20 p-8">
@@ -179,7 +238,7 @@ const AudioUploader = ({ onUploadComplete }) => {
             ref={fileInputRef}
             type="file"
             multiple
-            accept="audio/*,.mp3,.wav,.ogg,.m4a"
+            accept="audio/*,.mp3,.wav,.ogg,.oga,.opus,.flac,.aac,.m4a,.cue"
             onChange={handleFileSelect}
             className="hidden"
           />
@@ -206,7 +265,10 @@ const AudioUploader = ({ onUploadComplete }) => {
                   {isDragOver ? 'Drop your files here' : 'Choose files or drag them here'}
                 </p>
                 <p className="text-white/70 text-sm">
-                  Supports MP3, WAV, OGG, M4A files up to 50MB
+                  Supports MP3, WAV, OGG, OPUS, FLAC, AAC, M4A files up to 50MB
+                </p>
+                <p className="text-white/50 text-xs mt-1">
+                  Add a .cue sheet with a whole-album file (up to 500MB) to split it into tracks
                 </p>
               </>
             )}
@@ -240,6 +302,67 @@ const AudioUploader = ({ onUploadComplete }) => {
           </div>
         )}
 
+        <AlertDialog open={!!quotaWarning} onOpenChange={(open) => !open && setQuotaWarning(null)}>
+          <AlertDialogContent className="text-white">
+            <AlertDialogHeader>
+              <AlertDialogTitle>Not enough storage space</AlertDialogTitle>
+              <AlertDialogDescription>
+                {quotaWarning && (
+                  <>
+                    These {quotaWarning.files.length} files need {formatBytes(quotaWarning.required)}, but only{' '}
+                    {formatBytes(quotaWarning.available)} is free.
+                    {quotaWarning.fitting > 0
+                      ? ` The first ${quotaWarning.fitting} will fit.`
+                      : ' Remove some tracks to make room.'}
+                  </>
+                )}
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel>Cancel</AlertDialogCancel>
+              {quotaWarning?.fitting > 0 && (
+                <AlertDialogAction onClick={uploadFittingFiles}>
+                  Upload {quotaWarning.fitting} file{quotaWarning.fitting !== 1 ? 's' : ''}
+                </AlertDialogAction>
+              )}
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+
+        <AlertDialog open={!!duplicatePrompt}>
+          <AlertDialogContent className="text-white">
+            <AlertDialogHeader>
+              <AlertDialogTitle>Already in your library</AlertDialogTitle>
+              <AlertDialogDescription>
+                {duplicatePrompt && (
+                  <>
+                    &ldquo;{duplicatePrompt.file.name}&rdquo; is identical to &ldquo;
+                    {duplicatePrompt.duplicate.metadata.title || duplicatePrompt.duplicate.metadata.name}&rdquo;.
+                  </>
+                )}
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <label className="flex items-center space-x-2 text-sm text-white/70">
+              <Checkbox checked={applyToAll} onCheckedChange={(checked) => setApplyToAll(checked === true)} />
+              <span>Do this for all remaining duplicates</span>
+            </label>
+            <AlertDialogFooter>
+              <AlertDialogCancel onClick={() => resolveDuplicate(DUPLICATE_ACTIONS.SKIP)}>
+                Skip
+              </AlertDialogCancel>
+              <AlertDialogAction
+                onClick={() => resolveDuplicate(DUPLICATE_ACTIONS.KEEP_BOTH)}
+                className="bg-secondary text-secondary-foreground hover:bg-secondary/80"
+              >
+                Keep both
+              </AlertDialogAction>
+              <AlertDialogAction onClick={() => resolveDuplicate(DUPLICATE_ACTIONS.REPLACE)}>
+                Replace
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+
         <div className="mt-6 text-center">
           <p className="text-white/50 text-xs">
             Files are stored locally in your browser. Clear browser data will remove uploaded files.
@@ -0,0 +1,149 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { updateTracksTags } from '../services/audioStorage';
+import {
+  BATCH_FIELDS,
+  PLACEHOLDER_HELP,
+  buildBatchChanges,
+  summarizeField
+} from '../services/batchTags';
+
+// Numeric fields take digits or placeholders; ranges are checked per
+// track once placeholders are expanded
+const batchSchema = z.object(Object.fromEntries(BATCH_FIELDS.map(({ name, label, numeric }) => [
+  name,
+  numeric
+    ? z.string().trim().refine(
+      value => value === '' || /^(\d|%[ntaf%])+$/.test(value),
+      `${label} must be a number or a placeholder such as %n`
+    )
+    : z.string().trim().max(200, `${label} is too long`)
+])));
+
+const BatchTagEditorDialog = ({ tracks, open, onOpenChange, onSaved }) => {
+  const summaries = useMemo(() => Object.fromEntries(
+    BATCH_FIELDS.map(({ name }) => [name, summarizeField(tracks, name)])
+  ), [tracks]);
+
+  const defaultValues = useMemo(() => Object.fromEntries(
+    BATCH_FIELDS.map(({ name }) => [name, summaries[name].value == null ? '' : String(summaries[name].value)])
+  ), [summaries]);
+
+  const form = useForm({ resolver: zodResolver(batchSchema), defaultValues });
+  const [progress, setProgress] = useState(null);
+  const saving = progress !== null;
+
+  // Fill the form when the dialog opens. The library reloads while it's
+  // open (e.g. when a play is counted), which rebuilds `tracks`; that
+  // mustn't wipe what the user has typed.
+  const defaultValuesRef = useRef(defaultValues);
+  defaultValuesRef.current = defaultValues;
+  useEffect(() => {
+    if (open) form.reset(defaultValuesRef.current);
+  }, [open, form]);
+
+  const onSubmit = async (values) => {
+    // Only fields the user touched apply to every track
+    const edits = Object.fromEntries(
+      Object.keys(form.formState.dirtyFields).map(name => [name, values[name]])
+    );
+    if (Object.keys(edits).length === 0) {
+      onOpenChange(false);
+      return;
+    }
+
+    let changes;
+    try {
+      changes = buildBatchChanges(tracks, edits);
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    setProgress({ completed: 0, total: changes.length });
+    try {
+      const { updated, written } = await updateTracksTags(changes, { onProgress: setProgress });
+      toast.success(`Updated ${updated} track${updated !== 1 ? 's' : ''}` +
+        (written < updated ? ` (${updated - written} in your library only)` : ''));
+      onSaved?.();
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Failed to save batch tags:', error);
+      toast.error(`Failed to save tags: ${error.message}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={saving ? undefined : onOpenChange}>
+      <DialogContent className="text-white max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Edit {tracks.length} tracks</DialogTitle>
+          <DialogDescription>
+            Only fields you change are applied. Placeholders: {PLACEHOLDER_HELP}.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
+            {BATCH_FIELDS.map(({ name, label, numeric }) => (
+              <FormField
+                key={name}
+                control={form.control}
+                name={name}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="flex items-center gap-2">
+                      {label}
+                      {summaries[name].mixed && (
+                        <span className="px-1.5 py-0.5 rounded bg-white/10 text-white/60 text-[10px] uppercase tracking-wide">
+                          mixed
+                        </span>
+                      )}
+                    </FormLabel>
+                    <FormControl>
+                      <Input
+                        inputMode={numeric ? 'numeric' : undefined}
+                        placeholder={summaries[name].mixed ? 'Mixed — leave blank to keep' : ''}
+                        {...field}
+                      />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            ))}
+
+            <DialogFooter>
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center justify-center px-4 py-2 rounded-lg bg-white text-black text-sm font-medium hover:bg-white/90 disabled:opacity-50 transition-colors"
+              >
+                {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                {saving ? `Saving ${progress.completed}/${progress.total}` : `Apply to ${tracks.length} tracks`}
+              </button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default BatchTagEditorDialog;
@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { Copy, Loader2, Trash2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger
+} from './ui/dialog';
+import { findDuplicates } from '../services/duplicateFinder';
+import { formatBytes } from '../lib/utils';
+
+const formatDuration = (seconds = 0) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+const DuplicateGroup = ({ label, tracks, onTrackDelete }) => (
+  <div className="p-3 rounded-lg bg-white/5 border border-white/10">
+    <p className="text-white/50 text-xs uppercase tracking-wide mb-2">{label}</p>
+    <ul className="space-y-2">
+      {tracks.map(file => (
+        <li key={file.id} className="flex items-center justify-between text-sm">
+          <div className="min-w-0 mr-4">
+            <p className="truncate">{file.metadata.title || file.metadata.name}</p>
+            <p className="text-white/50 text-xs truncate">
+              {file.metadata.fileName} • {formatDuration(file.metadata.duration)} • {formatBytes(file.metadata.size)}
+            </p>
+          </div>
+          <button
+            onClick={() => onTrackDelete(file.id)}
+            className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+            aria-label="Delete track"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const DuplicateFinder = ({ onTrackDelete }) => {
+  const [open, setOpen] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const scan = async () => {
+    setScanning(true);
+    setProgress(null);
+    try {
+      setResult(await findDuplicates({ onProgress: setProgress }));
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const handleOpenChange = (nextOpen) => {
+    setOpen(nextOpen);
+    if (nextOpen) {
+      scan();
+    }
+  };
+
+  const handleDelete = async (id) => {
+    await onTrackDelete(id);
+    scan();
+  };
+
+  const groupCount = result ? result.exact.length + result.similar.length : 0;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <button className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors">
+          <Copy className="w-4 h-4 mr-2" />
+          Find duplicates
+        </button>
+      </DialogTrigger>
+      <DialogContent className="text-white max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Duplicate tracks</DialogTitle>
+          <DialogDescription>
+            Identical files are matched by content; similar ones by title and length.
+          </DialogDescription>
+        </DialogHeader>
+
+        {scanning ? (
+          <div className="flex items-center justify-center py-8 text-white/70">
+            <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+            {progress ? `Checking files (${progress.completed}/${progress.total})` : 'Scanning library…'}
+          </div>
+        ) : result && groupCount === 0 ? (
+          <p className="py-8 text-center text-white/70">No duplicates found</p>
+        ) : result && (
+          <div className="space-y-3">
+            {result.exact.map(group => (
+              <DuplicateGroup
+                key={group.key}
+                label="Identical files"
+                tracks={group.tracks}
+                onTrackDelete={handleDelete}
+              />
+            ))}
+            {result.similar.map(group => (
+              <DuplicateGroup
+                key={group.key}
+                label="Same title and length"
+                tracks={group.tracks}
+                onTrackDelete={handleDelete}
+              />
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DuplicateFinder;
@@ -0,0 +1,171 @@
+import { useEffect, useState } from 'react';
+import { ChevronDown } from 'lucide-react';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import audioContextManager from '../services/audioContext';
+import { COMPRESSOR_PRESETS, COMPRESSOR_RANGES, LIMITER_RANGES } from '../services/dynamics';
+
+// Reduction shown as a full bar
+const METER_RANGE = 24; // dB
+
+const formatDb = (db) => `${Number(db.toFixed(1))} dB`;
+const formatMs = (seconds) => `${Math.round(seconds * 1000)} ms`;
+
+// Compressor controls: [key, label, step, format]
+const COMPRESSOR_FIELDS = [
+  ['threshold', 'Threshold', 1, formatDb],
+  ['ratio', 'Ratio', 0.5, (ratio) => `${ratio}:1`],
+  ['knee', 'Knee', 1, formatDb],
+  ['attack', 'Attack', 0.001, formatMs],
+  ['release', 'Release', 0.01, formatMs],
+  ['makeup', 'Makeup gain', 0.5, formatDb]
+];
+
+const ParamSlider = ({ label, value, range, step, format, disabled, onChange }) => (
+  <div className="grid grid-cols-[6rem_1fr_4rem] items-center gap-2">
+    <span className="text-sm text-white/70">{label}</span>
+    <Slider
+      min={range[0]}
+      max={range[1]}
+      step={step}
+      value={[value]}
+      disabled={disabled}
+      onValueChange={([next]) => onChange(next)}
+      aria-label={label}
+    />
+    <span className="text-xs text-right tabular-nums text-white/70">{format(value)}</span>
+  </div>
+);
+
+// How much the compressor and limiter are turning the level down, read
+// from the audio graph every frame while shown
+const GainReductionMeter = ({ showCompressor, showLimiter }) => {
+  const [reduction, setReduction] = useState({ compressor: 0, limiter: 0 });
+
+  useEffect(() => {
+    let frame;
+    const read = () => {
+      setReduction(audioContextManager.getGainReduction());
+      frame = requestAnimationFrame(read);
+    };
+    read();
+    return () => cancelAnimationFrame(frame);
+  }, []);
+
+  const rows = [
+    showCompressor && ['Compressor', reduction.compressor, 'bg-amber-400'],
+    showLimiter && ['Limiter', reduction.limiter, 'bg-red-400']
+  ].filter(Boolean);
+  if (rows.length === 0) return null;
+
+  return (
+    <div className="space-y-1.5" aria-label="Gain reduction">
+      {rows.map(([label, db, color]) => (
+        <div key={label} className="grid grid-cols-[6rem_1fr_4rem] items-center gap-2">
+          <span className="text-xs text-white/50">{label}</span>
+          <div className="h-1.5 rounded-full bg-white/10 overflow-hidden">
+            <div
+              className={`h-full ${color}`}
+              style={{ width: `${Math.min(1, Math.max(0, -db) / METER_RANGE) * 100}%` }}
+            />
+          </div>
+          <span className="text-xs text-right tabular-nums text-white/70">{formatDb(Math.min(0, db))}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Night mode (compressor with presets) and the limiter, with a meter of
+// the gain reduction they apply. `controls` comes from useDynamics.
+const Dynamics = ({ controls }) => {
+  const { dynamics, updateCompressor, applyPreset, updateLimiter } = controls;
+  const { compressor, limiter } = dynamics;
+  const [adjusting, setAdjusting] = useState(false);
+
+  return (
+    <section className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-medium">Night mode</h3>
+          <p className="text-xs text-white/50">Narrows the gap between loud and quiet passages</p>
+        </div>
+        <Switch
+          checked={compressor.enabled}
+          onCheckedChange={(enabled) => updateCompressor({ enabled })}
+          aria-label="Night mode on"
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {COMPRESSOR_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            type="button"
+            onClick={() => applyPreset(preset.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+              compressor.enabled && compressor.preset === preset.id ? 'bg-white text-black' : 'bg-white/10 hover:bg-white/20'
+            }`}
+          >
+            {preset.name}
+          </button>
+        ))}
+        {!compressor.preset && (
+          <span className="px-3 py-1.5 rounded-lg text-sm bg-white/5 text-white/50">Custom</span>
+        )}
+      </div>
+
+      <button
+        type="button"
+        onClick={() => setAdjusting(!adjusting)}
+        className="flex items-center text-xs text-white/70 hover:text-white transition-colors"
+      >
+        <ChevronDown className={`w-3.5 h-3.5 mr-1 transition-transform ${adjusting ? 'rotate-180' : ''}`} />
+        Adjust compressor
+      </button>
+      {adjusting && (
+        <div className={`space-y-2 ${compressor.enabled ? '' : 'opacity-50'}`}>
+          {COMPRESSOR_FIELDS.map(([key, label, step, format]) => (
+            <ParamSlider
+              key={key}
+              label={label}
+              value={compressor[key]}
+              range={COMPRESSOR_RANGES[key]}
+              step={step}
+              format={format}
+              disabled={!compressor.enabled}
+              onChange={(value) => updateCompressor({ [key]: value })}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2 rounded-lg border border-white/10 p-3">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-sm font-medium">Limiter</div>
+            <div className="text-xs text-white/50">Keeps peaks from clipping, e.g. after EQ boosts</div>
+          </div>
+          <Switch
+            checked={limiter.enabled}
+            onCheckedChange={(enabled) => updateLimiter({ enabled })}
+            aria-label="Limiter on"
+          />
+        </div>
+        <ParamSlider
+          label="Ceiling"
+          value={limiter.ceiling}
+          range={LIMITER_RANGES.ceiling}
+          step={0.1}
+          format={formatDb}
+          disabled={!limiter.enabled}
+          onChange={(ceiling) => updateLimiter({ ceiling })}
+        />
+      </div>
+
+      <GainReductionMeter showCompressor={compressor.enabled} showLimiter={limiter.enabled} />
+    </section>
+  );
+};
+
+export default Dynamics;
@@ -0,0 +1,226 @@
+import { useEffect, useMemo, useState } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import { Input } from './ui/input';
+import audioContextManager from '../services/audioContext';
+import {
+  EQ_BAND_TYPES,
+  EQ_FREQUENCY_RANGE,
+  EQ_GAIN_RANGE,
+  EQ_PREAMP_RANGE,
+  formatFrequency
+} from '../services/equalizer';
+import { AutoPresets, PresetBar } from './EqualizerPresets';
+
+const CURVE_WIDTH = 320;
+const CURVE_HEIGHT = 120;
+// dB shown above and below 0
+const CURVE_RANGE = EQ_GAIN_RANGE + 3;
+const CURVE_POINTS = 96;
+const GRID_DB = [-12, -6, 0, 6, 12];
+const GRID_HZ = [100, 1000, 10000];
+
+const [MIN_HZ, MAX_HZ] = EQ_FREQUENCY_RANGE;
+
+// Log-spaced frequencies across the audible range
+const CURVE_FREQUENCIES = Array.from({ length: CURVE_POINTS }, (_, index) => {
+  return MIN_HZ * Math.pow(MAX_HZ / MIN_HZ, index / (CURVE_POINTS - 1));
+});
+
+const toX = (frequency) => (Math.log(frequency / MIN_HZ) / Math.log(MAX_HZ / MIN_HZ)) * CURVE_WIDTH;
+
+const toY = (db) => {
+  const clamped = Math.max(-CURVE_RANGE, Math.min(CURVE_RANGE, db));
+  return CURVE_HEIGHT / 2 - (clamped / CURVE_RANGE) * (CURVE_HEIGHT / 2);
+};
+
+// Combined frequency response of the preamp and bands, as the filters
+// compute it
+const ResponseCurve = ({ bands, preamp, enabled }) => {
+  const path = useMemo(() => {
+    const response = enabled
+      ? audioContextManager.getEqualizerResponse(bands, CURVE_FREQUENCIES)
+      : new Float32Array(CURVE_POINTS);
+    const offset = enabled ? preamp : 0;
+    return CURVE_FREQUENCIES
+      .map((frequency, index) => `${index === 0 ? 'M' : 'L'}${toX(frequency).toFixed(1)},${toY(response[index] + offset).toFixed(1)}`)
+      .join(' ');
+  }, [bands, preamp, enabled]);
+
+  return (
+    <svg
+      viewBox={`0 0 ${CURVE_WIDTH} ${CURVE_HEIGHT}`}
+      className="w-full h-auto rounded-lg bg-black/30 border border-white/10"
+      role="img"
+      aria-label="Equalizer frequency response"
+    >
+      {GRID_DB.map(db => (
+        <line
+          key={db}
+          x1={0}
+          x2={CURVE_WIDTH}
+          y1={toY(db)}
+          y2={toY(db)}
+          className={db === 0 ? 'stroke-white/30' : 'stroke-white/10'}
+          strokeWidth={1}
+        />
+      ))}
+      {GRID_HZ.map(frequency => (
+        <g key={frequency}>
+          <line x1={toX(frequency)} x2={toX(frequency)} y1={0} y2={CURVE_HEIGHT} className="stroke-white/10" strokeWidth={1} />
+          <text x={toX(frequency) + 3} y={CURVE_HEIGHT - 4} className="fill-white/40 text-[9px]">
+            {formatFrequency(frequency)}
+          </text>
+        </g>
+      ))}
+      <path d={path} fill="none" strokeWidth={2} className={enabled ? 'stroke-blue-400' : 'stroke-white/30'} />
+      {enabled && bands.map((band, index) => (
+        <circle key={index} cx={toX(band.frequency)} cy={toY(band.gain)} r={2.5} className="fill-white/70" />
+      ))}
+    </svg>
+  );
+};
+
+// Number input that only reports a value once editing is done
+const NumberField = ({ value, onCommit, label, step, disabled, className }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const number = Number(draft);
+    if (draft.trim() !== '' && Number.isFinite(number)) {
+      onCommit(number);
+    } else {
+      setDraft(String(value));
+    }
+  };
+
+  return (
+    <Input
+      type="number"
+      step={step}
+      disabled={disabled}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit()}
+      aria-label={label}
+      className={`h-8 px-2 text-xs ${className || ''}`}
+    />
+  );
+};
+
+const formatGain = (gain) => `${gain > 0 ? '+' : ''}${gain} dB`;
+
+const BandRow = ({ band, index, disabled, onChange }) => (
+  <div className="grid grid-cols-[4.5rem_1fr_2.75rem_3.5rem] items-center gap-2">
+    <div>
+      <div className="text-[10px] uppercase tracking-wide text-white/50">{EQ_BAND_TYPES[band.type]}</div>
+      <NumberField
+        value={band.frequency}
+        step={1}
+        disabled={disabled}
+        label={`Band ${index + 1} frequency (Hz)`}
+        onCommit={(frequency) => onChange(index, { frequency })}
+      />
+    </div>
+    <Slider
+      min={-EQ_GAIN_RANGE}
+      max={EQ_GAIN_RANGE}
+      step={0.5}
+      value={[band.gain]}
+      disabled={disabled}
+      onValueChange={([gain]) => onChange(index, { gain })}
+      aria-label={`Band ${index + 1} gain`}
+    />
+    <span className="text-xs text-right tabular-nums text-white/70">
+      {formatGain(band.gain)}
+    </span>
+    {band.type === 'peaking' ? (
+      <NumberField
+        value={band.q}
+        step={0.1}
+        disabled={disabled}
+        label={`Band ${index + 1} Q`}
+        onCommit={(q) => onChange(index, { q })}
+      />
+    ) : (
+      <span />
+    )}
+  </div>
+);
+
+// Parametric EQ: low shelf, ten peaking bands and high shelf, with a
+// preamp, presets, the combined response curve and a bypass switch.
+// `controls` comes from useEqualizer. While an automatic preset is
+// playing its bands are shown but can't be edited.
+const Equalizer = ({ controls, track }) => {
+  const { equalizer, autoMatch, setEnabled, setPreamp, updateBand, resetBands } = controls;
+  const { enabled, preamp, bands } = equalizer;
+  const editable = enabled && !autoMatch;
+
+  return (
+    <section className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium">Equalizer</h3>
+        <div className="flex items-center gap-3">
+          <button
+            type="button"
+            onClick={resetBands}
+            disabled={!editable}
+            className="flex items-center text-xs text-white/70 hover:text-white transition-colors disabled:opacity-50"
+          >
+            <RotateCcw className="w-3.5 h-3.5 mr-1" />
+            Flat
+          </button>
+          <Switch checked={enabled} onCheckedChange={setEnabled} aria-label="Equalizer on" />
+        </div>
+      </div>
+
+      <PresetBar controls={controls} disabled={!editable} />
+
+      {autoMatch && (
+        <p className="text-xs text-blue-300">
+          Playing with {autoMatch.preset.name}, picked for this {autoMatch.source}. Remove the rule
+          below to edit the bands.
+        </p>
+      )}
+
+      <ResponseCurve bands={bands} preamp={preamp} enabled={enabled} />
+
+      <div className={`space-y-2 ${editable ? '' : 'opacity-50'}`}>
+        <div className="grid grid-cols-[4.5rem_1fr_2.75rem_3.5rem] items-center gap-2">
+          <div className="text-[10px] uppercase tracking-wide text-white/50">Preamp</div>
+          <Slider
+            min={EQ_PREAMP_RANGE[0]}
+            max={EQ_PREAMP_RANGE[1]}
+            step={0.5}
+            value={[preamp]}
+            disabled={!editable}
+            onValueChange={([value]) => setPreamp(value)}
+            aria-label="Preamp"
+          />
+          <span className="text-xs text-right tabular-nums text-white/70">{formatGain(preamp)}</span>
+          <span />
+        </div>
+        <div className="grid grid-cols-[4.5rem_1fr_2.75rem_3.5rem] gap-2 text-[10px] uppercase tracking-wide text-white/40">
+          <span>Hz</span>
+          <span>Gain</span>
+          <span />
+          <span>Q</span>
+        </div>
+        {bands.map((band, index) => (
+          <BandRow key={index} band={band} index={index} disabled={!editable} onChange={updateBand} />
+        ))}
+      </div>
+
+      <AutoPresets controls={controls} track={track} />
+    </section>
+  );
+};
+
+export default Equalizer;
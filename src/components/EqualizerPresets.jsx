@@ -0,0 +1,251 @@
+import { useRef, useState } from 'react';
+import { Save, Trash2, Upload, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Input } from './ui/input';
+import { Switch } from './ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectGroup,
+  SelectItem,
+  SelectLabel,
+  SelectSeparator,
+  SelectTrigger,
+  SelectValue
+} from './ui/select';
+import { BUILT_IN_PRESETS, findPreset, genreKey } from '../services/equalizerPresets';
+
+// Select values can't be empty, so "no preset" gets a stand-in
+const NO_PRESET = 'none';
+
+const PresetOptions = ({ presets }) => (
+  <>
+    <SelectGroup>
+      <SelectLabel>Built-in</SelectLabel>
+      {BUILT_IN_PRESETS.map(preset => (
+        <SelectItem key={preset.id} value={preset.id}>{preset.name}</SelectItem>
+      ))}
+    </SelectGroup>
+    {presets.length > 0 && (
+      <>
+        <SelectSeparator />
+        <SelectGroup>
+          <SelectLabel>My presets</SelectLabel>
+          {presets.map(preset => (
+            <SelectItem key={preset.id} value={preset.id}>{preset.name}</SelectItem>
+          ))}
+        </SelectGroup>
+      </>
+    )}
+  </>
+);
+
+// Preset picker with save, delete and Equalizer APO import
+export const PresetBar = ({ controls, disabled }) => {
+  const { equalizer, presets, applyPreset, savePreset, deletePreset, importPreset } = controls;
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const fileInputRef = useRef(null);
+  const userPreset = presets.find(preset => preset.id === equalizer.presetId);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const preset = savePreset(name);
+    toast.success(`Saved preset "${preset.name}"`);
+    setNaming(false);
+    setName('');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { preset, dropped } = await importPreset(file);
+      toast.success(`Imported "${preset.name}"`, {
+        description: dropped > 0
+          ? `${dropped} filter${dropped === 1 ? '' : 's'} couldn't be mapped onto the equalizer bands`
+          : undefined
+      });
+    } catch (error) {
+      console.error('Failed to import equalizer preset:', error);
+      toast.error('Could not import preset', { description: error.message });
+    }
+  };
+
+  if (naming) {
+    return (
+      <form onSubmit={handleSave} className="flex items-center gap-2">
+        <Input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Preset name"
+          maxLength={60}
+          className="h-8 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-3 py-1.5 rounded-lg text-sm bg-white text-black disabled:opacity-50"
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={() => setNaming(false)}
+          className="px-3 py-1.5 rounded-lg text-sm bg-white/10 hover:bg-white/20 transition-colors"
+        >
+          Cancel
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <Select value={equalizer.presetId || ''} onValueChange={applyPreset} disabled={disabled}>
+        <SelectTrigger className="h-8 flex-1 text-sm" aria-label="Equalizer preset">
+          <SelectValue placeholder="Custom" />
+        </SelectTrigger>
+        <SelectContent>
+          <PresetOptions presets={presets} />
+        </SelectContent>
+      </Select>
+      <button
+        type="button"
+        onClick={() => setNaming(true)}
+        disabled={disabled}
+        title="Save as preset"
+        className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50"
+      >
+        <Save className="w-4 h-4" />
+      </button>
+      {userPreset && (
+        <button
+          type="button"
+          onClick={() => deletePreset(userPreset.id)}
+          disabled={disabled}
+          title={`Delete "${userPreset.name}"`}
+          className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        title="Import Equalizer APO / AutoEQ file"
+        className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+      >
+        <Upload className="w-4 h-4" />
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".txt,text/plain"
+        onChange={handleImport}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+const RuleSelect = ({ label, value, presets, onChange }) => (
+  <div className="grid grid-cols-[6rem_1fr] items-center gap-2">
+    <span className="text-sm text-white/70 truncate" title={label}>{label}</span>
+    <Select
+      value={value || NO_PRESET}
+      onValueChange={(presetId) => onChange(presetId === NO_PRESET ? null : presetId)}
+    >
+      <SelectTrigger className="h-8 text-sm" aria-label={`Preset for ${label}`}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={NO_PRESET}>No preset</SelectItem>
+        <SelectSeparator />
+        <PresetOptions presets={presets} />
+      </SelectContent>
+    </Select>
+  </div>
+);
+
+// Rules that switch presets by track or genre as playback moves on
+export const AutoPresets = ({ controls, track }) => {
+  const { auto, presets, setAutoEnabled, assignTrackPreset, assignGenrePreset, clearTrackPresets } = controls;
+  const genre = track?.metadata?.genre?.trim();
+  const genreRules = Object.entries(auto.genres);
+  const trackRuleCount = Object.keys(auto.tracks).length;
+
+  return (
+    <div className="space-y-3 rounded-lg border border-white/10 p-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm font-medium">Automatic presets</div>
+          <div className="text-xs text-white/50">Switch presets by track or genre</div>
+        </div>
+        <Switch checked={auto.enabled} onCheckedChange={setAutoEnabled} aria-label="Automatic presets on" />
+      </div>
+
+      {auto.enabled && (
+        <>
+          {track && (
+            <div className="space-y-2">
+              <RuleSelect
+                label="This track"
+                value={auto.tracks[track.id]}
+                presets={presets}
+                onChange={(presetId) => assignTrackPreset(track.id, presetId)}
+              />
+              {genre && (
+                <RuleSelect
+                  label={genre}
+                  value={auto.genres[genreKey(genre)]}
+                  presets={presets}
+                  onChange={(presetId) => assignGenrePreset(genre, presetId)}
+                />
+              )}
+            </div>
+          )}
+
+          {genreRules.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {genreRules.map(([ruleGenre, presetId]) => (
+                <span
+                  key={ruleGenre}
+                  className="flex items-center gap-1 rounded-full bg-white/10 pl-2.5 pr-1 py-0.5 text-xs"
+                >
+                  <span className="capitalize">{ruleGenre}</span>
+                  <span className="text-white/50">→ {findPreset(presetId, presets)?.name || 'Missing preset'}</span>
+                  <button
+                    type="button"
+                    onClick={() => assignGenrePreset(ruleGenre, null)}
+                    title={`Remove rule for ${ruleGenre}`}
+                    className="p-0.5 rounded-full hover:bg-white/20 transition-colors"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {trackRuleCount > 0 && (
+            <div className="flex items-center justify-between text-xs text-white/50">
+              <span>{trackRuleCount} track{trackRuleCount === 1 ? ' has its' : 's have their'} own preset</span>
+              <button
+                type="button"
+                onClick={clearTrackPresets}
+                className="text-white/70 hover:text-white transition-colors"
+              >
+                Clear
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,50 @@
+import { useEffect, useMemo, useState } from 'react';
+import { ListMusic } from 'lucide-react';
+import { getArtworkUrl } from '../services/audioStorage';
+import { cn } from '../lib/utils';
+
+// Cover for a playlist: a 2×2 collage of member artwork when four tracks
+// have some, otherwise the first cover, otherwise an icon
+const PlaylistCover = ({ tracks, className }) => {
+  const [urls, setUrls] = useState([]);
+  // Reload only when the cover tracks change, not on every new array
+  const coverKey = tracks.map(track => track.id).join(',');
+  const trackIds = useMemo(() => (coverKey ? coverKey.split(',') : []), [coverKey]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = [];
+
+    Promise.all(trackIds.map(id => getArtworkUrl(id))).then(results => {
+      loaded = results.filter(Boolean);
+      if (cancelled) {
+        loaded.forEach(url => URL.revokeObjectURL(url));
+      } else {
+        setUrls(loaded);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      loaded.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [trackIds]);
+
+  return (
+    <div className={cn('bg-white/10 rounded-lg overflow-hidden flex items-center justify-center shrink-0', className)}>
+      {urls.length >= 4 ? (
+        <div className="grid grid-cols-2 grid-rows-2 w-full h-full">
+          {urls.slice(0, 4).map(url => (
+            <img key={url} src={url} alt="" className="w-full h-full object-cover" />
+          ))}
+        </div>
+      ) : urls.length > 0 ? (
+        <img src={urls[0]} alt="" className="w-full h-full object-cover" />
+      ) : (
+        <ListMusic className="w-1/2 h-1/2 text-white/50" />
+      )}
+    </div>
+  );
+};
+
+export default PlaylistCover;
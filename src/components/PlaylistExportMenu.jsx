@@ -0,0 +1,42 @@
+import { Download } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from './ui/dropdown-menu';
+import { PLAYLIST_FORMATS, exportPlaylistFile } from '../services/playlistFormats';
+import { downloadBlob } from '../lib/utils';
+
+// "Export" button that downloads `tracks` as a playlist file in the
+// chosen format
+const PlaylistExportMenu = ({ tracks, name, disabled }) => {
+  const handleExport = (format) => {
+    const { blob, fileName } = exportPlaylistFile(tracks, { name, format });
+    downloadBlob(blob, fileName);
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild disabled={disabled || tracks.length === 0}>
+        <button className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm disabled:opacity-50 transition-colors">
+          <Download className="w-4 h-4 mr-2" />
+          Export
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent className="text-white">
+        <DropdownMenuLabel>Export as</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {Object.entries(PLAYLIST_FORMATS).map(([format, { label, extension }]) => (
+          <DropdownMenuItem key={format} onSelect={() => handleExport(format)}>
+            {label} <span className="ml-auto pl-4 text-xs text-white/50">.{extension}</span>
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default PlaylistExportMenu;
@@ -0,0 +1,45 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+
+// Result of a playlist import: how many entries matched, and the source
+// lines of those that didn't
+const PlaylistImportReport = ({ report, onOpenChange }) => {
+  if (!report) return null;
+
+  const { name, matched, total, unmatched } = report;
+
+  return (
+    <Dialog open onOpenChange={onOpenChange}>
+      <DialogContent className="text-white max-h-[80vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle>Imported &ldquo;{name}&rdquo;</DialogTitle>
+          <DialogDescription>
+            Matched {matched} of {total} entr{total !== 1 ? 'ies' : 'y'} to tracks in your library.
+          </DialogDescription>
+        </DialogHeader>
+
+        {unmatched.length > 0 && (
+          <div className="min-h-0 flex flex-col">
+            <h3 className="text-sm font-medium mb-2">
+              Not found ({unmatched.length})
+            </h3>
+            <div className="overflow-y-auto rounded-lg bg-black/30 border border-white/10 p-3 space-y-2">
+              {unmatched.map((entry, index) => (
+                <pre key={index} className="text-xs text-white/70 whitespace-pre-wrap break-all font-mono">
+                  {entry.line}
+                </pre>
+              ))}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PlaylistImportReport;
@@ -0,0 +1,377 @@
+import { useMemo, useRef, useState } from 'react';
+import { ArrowLeft, Copy, ListEnd, ListMusic, Pencil, Play, Plus, Sparkles, Trash2, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from './ui/alert-dialog';
+import PlaylistCover from './PlaylistCover';
+import PlaylistFormDialog from './PlaylistFormDialog';
+import SmartPlaylistDialog from './SmartPlaylistDialog';
+import PlaylistExportMenu from './PlaylistExportMenu';
+import PlaylistImportReport from './PlaylistImportReport';
+import {
+  createPlaylist,
+  updatePlaylist,
+  duplicatePlaylist,
+  deletePlaylist,
+  removeFromPlaylist,
+  resolvePlaylistEntries,
+  getPlaylistCoverTracks
+} from '../services/playlists';
+import { PLAYLIST_FILE_ACCEPT, importPlaylistFile } from '../services/playlistFormats';
+
+const formatDuration = (seconds = 0) => {
+  return `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+const trackCount = (count) => `${count} track${count !== 1 ? 's' : ''}`;
+
+// One playlist's tracks, with play, add-to-queue and per-track removal
+const PlaylistDetail = ({ playlist, tracks, currentTrack, onBack, onEdit, onPlay, onEnqueue, onChanged }) => {
+  const entries = useMemo(() => resolvePlaylistEntries(playlist, tracks), [playlist, tracks]);
+  const playlistTracks = entries.map(entry => entry.track);
+
+  const handleRemove = async (index) => {
+    if (await removeFromPlaylist(playlist.id, index)) {
+      onChanged();
+    } else {
+      toast.error('Could not remove the track');
+    }
+  };
+
+  return (
+    <div className="flex-1">
+      <button
+        onClick={onBack}
+        className="flex items-center text-sm text-white/70 hover:text-white mb-4 transition-colors"
+      >
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        All playlists
+      </button>
+
+      <div className="flex items-end gap-4 mb-6">
+        <PlaylistCover tracks={getPlaylistCoverTracks(playlist, tracks)} className="w-28 h-28" />
+        <div className="flex-1 min-w-0">
+          <h2 className="text-2xl font-bold truncate flex items-center gap-2">
+            {playlist.smart && <Sparkles className="w-5 h-5 text-white/70 shrink-0" aria-label="Smart playlist" />}
+            {playlist.name}
+          </h2>
+          {playlist.description && (
+            <p className="text-white/70 text-sm mt-1 line-clamp-2">{playlist.description}</p>
+          )}
+          <p className="text-white/50 text-sm mt-1">{trackCount(entries.length)}</p>
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={() => onPlay(playlistTracks, 0)}
+              disabled={entries.length === 0}
+              className="flex items-center px-3 py-1.5 rounded-lg bg-white text-black text-sm font-medium hover:bg-white/90 disabled:opacity-50 transition-colors"
+            >
+              <Play className="w-4 h-4 mr-2" />
+              Play
+            </button>
+            <button
+              onClick={() => onEnqueue(playlistTracks)}
+              disabled={entries.length === 0}
+              className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm disabled:opacity-50 transition-colors"
+            >
+              <ListEnd className="w-4 h-4 mr-2" />
+              Add to queue
+            </button>
+            <PlaylistExportMenu tracks={playlistTracks} name={playlist.name} />
+            <button
+              onClick={onEdit}
+              className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+              aria-label={playlist.smart ? 'Edit rules' : 'Edit playlist'}
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-white/60 text-center py-12">
+          {playlist.smart
+            ? 'No tracks match these rules yet.'
+            : 'This playlist is empty. Right-click tracks in your library to add them.'}
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {entries.map(({ index, track }, position) => (
+            <div
+              key={`${index ?? position}-${track.id}`}
+              className={`flex items-center gap-3 p-3 rounded-lg border transition-colors ${
+                currentTrack?.id === track.id ? 'bg-white/20 border-white/30' : 'bg-white/5 border-white/10'
+              }`}
+            >
+              <span className="w-6 text-right text-sm text-white/50">{position + 1}</span>
+              <div
+                className="flex-1 min-w-0 cursor-pointer"
+                onClick={() => onPlay(playlistTracks, position)}
+              >
+                <h3 className="font-medium truncate">{track.title}</h3>
+                <p className="text-white/70 text-sm truncate">
+                  {track.artist ? `${track.artist} • ` : ''}{formatDuration(track.duration)}
+                </p>
+              </div>
+              {index !== null && (
+                <button
+                  onClick={() => handleRemove(index)}
+                  className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+                  aria-label={`Remove ${track.title} from the playlist`}
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PlaylistsPage = ({ tracks, playlists, currentTrack, onPlay, onEnqueue, onPlaylistsChanged }) => {
+  const [openId, setOpenId] = useState(null);
+  // null: closed, {}: new playlist, playlist: editing it
+  const [editing, setEditing] = useState(null);
+  const [editingSmart, setEditingSmart] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const importInputRef = useRef(null);
+
+  const openPlaylist = playlists.find(playlist => playlist.id === openId) || null;
+
+  const handleSubmit = async ({ name, description }) => {
+    const saved = editing?.id
+      ? await updatePlaylist(editing.id, { name, description })
+      : await createPlaylist({ name, description });
+
+    if (!saved) {
+      toast.error('Could not save the playlist');
+      return false;
+    }
+    onPlaylistsChanged();
+    return true;
+  };
+
+  const handleSmartSubmit = async ({ name, description, smart }) => {
+    const saved = editingSmart?.id
+      ? await updatePlaylist(editingSmart.id, { name, description, smart })
+      : await createPlaylist({ name, description, smart });
+
+    if (!saved) {
+      toast.error('Could not save the playlist');
+      return false;
+    }
+    onPlaylistsChanged();
+    return true;
+  };
+
+  // Smart playlists edit their rules, others their name and description
+  const editPlaylist = (playlist) => {
+    if (playlist.smart) {
+      setEditingSmart(playlist);
+    } else {
+      setEditing(playlist);
+    }
+  };
+
+  // Import a playlist file as a new playlist of the tracks it matched
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { name, tracks: matched, unmatched, total } = await importPlaylistFile(file, tracks);
+      if (matched.length > 0) {
+        const playlist = await createPlaylist({ name, trackIds: matched.map(track => track.id) });
+        if (!playlist) {
+          toast.error('Could not save the imported playlist');
+          return;
+        }
+        onPlaylistsChanged();
+        setOpenId(playlist.id);
+      }
+      setImportReport({ name, matched: matched.length, total, unmatched });
+    } catch (error) {
+      console.error('Failed to import playlist:', error);
+      toast.error(`Failed to import playlist: ${error.message}`);
+    }
+  };
+
+  const handleDuplicate = async (playlist) => {
+    const copy = await duplicatePlaylist(playlist.id);
+    if (copy) {
+      toast.success(`Created "${copy.name}"`);
+      onPlaylistsChanged();
+    } else {
+      toast.error('Could not duplicate the playlist');
+    }
+  };
+
+  const handleDelete = async () => {
+    const playlist = deleting;
+    setDeleting(null);
+    if (await deletePlaylist(playlist.id)) {
+      if (openId === playlist.id) setOpenId(null);
+      toast.success(`Deleted "${playlist.name}"`);
+      onPlaylistsChanged();
+    } else {
+      toast.error('Could not delete the playlist');
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full text-white p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center">
+          <ListMusic className="w-8 h-8 mr-3 text-white/70" />
+          <h1 className="text-2xl font-bold">Playlists</h1>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Import
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept={PLAYLIST_FILE_ACCEPT}
+            onChange={handleImport}
+            className="hidden"
+          />
+          <button
+            onClick={() => setEditingSmart({})}
+            className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+          >
+            <Sparkles className="w-4 h-4 mr-2" />
+            Smart playlist
+          </button>
+          <button
+            onClick={() => setEditing({})}
+            className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            New playlist
+          </button>
+        </div>
+      </div>
+
+      {openPlaylist ? (
+        <PlaylistDetail
+          playlist={openPlaylist}
+          tracks={tracks}
+          currentTrack={currentTrack}
+          onBack={() => setOpenId(null)}
+          onEdit={() => editPlaylist(openPlaylist)}
+          onPlay={onPlay}
+          onEnqueue={onEnqueue}
+          onChanged={onPlaylistsChanged}
+        />
+      ) : playlists.length === 0 ? (
+        <div className="flex-1 flex items-center justify-center">
+          <div className="text-center">
+            <ListMusic className="w-16 h-16 mx-auto mb-4 text-white/50" />
+            <p className="text-white/70 text-lg">No playlists yet</p>
+            <p className="text-white/50 text-sm mt-2">Create one, or save the queue as a playlist</p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {playlists.map(playlist => (
+            <div
+              key={playlist.id}
+              className="flex items-center gap-4 p-3 rounded-lg bg-white/5 border border-white/10 hover:bg-white/10 transition-colors"
+            >
+              <div
+                className="flex flex-1 min-w-0 items-center gap-4 cursor-pointer"
+                onClick={() => setOpenId(playlist.id)}
+              >
+                <PlaylistCover tracks={getPlaylistCoverTracks(playlist, tracks)} className="w-14 h-14" />
+                <div className="min-w-0">
+                  <h3 className="font-medium truncate flex items-center gap-2">
+                    {playlist.smart && <Sparkles className="w-4 h-4 text-white/70 shrink-0" aria-label="Smart playlist" />}
+                    {playlist.name}
+                  </h3>
+                  <p className="text-white/70 text-sm truncate">
+                    {trackCount(resolvePlaylistEntries(playlist, tracks).length)}
+                    {playlist.description ? ` • ${playlist.description}` : ''}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => editPlaylist(playlist)}
+                  className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+                  aria-label={playlist.smart ? 'Edit rules' : 'Rename playlist'}
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDuplicate(playlist)}
+                  className="p-2 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+                  aria-label="Duplicate playlist"
+                >
+                  <Copy className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setDeleting(playlist)}
+                  className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+                  aria-label="Delete playlist"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <PlaylistFormDialog
+        playlist={editing?.id ? editing : null}
+        open={!!editing}
+        onOpenChange={(open) => !open && setEditing(null)}
+        onSubmit={handleSubmit}
+      />
+
+      <SmartPlaylistDialog
+        playlist={editingSmart?.id ? editingSmart : null}
+        tracks={tracks}
+        open={!!editingSmart}
+        onOpenChange={(open) => !open && setEditingSmart(null)}
+        onSubmit={handleSmartSubmit}
+      />
+
+      <PlaylistImportReport report={importReport} onOpenChange={(open) => !open && setImportReport(null)} />
+
+      <AlertDialog open={!!deleting} onOpenChange={(open) => !open && setDeleting(null)}>
+        <AlertDialogContent className="text-white">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete &ldquo;{deleting?.name}&rdquo;?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The playlist is removed. Its tracks stay in your library.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default PlaylistsPage;
@@ -0,0 +1,269 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Reorder, motion, useDragControls } from 'framer-motion';
+import { GripVertical, ListMusic, Music, Save, Trash2, Volume2, X } from 'lucide-react';
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from './ui/sheet';
+import { Drawer, DrawerContent, DrawerDescription, DrawerHeader, DrawerTitle } from './ui/drawer';
+import { Input } from './ui/input';
+import PlaylistExportMenu from './PlaylistExportMenu';
+import { useIsMobile } from '../hooks/use-mobile';
+
+// Swiping a row further than this (in px) removes it
+const SWIPE_REMOVE_DISTANCE = 120;
+
+const formatDuration = (seconds = 0) => {
+  return `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+// One queue row: drag the grip to reorder, swipe sideways or press × to
+// remove, click to play
+const QueueRow = ({ entry, played, onPlay, onRemove, onDragEnd }) => {
+  const dragControls = useDragControls();
+
+  return (
+    <Reorder.Item
+      value={entry}
+      dragListener={false}
+      dragControls={dragControls}
+      onDragEnd={onDragEnd}
+      className="relative list-none"
+    >
+      <motion.div
+        drag="x"
+        dragSnapToOrigin
+        dragDirectionLock
+        onDragEnd={(event, info) => {
+          if (Math.abs(info.offset.x) > SWIPE_REMOVE_DISTANCE) onRemove();
+        }}
+        className={`flex items-center gap-2 p-2 rounded-lg bg-white/5 hover:bg-white/10 transition-colors ${
+          played ? 'opacity-60' : ''
+        }`}
+      >
+        <button
+          onPointerDown={(event) => dragControls.start(event)}
+          className="p-1 text-white/50 hover:text-white cursor-grab active:cursor-grabbing touch-none"
+          aria-label="Drag to reorder"
+        >
+          <GripVertical className="w-4 h-4" />
+        </button>
+        <div className="flex-1 min-w-0 cursor-pointer" onClick={onPlay}>
+          <p className="text-sm font-medium truncate">{entry.track.title}</p>
+          <p className="text-xs text-white/60 truncate">
+            {entry.track.artist || 'Unknown Artist'} • {formatDuration(entry.track.duration)}
+          </p>
+        </div>
+        <button
+          onClick={onRemove}
+          className="p-1.5 rounded-lg text-white/60 hover:text-red-300 hover:bg-red-500/20 transition-colors"
+          aria-label={`Remove ${entry.track.title} from the queue`}
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </motion.div>
+    </Reorder.Item>
+  );
+};
+
+// A reorderable run of queue items. `offset` is the queue index of the
+// first item; moves are reported once the drag ends.
+const QueueSection = ({ title, entries, offset, played, onPlayItem, onRemove, onMove }) => {
+  const [order, setOrder] = useState(entries);
+
+  useEffect(() => {
+    setOrder(entries);
+  }, [entries]);
+
+  if (entries.length === 0) return null;
+
+  const handleDragEnd = (entry) => {
+    const from = entries.indexOf(entry);
+    const to = order.indexOf(entry);
+    if (from !== -1 && to !== -1 && from !== to) {
+      onMove(offset + from, offset + to);
+    }
+  };
+
+  return (
+    <section>
+      <h3 className="text-xs uppercase tracking-wide text-white/50 mb-2">{title}</h3>
+      <Reorder.Group axis="y" values={order} onReorder={setOrder} className="space-y-2">
+        {order.map(entry => (
+          <QueueRow
+            key={entry.queueId}
+            entry={entry}
+            played={played}
+            onPlay={() => onPlayItem(offset + entries.indexOf(entry))}
+            onRemove={() => onRemove(entry.queueId)}
+            onDragEnd={() => handleDragEnd(entry)}
+          />
+        ))}
+      </Reorder.Group>
+    </section>
+  );
+};
+
+// "Save queue as playlist" with an inline name field
+const SavePlaylistForm = ({ onSave, onCancel }) => {
+  const [name, setName] = useState(() => `Queue ${new Date().toLocaleDateString()}`);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+
+    setSaving(true);
+    const saved = await onSave(name.trim());
+    setSaving(false);
+    if (saved) onCancel();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-center gap-2">
+      <Input
+        autoFocus
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+        placeholder="Playlist name"
+        aria-label="Playlist name"
+      />
+      <button
+        type="submit"
+        disabled={saving || !name.trim()}
+        className="px-3 py-2 rounded-lg bg-white text-black text-sm font-medium hover:bg-white/90 disabled:opacity-50 transition-colors"
+      >
+        Save
+      </button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="px-3 py-2 rounded-lg hover:bg-white/10 text-sm text-white/70 transition-colors"
+      >
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+const QueueContents = ({
+  queue,
+  currentIndex,
+  isPlaying,
+  onPlayItem,
+  onRemove,
+  onMove,
+  onClearUpcoming,
+  onSaveAsPlaylist
+}) => {
+  const [savingPlaylist, setSavingPlaylist] = useState(false);
+  const current = queue[currentIndex] || null;
+  const queueTracks = useMemo(() => queue.map(entry => entry.track), [queue]);
+  // Stable slices, so a drag in progress survives unrelated re-renders
+  const played = useMemo(() => queue.slice(0, Math.max(currentIndex, 0)), [queue, currentIndex]);
+  const upcoming = useMemo(() => queue.slice(currentIndex + 1), [queue, currentIndex]);
+
+  if (queue.length === 0) {
+    return (
+      <div className="flex-1 flex flex-col items-center justify-center text-center text-white/60 py-12">
+        <ListMusic className="w-12 h-12 mb-3 text-white/40" />
+        <p>The queue is empty</p>
+        <p className="text-sm text-white/40 mt-1">Play a track or add some from your library</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 gap-4">
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={onClearUpcoming}
+          disabled={upcoming.length === 0}
+          className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm disabled:opacity-50 transition-colors"
+        >
+          <Trash2 className="w-4 h-4 mr-2" />
+          Clear upcoming
+        </button>
+        <button
+          onClick={() => setSavingPlaylist(true)}
+          className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+        >
+          <Save className="w-4 h-4 mr-2" />
+          Save as playlist
+        </button>
+        <PlaylistExportMenu tracks={queueTracks} name="Queue" />
+      </div>
+
+      {savingPlaylist && (
+        <SavePlaylistForm onSave={onSaveAsPlaylist} onCancel={() => setSavingPlaylist(false)} />
+      )}
+
+      <div className="flex-1 overflow-y-auto space-y-6 pr-1 select-none" data-vaul-no-drag>
+        {current && (
+          <section>
+            <h3 className="text-xs uppercase tracking-wide text-white/50 mb-2">Now playing</h3>
+            <div className="flex items-center gap-3 p-2 rounded-lg bg-white/20 border border-white/30">
+              {isPlaying ? <Volume2 className="w-4 h-4 ml-1" /> : <Music className="w-4 h-4 ml-1" />}
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium truncate">{current.track.title}</p>
+                <p className="text-xs text-white/60 truncate">{current.track.artist || 'Unknown Artist'}</p>
+              </div>
+            </div>
+          </section>
+        )}
+
+        <QueueSection
+          title={`Up next (${upcoming.length})`}
+          entries={upcoming}
+          offset={currentIndex + 1}
+          onPlayItem={onPlayItem}
+          onRemove={onRemove}
+          onMove={onMove}
+        />
+
+        <QueueSection
+          title="Previously played"
+          entries={played}
+          offset={0}
+          played
+          onPlayItem={onPlayItem}
+          onRemove={onRemove}
+          onMove={onMove}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Slide-over queue: a side sheet on larger screens, a bottom drawer on
+// mobile
+const QueuePanel = ({ open, onOpenChange, ...props }) => {
+  const isMobile = useIsMobile();
+  const count = props.queue.length;
+  const description = `${count} track${count !== 1 ? 's' : ''} in the queue`;
+
+  if (isMobile) {
+    return (
+      <Drawer open={open} onOpenChange={onOpenChange}>
+        <DrawerContent className="text-white h-[85vh] px-4 pb-6">
+          <DrawerHeader className="px-0">
+            <DrawerTitle>Queue</DrawerTitle>
+            <DrawerDescription>{description}</DrawerDescription>
+          </DrawerHeader>
+          <QueueContents {...props} />
+        </DrawerContent>
+      </Drawer>
+    );
+  }
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="text-white flex flex-col w-full sm:max-w-md">
+        <SheetHeader>
+          <SheetTitle>Queue</SheetTitle>
+          <SheetDescription>{description}</SheetDescription>
+        </SheetHeader>
+        <QueueContents {...props} />
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default QueuePanel;
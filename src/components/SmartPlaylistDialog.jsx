@@ -0,0 +1,353 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useFieldArray, useForm, useFormContext, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { FolderPlus, Loader2, Plus, X } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  DEFAULT_SMART,
+  SMART_FIELDS,
+  SORT_FIELDS,
+  createGroup,
+  createRule,
+  evaluateSmartPlaylist,
+  getOperator,
+  getOperators
+} from '../services/smartPlaylists';
+
+// Groups can nest this deep (the top-level group is depth 0)
+const MAX_DEPTH = 2;
+
+const ruleSchema = z.object({
+  type: z.literal('rule'),
+  field: z.string(),
+  operator: z.string(),
+  value: z.string().trim()
+}).superRefine((rule, context) => {
+  const { input } = getOperator(rule.field, rule.operator);
+  const issue = (message) => context.addIssue({ code: z.ZodIssueCode.custom, path: ['value'], message });
+
+  if (input === 'none') return;
+  if (rule.value === '') {
+    issue('Enter a value');
+  } else if (input === 'number' && isNaN(Number(rule.value))) {
+    issue('Enter a number');
+  } else if (input === 'date' && isNaN(new Date(rule.value).getTime())) {
+    issue('Enter a date');
+  }
+});
+
+const groupSchema = z.lazy(() => z.object({
+  type: z.literal('group'),
+  match: z.enum(['all', 'any']),
+  rules: z.array(z.union([ruleSchema, groupSchema])).min(1, 'Add at least one rule')
+}));
+
+const smartSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name is too long'),
+  description: z.string().trim().max(500, 'Description is too long'),
+  rules: groupSchema,
+  sortField: z.string(),
+  sortDirection: z.enum(['asc', 'desc']),
+  limit: z.string().trim().refine(
+    value => value === '' || (/^\d+$/.test(value) && Number(value) >= 1),
+    'Limit must be a whole number'
+  )
+});
+
+const toFormValues = (playlist) => {
+  const smart = playlist?.smart || DEFAULT_SMART;
+  return {
+    name: playlist?.name || '',
+    description: playlist?.description || '',
+    rules: smart.rules,
+    sortField: smart.sort?.field || 'title',
+    sortDirection: smart.sort?.direction || 'asc',
+    limit: smart.limit ? String(smart.limit) : ''
+  };
+};
+
+const toSmart = (values) => ({
+  rules: values.rules,
+  sort: { field: values.sortField, direction: values.sortDirection },
+  limit: values.limit ? Number(values.limit) : null
+});
+
+// A Select bound to one form field
+const SelectField = ({ name, options, className, onValueChange }) => {
+  const { control } = useFormContext();
+
+  return (
+    <FormField
+      control={control}
+      name={name}
+      render={({ field }) => (
+        <FormItem className={className}>
+          <Select
+            value={field.value}
+            onValueChange={(value) => {
+              field.onChange(value);
+              onValueChange?.(value);
+            }}
+          >
+            <FormControl>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+            </FormControl>
+            <SelectContent>
+              {options.map(option => (
+                <SelectItem key={option.name} value={option.name}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </FormItem>
+      )}
+    />
+  );
+};
+
+const RuleFields = ({ path, onRemove }) => {
+  const { control, setValue } = useFormContext();
+  const fieldName = useWatch({ control, name: `${path}.field` });
+  const operatorName = useWatch({ control, name: `${path}.operator` });
+  const operator = getOperator(fieldName, operatorName);
+
+  // A different field may not support the chosen operator
+  const handleFieldChange = (value) => {
+    if (!getOperators(value).some(candidate => candidate.name === operatorName)) {
+      setValue(`${path}.operator`, getOperators(value)[0].name);
+      setValue(`${path}.value`, '');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-start gap-2">
+      <SelectField
+        name={`${path}.field`}
+        options={SMART_FIELDS}
+        className="w-36 space-y-0"
+        onValueChange={handleFieldChange}
+      />
+      <SelectField
+        name={`${path}.operator`}
+        options={getOperators(fieldName)}
+        className="w-40 space-y-0"
+      />
+      {operator.input !== 'none' && (
+        <FormField
+          control={control}
+          name={`${path}.value`}
+          render={({ field }) => (
+            <FormItem className="flex-1 min-w-24 space-y-1">
+              <FormControl>
+                <Input
+                  type={operator.input === 'date' ? 'date' : 'text'}
+                  inputMode={operator.input === 'number' ? 'decimal' : undefined}
+                  {...field}
+                />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+      )}
+      <button
+        type="button"
+        onClick={onRemove}
+        className="p-2 rounded-lg text-white/60 hover:text-red-300 hover:bg-red-500/20 transition-colors"
+        aria-label="Remove rule"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+const RuleGroupFields = ({ path, depth, onRemove }) => {
+  const { control, formState } = useFormContext();
+  const { fields, append, remove } = useFieldArray({ control, name: `${path}.rules` });
+  // "Add at least one rule" is reported on the array itself
+  const rulesError = path.split('.').reduce((errors, part) => errors?.[part], formState.errors)?.rules;
+  const rulesMessage = rulesError?.message || rulesError?.root?.message;
+
+  return (
+    <div className={depth > 0 ? 'space-y-3 p-3 rounded-lg border border-white/20 bg-white/5' : 'space-y-3'}>
+      <div className="flex items-center gap-2 text-sm">
+        <span>Match</span>
+        <SelectField
+          name={`${path}.match`}
+          options={[{ name: 'all', label: 'all' }, { name: 'any', label: 'any' }]}
+          className="w-20 space-y-0"
+        />
+        <span>of these rules</span>
+        {onRemove && (
+          <button
+            type="button"
+            onClick={onRemove}
+            className="ml-auto p-2 rounded-lg text-white/60 hover:text-red-300 hover:bg-red-500/20 transition-colors"
+            aria-label="Remove group"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {fields.map((item, index) => (
+        item.type === 'group' ? (
+          <RuleGroupFields
+            key={item.id}
+            path={`${path}.rules.${index}`}
+            depth={depth + 1}
+            onRemove={() => remove(index)}
+          />
+        ) : (
+          <RuleFields key={item.id} path={`${path}.rules.${index}`} onRemove={() => remove(index)} />
+        )
+      ))}
+
+      {rulesMessage && <p className="text-[0.8rem] font-medium text-destructive">{rulesMessage}</p>}
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() => append(createRule())}
+          className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Rule
+        </button>
+        {depth < MAX_DEPTH && (
+          <button
+            type="button"
+            onClick={() => append(createGroup('any'))}
+            className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+          >
+            <FolderPlus className="w-4 h-4 mr-2" />
+            Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Create or edit a smart playlist. `onSubmit` receives
+// { name, description, smart } and resolves true once saved.
+const SmartPlaylistDialog = ({ playlist, tracks, open, onOpenChange, onSubmit }) => {
+  const form = useForm({ resolver: zodResolver(smartSchema), defaultValues: toFormValues(playlist) });
+  const [saving, setSaving] = useState(false);
+  const values = useWatch({ control: form.control });
+
+  useEffect(() => {
+    if (open) form.reset(toFormValues(playlist));
+  }, [open, playlist, form]);
+
+  // Live preview; invalid rules simply match nothing yet
+  const matchCount = useMemo(() => {
+    if (!values.rules) return 0;
+    return evaluateSmartPlaylist(toSmart(values), tracks).length;
+  }, [values, tracks]);
+
+  const handleSubmit = async ({ name, description, ...rest }) => {
+    setSaving(true);
+    const saved = await onSubmit({ name, description, smart: toSmart(rest) });
+    setSaving(false);
+    if (saved) onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="text-white max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{playlist ? 'Edit smart playlist' : 'New smart playlist'}</DialogTitle>
+          <DialogDescription>
+            {matchCount} track{matchCount !== 1 ? 's' : ''} currently match
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-4">
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Name</FormLabel>
+                  <FormControl>
+                    <Input {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="description"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Description</FormLabel>
+                  <FormControl>
+                    <Input {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <RuleGroupFields path="rules" depth={0} />
+
+            <div className="flex flex-wrap items-start gap-2 text-sm">
+              <span className="py-2">Sort by</span>
+              <SelectField name="sortField" options={SORT_FIELDS} className="w-36 space-y-0" />
+              {values.sortField !== 'random' && (
+                <SelectField
+                  name="sortDirection"
+                  options={[{ name: 'asc', label: 'Ascending' }, { name: 'desc', label: 'Descending' }]}
+                  className="w-36 space-y-0"
+                />
+              )}
+              <span className="py-2">limit to</span>
+              <FormField
+                control={form.control}
+                name="limit"
+                render={({ field }) => (
+                  <FormItem className="w-24 space-y-1">
+                    <FormControl>
+                      <Input inputMode="numeric" placeholder="All" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <span className="py-2">tracks</span>
+            </div>
+
+            <DialogFooter>
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center justify-center px-4 py-2 rounded-lg bg-white text-black text-sm font-medium hover:bg-white/90 disabled:opacity-50 transition-colors"
+              >
+                {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                {playlist ? 'Save' : 'Create'}
+              </button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SmartPlaylistDialog;
@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react';
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from './ui/sheet';
+import { Drawer, DrawerContent, DrawerDescription, DrawerHeader, DrawerTitle } from './ui/drawer';
+import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import Equalizer from './Equalizer';
+import Dynamics from './Dynamics';
+import { CROSSFADE_CURVES, MAX_CROSSFADE } from '../services/audioContext';
+import { REPLAY_GAIN_MODES, REPLAY_GAIN_PREAMP_RANGE } from '../services/replayGain';
+import { useIsMobile } from '../hooks/use-mobile';
+
+const CrossfadeSection = ({ crossfade, onChange }) => {
+  // Follow the slider while dragging; save once it's released
+  const [duration, setDuration] = useState(crossfade.duration);
+
+  useEffect(() => {
+    setDuration(crossfade.duration);
+  }, [crossfade.duration]);
+
+  return (
+    <section className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium">Crossfade</h3>
+        <span className="text-sm text-white/70">{duration > 0 ? `${duration} s` : 'Off'}</span>
+      </div>
+      <Slider
+        min={0}
+        max={MAX_CROSSFADE}
+        step={1}
+        value={[duration]}
+        onValueChange={([value]) => setDuration(value)}
+        onValueCommit={([value]) => onChange({ duration: value })}
+        aria-label="Crossfade length"
+      />
+      <div className="flex gap-2">
+        {Object.entries(CROSSFADE_CURVES).map(([curve, label]) => (
+          <button
+            key={curve}
+            type="button"
+            disabled={duration === 0}
+            onClick={() => onChange({ curve })}
+            className={`px-3 py-1.5 rounded-lg text-sm transition-colors disabled:opacity-50 ${
+              crossfade.curve === curve ? 'bg-white text-black' : 'bg-white/10 hover:bg-white/20'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-white/50">
+        Tracks from the same album always play straight into each other.
+      </p>
+    </section>
+  );
+};
+
+const GAIN_SOURCES = {
+  track: 'track ReplayGain',
+  album: 'album ReplayGain',
+  measured: 'measured loudness'
+};
+
+const formatDb = (db) => `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+
+// What normalization is doing to the current track
+const describeTrackGain = ({ gain, source }) => {
+  if (source === 'off') return null;
+  if (!source) return 'No loudness information for this track yet';
+  return `${formatDb(gain)} from ${GAIN_SOURCES[source]}`;
+};
+
+const LevelingSection = ({ replayGain, trackGain, onChange }) => {
+  const [preamp, setPreamp] = useState(replayGain.preamp);
+  const off = replayGain.mode === 'off';
+  const status = describeTrackGain(trackGain);
+
+  useEffect(() => {
+    setPreamp(replayGain.preamp);
+  }, [replayGain.preamp]);
+
+  return (
+    <section className="space-y-3">
+      <div>
+        <h3 className="font-medium">Volume leveling</h3>
+        <p className="text-xs text-white/50">
+          Plays tracks at the same loudness using ReplayGain tags, or a measurement of the audio when a
+          track has none
+        </p>
+      </div>
+      <div className="flex gap-2">
+        {Object.entries(REPLAY_GAIN_MODES).map(([mode, label]) => (
+          <button
+            key={mode}
+            type="button"
+            onClick={() => onChange({ mode })}
+            className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+              replayGain.mode === mode ? 'bg-white text-black' : 'bg-white/10 hover:bg-white/20'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className={`space-y-3 ${off ? 'opacity-50' : ''}`}>
+        <div className="flex items-center justify-between text-sm">
+          <span>Pre-amp</span>
+          <span className="text-white/70 tabular-nums">{formatDb(preamp)}</span>
+        </div>
+        <Slider
+          min={REPLAY_GAIN_PREAMP_RANGE[0]}
+          max={REPLAY_GAIN_PREAMP_RANGE[1]}
+          step={0.5}
+          value={[preamp]}
+          disabled={off}
+          onValueChange={([value]) => setPreamp(value)}
+          onValueCommit={([value]) => onChange({ preamp: value })}
+          aria-label="Leveling pre-amp"
+        />
+        <label className="flex items-center justify-between text-sm">
+          <span>Prevent clipping</span>
+          <Switch
+            checked={replayGain.preventClipping}
+            disabled={off}
+            onCheckedChange={(preventClipping) => onChange({ preventClipping })}
+          />
+        </label>
+        {status && <p className="text-xs text-white/50">{status}</p>}
+      </div>
+    </section>
+  );
+};
+
+// `equalizer` and `dynamics` are the state and actions from useEqualizer
+// and useDynamics
+const SoundSettingsContents = ({
+  crossfade,
+  onCrossfadeChange,
+  replayGain,
+  trackGain,
+  onReplayGainChange,
+  equalizer,
+  dynamics,
+  currentTrack
+}) => (
+  <div className="flex-1 min-h-0 overflow-y-auto space-y-6 py-4 pr-1">
+    <CrossfadeSection crossfade={crossfade} onChange={onCrossfadeChange} />
+    <LevelingSection replayGain={replayGain} trackGain={trackGain} onChange={onReplayGainChange} />
+    <Equalizer controls={equalizer} track={currentTrack} />
+    <Dynamics controls={dynamics} />
+  </div>
+);
+
+// Playback and audio processing settings, from the player bar
+const SoundSettingsPanel = ({ open, onOpenChange, ...props }) => {
+  const isMobile = useIsMobile();
+  const description = 'Changes apply to playback right away';
+
+  if (isMobile) {
+    return (
+      <Drawer open={open} onOpenChange={onOpenChange}>
+        <DrawerContent className="text-white max-h-[85vh] px-4 pb-6">
+          <DrawerHeader className="px-0">
+            <DrawerTitle>Sound</DrawerTitle>
+            <DrawerDescription>{description}</DrawerDescription>
+          </DrawerHeader>
+          <SoundSettingsContents {...props} />
+        </DrawerContent>
+      </Drawer>
+    );
+  }
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="text-white flex flex-col w-full sm:max-w-lg">
+        <SheetHeader>
+          <SheetTitle>Sound</SheetTitle>
+          <SheetDescription>{description}</SheetDescription>
+        </SheetHeader>
+        <SoundSettingsContents {...props} />
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default SoundSettingsPanel;
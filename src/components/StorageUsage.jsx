@@ -0,0 +1,105 @@
+import { useState, useEffect, useCallback } from 'react';
+import { HardDrive, ShieldCheck, ChevronDown } from 'lucide-react';
+import { Progress } from './ui/progress';
+import { Collapsible, CollapsibleTrigger, CollapsibleContent } from './ui/collapsible';
+import { getStorageInfo, getStorageBreakdown, requestPersistentStorage } from '../services/audioStorage';
+import { formatBytes } from '../lib/utils';
+
+const StorageUsage = ({ refreshKey }) => {
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [breakdown, setBreakdown] = useState([]);
+  const [persistRequested, setPersistRequested] = useState(false);
+
+  const refresh = useCallback(async () => {
+    const [info, tracks] = await Promise.all([getStorageInfo(), getStorageBreakdown()]);
+    setStorageInfo(info);
+    setBreakdown(tracks);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  const handlePersist = async () => {
+    setPersistRequested(true);
+    await requestPersistentStorage();
+    refresh();
+  };
+
+  if (!storageInfo) return null;
+
+  const usedPercent = storageInfo.total ? (storageInfo.used / storageInfo.total) * 100 : 0;
+  const libraryBytes = breakdown.reduce((total, track) => total + track.totalBytes, 0);
+
+  return (
+    <div className="w-full max-w-2xl mx-auto px-6 pb-6">
+      <div className="backdrop-blur-xl bg-white/10 rounded-2xl border border-white/20 p-6 text-white">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <HardDrive className="w-5 h-5 text-white/70" />
+            <h3 className="font-semibold">Storage</h3>
+          </div>
+          <span className="text-white/50 text-xs uppercase tracking-wide">{storageInfo.backend}</span>
+        </div>
+
+        {storageInfo.total ? (
+          <>
+            <Progress value={usedPercent} className="bg-white/20 [&>div]:bg-blue-500" />
+            <p className="text-white/70 text-sm mt-2">
+              {formatBytes(storageInfo.used)} of {formatBytes(storageInfo.total)} used
+              {' • '}{formatBytes(storageInfo.available)} free
+            </p>
+          </>
+        ) : (
+          <p className="text-white/70 text-sm">{formatBytes(storageInfo.used)} used</p>
+        )}
+
+        {storageInfo.canPersist && (
+          <div className="mt-4 flex items-center justify-between">
+            {storageInfo.persisted ? (
+              <p className="flex items-center text-green-300 text-sm">
+                <ShieldCheck className="w-4 h-4 mr-2" />
+                Protected from automatic cleanup
+              </p>
+            ) : (
+              <>
+                <p className="text-white/70 text-sm">
+                  {persistRequested
+                    ? 'Your browser declined. Bookmarking or installing the app can help.'
+                    : 'The browser may clear your library when space runs low.'}
+                </p>
+                <button
+                  onClick={handlePersist}
+                  className="ml-4 px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors whitespace-nowrap"
+                >
+                  Keep my library
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {breakdown.length > 0 && (
+          <Collapsible className="mt-4">
+            <CollapsibleTrigger className="group flex w-full items-center justify-between text-sm text-white/70 hover:text-white transition-colors">
+              <span>{breakdown.length} track{breakdown.length !== 1 ? 's' : ''} • {formatBytes(libraryBytes)}</span>
+              <ChevronDown className="w-4 h-4 transition-transform group-data-[state=open]:rotate-180" />
+            </CollapsibleTrigger>
+            <CollapsibleContent>
+              <ul className="mt-3 space-y-2 max-h-64 overflow-y-auto">
+                {breakdown.map(track => (
+                  <li key={track.id} className="flex items-center justify-between text-sm">
+                    <span className="truncate mr-4">{track.name}</span>
+                    <span className="text-white/50 whitespace-nowrap">{formatBytes(track.totalBytes)}</span>
+                  </li>
+                ))}
+              </ul>
+            </CollapsibleContent>
+          </Collapsible>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StorageUsage;
@@ -0,0 +1,286 @@
+import { useEffect, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { Download, ImagePlus, Loader2, Music, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { updateTrackTags, exportAudioFile, getArtworkUrl } from '../services/audioStorage';
+import { downloadBlob } from '../lib/utils';
+
+const MAX_ARTWORK_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Blank, or a whole number within range
+const optionalNumber = (label, min, max) => z.string().trim().refine(
+  value => value === '' || (/^\d+$/.test(value) && Number(value) >= min && Number(value) <= max),
+  `${label} must be a whole number from ${min} to ${max}`
+);
+
+const tagSchema = z.object({
+  title: z.string().trim().min(1, 'Title is required').max(200, 'Title is too long'),
+  artist: z.string().trim().max(200, 'Artist is too long'),
+  album: z.string().trim().max(200, 'Album is too long'),
+  trackNumber: optionalNumber('Track number', 1, 999),
+  genre: z.string().trim().max(100, 'Genre is too long'),
+  year: optionalNumber('Year', 1000, 9999)
+});
+
+const artworkSchema = z.instanceof(File)
+  .refine(file => file.type.startsWith('image/'), 'Cover art must be an image')
+  .refine(file => file.size <= MAX_ARTWORK_SIZE, 'Cover art must be 5MB or smaller');
+
+// Record metadata -> form strings
+const toFormValues = (metadata = {}) => ({
+  title: metadata.title || metadata.name || '',
+  artist: metadata.artist || '',
+  album: metadata.album || '',
+  trackNumber: metadata.trackNumber ? String(metadata.trackNumber) : '',
+  genre: metadata.genre || '',
+  year: metadata.year ? String(metadata.year) : ''
+});
+
+// Form strings -> normalized tag values
+const toTags = (values) => ({
+  title: values.title,
+  artist: values.artist || null,
+  album: values.album || null,
+  trackNumber: values.trackNumber ? Number(values.trackNumber) : null,
+  genre: values.genre || null,
+  year: values.year ? Number(values.year) : null
+});
+
+const TEXT_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'artist', label: 'Artist' },
+  { name: 'album', label: 'Album' },
+  { name: 'genre', label: 'Genre' }
+];
+
+const TagEditorDialog = ({ track, open, onOpenChange, onSaved }) => {
+  const form = useForm({
+    resolver: zodResolver(tagSchema),
+    defaultValues: toFormValues(track?.metadata)
+  });
+  const fileInputRef = useRef(null);
+  const [coverUrl, setCoverUrl] = useState(null);
+  // undefined: unchanged, null: removed, object: replacement
+  const [artwork, setArtwork] = useState(undefined);
+  const [artworkError, setArtworkError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !track) return undefined;
+
+    form.reset(toFormValues(track.metadata));
+    setArtwork(undefined);
+    setArtworkError(null);
+
+    let cancelled = false;
+    if (track.hasArtwork) {
+      getArtworkUrl(track.id).then(url => {
+        if (cancelled && url) URL.revokeObjectURL(url);
+        else setCoverUrl(url);
+      });
+    } else {
+      setCoverUrl(null);
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, track, form]);
+
+  // Preview for a newly chosen cover
+  useEffect(() => {
+    if (artwork) setCoverUrl(URL.createObjectURL(new Blob([artwork.data], { type: artwork.mimeType })));
+  }, [artwork]);
+
+  // Free each cover URL once another one is shown in its place
+  useEffect(() => () => {
+    if (coverUrl) URL.revokeObjectURL(coverUrl);
+  }, [coverUrl]);
+
+  const handleArtworkSelect = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const result = artworkSchema.safeParse(file);
+    if (!result.success) {
+      setArtworkError(result.error.issues[0].message);
+      return;
+    }
+
+    setArtworkError(null);
+    setArtwork({
+      mimeType: file.type,
+      pictureType: 3,
+      description: '',
+      data: new Uint8Array(await file.arrayBuffer())
+    });
+  };
+
+  const handleArtworkRemove = () => {
+    setArtwork(null);
+    setCoverUrl(null);
+  };
+
+  const handleExport = async () => {
+    const exported = await exportAudioFile(track.id);
+    if (exported) {
+      downloadBlob(exported.blob, exported.fileName);
+    } else {
+      toast.error('Could not export this track');
+    }
+  };
+
+  const onSubmit = async (values) => {
+    setSaving(true);
+    try {
+      const { written } = await updateTrackTags(track.id, toTags(values), { artwork });
+      toast.success(written
+        ? 'Tags saved to the file'
+        : 'Tags saved to your library (this format can\'t be rewritten, so exports keep the old tags)');
+      onSaved?.();
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Failed to save tags:', error);
+      toast.error(`Failed to save tags: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!track) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="text-white max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Edit tags</DialogTitle>
+          <DialogDescription className="truncate">{track.metadata.fileName}</DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
+            <div className="flex items-center gap-4">
+              <div className="w-20 h-20 rounded-lg bg-white/10 flex items-center justify-center overflow-hidden shrink-0">
+                {coverUrl ? (
+                  <img src={coverUrl} alt="Cover art" className="w-full h-full object-cover" />
+                ) : (
+                  <Music className="w-8 h-8 text-white/50" />
+                )}
+              </div>
+              <div className="space-y-2">
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => fileInputRef.current?.click()}
+                    className="flex items-center px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+                  >
+                    <ImagePlus className="w-4 h-4 mr-2" />
+                    Change cover
+                  </button>
+                  {coverUrl && (
+                    <button
+                      type="button"
+                      onClick={handleArtworkRemove}
+                      className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-300 transition-colors"
+                      aria-label="Remove cover art"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                {artworkError && <p className="text-[0.8rem] font-medium text-destructive">{artworkError}</p>}
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="image/*"
+                  onChange={handleArtworkSelect}
+                  className="hidden"
+                />
+              </div>
+            </div>
+
+            {TEXT_FIELDS.map(({ name, label }) => (
+              <FormField
+                key={name}
+                control={form.control}
+                name={name}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>{label}</FormLabel>
+                    <FormControl>
+                      <Input {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            ))}
+
+            <div className="grid grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="trackNumber"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Track number</FormLabel>
+                    <FormControl>
+                      <Input inputMode="numeric" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="year"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Year</FormLabel>
+                    <FormControl>
+                      <Input inputMode="numeric" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </div>
+
+            <DialogFooter className="gap-2">
+              <button
+                type="button"
+                onClick={handleExport}
+                className="flex items-center justify-center px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Export file
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center justify-center px-4 py-2 rounded-lg bg-white text-black text-sm font-medium hover:bg-white/90 disabled:opacity-50 transition-colors"
+              >
+                {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Save
+              </button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TagEditorDialog;
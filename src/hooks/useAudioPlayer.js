@@ -1,6 +1,104 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  getAudioFileUrl,
+  getArtworkUrl,
+  getPlaylistState,
+  savePlaylistState,
+  recordPlay,
+  getUserPreferences,
+  saveUserPreferences,
+  getAudioFileBlob,
+  saveTrackLoudness
+} from '../services/audioStorage';
+import audioContextManager, { CROSSFADE_CURVES, MAX_CROSSFADE } from '../services/audioContext';
+import { DEFAULT_REPLAY_GAIN, getNormalizationGain, normalizeReplayGain } from '../services/replayGain';
+import { LOUDNESS_METHOD, measureLoudness } from '../services/loudness';
+import {
+  EMPTY_QUEUE,
+  createQueueEntry,
+  getCurrentEntry,
+  getFollowingEntry,
+  replaceQueue,
+  insertAfterCurrent,
+  appendEntries,
+  removeEntries,
+  clearUpcoming,
+  moveEntry,
+  shuffleUpcoming,
+  shuffleQueue,
+  unshuffle,
+  syncQueueTracks,
+  serializeQueue,
+  deserializeQueue
+} from '../services/playQueue';
 
-export const useAudioPlayer = () => {
+// Going back restarts the current track after this many seconds
+const RESTART_THRESHOLD = 3;
+
+// CUE tracks whose boundaries are this close (seconds) play straight
+// through without a seek
+const CONTIGUOUS_TOLERANCE = 0.05;
+
+// Within this many seconds of the switch point, the preloaded next
+// track is scheduled to start exactly then: at the end of the current
+// one, or a crossfade's length before it
+const GAPLESS_LOOKAHEAD = 1;
+
+// HTMLMediaElement.HAVE_FUTURE_DATA: enough buffered to start at once
+const HAVE_FUTURE_DATA = 3;
+
+// The part of a deck's audio that is its track. Ordinary tracks span the
+// whole file; CUE tracks are a slice of their album's.
+const EMPTY_SEGMENT = { queueId: null, blobId: null, url: null, start: 0, end: null, ended: false };
+
+const toSegment = (entry) => ({
+  queueId: entry.queueId,
+  blobId: entry.track.blobId || entry.track.id,
+  url: null,
+  start: entry.track.startTime || 0,
+  end: entry.track.endTime ?? null,
+  ended: false
+});
+
+// Does `next` carry on exactly where the CUE track `track` stops?
+const isContiguous = (track, next) => {
+  return !!track && !!next && track.endTime != null &&
+    (next.blobId || next.id) === (track.blobId || track.id) &&
+    Math.abs((next.startTime || 0) - track.endTime) < CONTIGUOUS_TOLERANCE;
+};
+
+// Playback alternates between two decks (audio elements): the active
+// one plays the current item while the standby one preloads the next,
+// so the switch between them is gapless.
+const createDeck = () => {
+  const audio = new Audio();
+  audio.preload = 'auto';
+  return { audio, segment: EMPTY_SEGMENT, track: null, urls: [] };
+};
+
+const releaseDeck = (deck) => {
+  deck.urls.forEach(url => URL.revokeObjectURL(url));
+  deck.urls = [];
+  deck.segment = EMPTY_SEGMENT;
+  deck.track = null;
+};
+
+const activeDeck = (player) => player.decks[player.active] || null;
+const standbyDeck = (player) => player.decks[1 - player.active] || null;
+
+// Consecutive tracks of one album are meant to run into each other, so
+// they never crossfade
+const isSameAlbum = (track, next) => {
+  const album = (item) => (item?.album || '').toLowerCase();
+  const albumArtist = (item) => (item.metadata?.albumArtist || item.artist || '').toLowerCase();
+  return !!album(track) && album(track) === album(next) && albumArtist(track) === albumArtist(next);
+};
+
+const toArray = (tracks) => (Array.isArray(tracks) ? tracks : [tracks]).filter(Boolean);
+
+// `onTrackPlayed(trackId)` is called after a play has been counted
+export const useAudioPlayer = ({ onTrackPlayed } = {}) => {
+  const [queue, setQueue] = useState(EMPTY_QUEUE);
   const [currentTrack, setCurrentTrack] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
@@ -10,70 +108,177 @@ export const useAudioPlayer = () => {
   const [error, setError] = useState(null);
   const [isShuffling, setIsShuffling] = useState(false);
   const [repeatMode, setRepeatMode] = useState('none'); // 'none', 'one', 'all'
-  
-  const audioRef = useRef(null);
+  const [crossfade, setCrossfadeState] = useState({ duration: 0, curve: 'equalPower' });
+  const [replayGain, setReplayGainState] = useState(DEFAULT_REPLAY_GAIN);
+  // Normalization applied to the current track: { gain (dB), source }
+  const [trackGain, setTrackGain] = useState({ gain: 0, source: null });
+
+  // { decks: [deck, deck], active: index of the deck playing the current item }
+  const playerRef = useRef({ decks: [], active: 0 });
   const progressInterval = useRef(null);
+  // Latest values for event handlers registered once
+  const queueRef = useRef(queue);
+  const isPlayingRef = useRef(false);
+  const volumeRef = useRef(volume);
+  const handleTrackEndRef = useRef(null);
+  const handleTimeUpdateRef = useRef(null);
+  // Start playback as soon as the next current item has loaded
+  const autoplayRef = useRef(false);
+  // Don't overwrite the saved queue before it has been restored
+  const restoredRef = useRef(false);
+  // Queue item whose play has been counted, so pausing and resuming
+  // doesn't count again
+  const countedQueueIdRef = useRef(null);
+  const onTrackPlayedRef = useRef(onTrackPlayed);
+  // Decks are routed through the Web Audio graph on the first play
+  const graphConnectedRef = useRef(false);
+  // Pending timer that starts the standby deck at the end of the current item
+  const handoffRef = useRef(null);
+
+  const crossfadeRef = useRef(crossfade);
+  const replayGainRef = useRef(replayGain);
+  // Track ID -> loudness measured this session (null while measuring or
+  // when it can't be measured), so each track is only tried once
+  const loudnessRef = useRef(new Map());
+
+  queueRef.current = queue;
+  isPlayingRef.current = isPlaying;
+  onTrackPlayedRef.current = onTrackPlayed;
+  crossfadeRef.current = crossfade;
+  replayGainRef.current = replayGain;
 
-  // Initialize audio element
+  const currentEntry = getCurrentEntry(queue);
+  const followingEntry = getFollowingEntry(queue, repeatMode);
+  // The standby deck is only needed when the next item isn't simply the
+  // rest of the same CUE file
+  const preloadEntry = followingEntry &&
+    followingEntry.queueId !== currentEntry?.queueId &&
+    !isContiguous(currentEntry?.track, followingEntry.track)
+    ? followingEntry
+    : null;
+  const followingRef = useRef(null);
+  followingRef.current = { entry: followingEntry, preload: preloadEntry };
+
+  // Playback position within the current track, in seconds
+  const getTrackTime = useCallback(() => {
+    const deck = activeDeck(playerRef.current);
+    return deck ? Math.max(0, deck.audio.currentTime - deck.segment.start) : 0;
+  }, []);
+
+  const cancelHandoff = useCallback(() => {
+    clearTimeout(handoffRef.current);
+    handoffRef.current = null;
+  }, []);
+
+  const seekTrack = useCallback((time) => {
+    const deck = activeDeck(playerRef.current);
+    if (!deck) return;
+    cancelHandoff();
+    deck.audio.currentTime = deck.segment.start + time;
+    deck.segment.ended = false;
+    setCurrentTime(time);
+  }, [cancelHandoff]);
+
+  // Output volume: on the master gain once the graph is connected, else
+  // on the elements themselves
+  const applyVolume = useCallback((level) => {
+    volumeRef.current = level;
+    if (graphConnectedRef.current) {
+      audioContextManager.setVolume(level);
+    } else {
+      playerRef.current.decks.forEach(deck => { deck.audio.volume = level; });
+    }
+  }, []);
+
+  // Create the decks
   useEffect(() => {
-    audioRef.current = new Audio();
-    audioRef.current.preload = 'metadata';
-    
-    const audio = audioRef.current;
-    
-    // Audio event listeners
-    const handleLoadedMetadata = () => {
-      setDuration(audio.duration);
-      setIsLoading(false);
-    };
-    
-    const handleCanPlay = () => {
-      setIsLoading(false);
-    };
-    
-    const handleError = (e) => {
-      setError('Failed to load audio file');
-      setIsLoading(false);
-      setIsPlaying(false);
-    };
-    
-    const handleEnded = () => {
-      setIsPlaying(false);
-      handleTrackEnd();
-    };
-    
-    const handleLoadStart = () => {
-      setIsLoading(true);
-      setError(null);
-    };
+    const player = playerRef.current;
+    player.decks = [createDeck(), createDeck()];
+    player.active = 0;
+
+    const cleanups = player.decks.map(deck => {
+      const { audio } = deck;
+      const isActive = () => activeDeck(player) === deck;
+
+      // Audio event listeners; the standby deck only preloads quietly
+      const handleLoadedMetadata = () => {
+        const { start, end } = deck.segment;
+        if (start && audio.currentTime < start) {
+          audio.currentTime = start;
+        }
+        if (!isActive()) return;
+        setDuration(Math.max(0, (end ?? audio.duration) - start));
+        setIsLoading(false);
+      };
+
+      const handleCanPlay = () => {
+        if (isActive()) setIsLoading(false);
+      };
+
+      const handleError = () => {
+        if (!isActive()) {
+          // Not usable for a gapless switch; the item loads normally instead
+          releaseDeck(deck);
+          return;
+        }
+        setError('Failed to load audio file');
+        setIsLoading(false);
+        setIsPlaying(false);
+      };
+
+      const handleEnded = () => {
+        if (!isActive()) return;
+        setIsPlaying(false);
+        handleTrackEndRef.current?.();
+      };
+
+      const handleTimeUpdate = () => {
+        if (isActive()) handleTimeUpdateRef.current?.(deck);
+      };
+
+      const handleLoadStart = () => {
+        if (!isActive()) return;
+        setIsLoading(true);
+        setError(null);
+      };
+
+      audio.addEventListener('loadedmetadata', handleLoadedMetadata);
+      audio.addEventListener('canplay', handleCanPlay);
+      audio.addEventListener('error', handleError);
+      audio.addEventListener('ended', handleEnded);
+      audio.addEventListener('timeupdate', handleTimeUpdate);
+      audio.addEventListener('loadstart', handleLoadStart);
+
+      return () => {
+        audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
+        audio.removeEventListener('canplay', handleCanPlay);
+        audio.removeEventListener('error', handleError);
+        audio.removeEventListener('ended', handleEnded);
+        audio.removeEventListener('timeupdate', handleTimeUpdate);
+        audio.removeEventListener('loadstart', handleLoadStart);
+
+        audio.pause();
+        audio.src = '';
+        audioContextManager.disconnectAudioElement(audio);
+        releaseDeck(deck);
+      };
+    });
 
-    audio.addEventListener('loadedmetadata', handleLoadedMetadata);
-    audio.addEventListener('canplay', handleCanPlay);
-    audio.addEventListener('error', handleError);
-    audio.addEventListener('ended', handleEnded);
-    audio.addEventListener('loadstart', handleLoadStart);
-    
     return () => {
-      audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
-      audio.removeEventListener('canplay', handleCanPlay);
-      audio.removeEventListener('error', handleError);
-      audio.removeEventListener('ended', handleEnded);
-      audio.removeEventListener('loadstart', handleLoadStart);
-      
+      cleanups.forEach(cleanup => cleanup());
+      clearTimeout(handoffRef.current);
       if (progressInterval.current) {
         clearInterval(progressInterval.current);
       }
-      
-      audio.pause();
-      audio.src = '';
+      graphConnectedRef.current = false;
     };
   }, []);
 
   // Update progress
   useEffect(() => {
-    if (isPlaying && audioRef.current) {
+    if (isPlaying) {
       progressInterval.current = setInterval(() => {
-        setCurrentTime(audioRef.current.currentTime);
+        setCurrentTime(getTrackTime());
       }, 1000);
     } else {
       if (progressInterval.current) {
@@ -86,59 +291,568 @@ export const useAudioPlayer = () => {
         clearInterval(progressInterval.current);
       }
     };
-  }, [isPlaying]);
+  }, [isPlaying, getTrackTime]);
 
-  // Handle track end based on repeat mode
-  const handleTrackEnd = useCallback(() => {
-    if (repeatMode === 'one') {
-      audioRef.current.currentTime = 0;
-      audioRef.current.play();
-      setIsPlaying(true);
-    } else {
-      setCurrentTime(0);
+  // Route both decks through the Web Audio graph. This has to happen in
+  // response to a user gesture, so it waits for the first play.
+  const connectGraph = useCallback(async () => {
+    if (!graphConnectedRef.current) {
+      try {
+        await audioContextManager.initialize();
+        const { decks } = playerRef.current;
+        if (decks.every(deck => audioContextManager.connectAudioElement(deck.audio))) {
+          decks.forEach(deck => { deck.audio.volume = 1; });
+          graphConnectedRef.current = true;
+          audioContextManager.setVolume(volumeRef.current);
+        }
+      } catch {
+        // Without Web Audio the elements play directly
+      }
     }
-  }, [repeatMode]);
+    await audioContextManager.resume();
+  }, []);
 
-  // Load and play track
-  const loadTrack = useCallback((track) => {
-    if (!track || !track.url) {
-      setError('Invalid track data');
-      return;
+  // Count a play of the current item once
+  const countPlay = useCallback(async () => {
+    const entry = getCurrentEntry(queueRef.current);
+    if (entry && countedQueueIdRef.current !== entry.queueId) {
+      countedQueueIdRef.current = entry.queueId;
+      if (await recordPlay(entry.track.id)) {
+        onTrackPlayedRef.current?.(entry.track.id);
+      }
     }
+  }, []);
 
-    setCurrentTrack(track);
-    setIsLoading(true);
-    setError(null);
-    setCurrentTime(0);
-    
-    if (audioRef.current) {
-      audioRef.current.src = track.url;
-      audioRef.current.volume = volume;
-      audioRef.current.load();
-    }
-  }, [volume]);
+  const startPlayback = useCallback(async () => {
+    const deck = activeDeck(playerRef.current);
+    if (!deck) return;
 
-  // Play/pause controls
-  const play = useCallback(async () => {
-    if (!audioRef.current || !currentTrack) return;
-    
     try {
-      await audioRef.current.play();
+      await connectGraph();
+      audioContextManager.resetFade(deck.audio);
+      await deck.audio.play();
       setIsPlaying(true);
       setError(null);
-    } catch (err) {
+      await countPlay();
+    } catch {
       setError('Failed to play audio');
       setIsPlaying(false);
     }
-  }, [currentTrack]);
+  }, [connectGraph, countPlay]);
 
-  const pause = useCallback(() => {
-    if (audioRef.current) {
-      audioRef.current.pause();
+  // Set a deck's normalization gain for the track it holds
+  const applyLevel = useCallback((deck) => {
+    if (!deck?.track) return null;
+    const { track } = deck;
+    const level = getNormalizationGain(
+      track,
+      replayGainRef.current,
+      loudnessRef.current.get(track.id) ?? track.metadata?.loudness
+    );
+    audioContextManager.setElementGain(deck.audio, level.gain);
+    if (deck === activeDeck(playerRef.current)) setTrackGain(level);
+    return level;
+  }, []);
+
+  // Measure a track without ReplayGain tags and store the result. CUE
+  // tracks are skipped: they share one long file.
+  const measureTrack = useCallback(async (track) => {
+    loudnessRef.current.set(track.id, null);
+    if (track.blobId !== track.id) return null;
+
+    const blob = await getAudioFileBlob(track.id);
+    const loudness = blob ? await measureLoudness(blob, track.duration) : null;
+    if (!loudness) return null;
+
+    loudnessRef.current.set(track.id, loudness);
+    saveTrackLoudness(track.id, loudness);
+    return loudness;
+  }, []);
+
+  // Level a deck, measuring its track first if nothing is known about
+  // its loudness. Playback doesn't wait; the level follows once measured.
+  // Tracks already analyzed (e.g. found silent) aren't measured again.
+  const levelDeck = useCallback((deck) => {
+    const level = applyLevel(deck);
+    if (!level || level.source !== null || loudnessRef.current.has(deck.track.id)) return;
+    if (deck.track.metadata?.loudness?.method === LOUDNESS_METHOD) return;
+
+    const { track } = deck;
+    measureTrack(track).then(loudness => {
+      if (!loudness) return;
+      playerRef.current.decks
+        .filter(other => other.track?.id === track.id)
+        .forEach(applyLevel);
+    });
+  }, [applyLevel, measureTrack]);
+
+  // Crossfade length (seconds) from `track` into `next`; 0 for a gapless
+  // switch. Fades need the Web Audio graph.
+  const getCrossfadeLength = useCallback((track, next) => {
+    const { duration } = crossfadeRef.current;
+    if (!duration || !graphConnectedRef.current || isSameAlbum(track, next)) return 0;
+    return duration;
+  }, []);
+
+  // Start the standby deck as the active one runs out (or `overlap`
+  // seconds before, crossfading), make it active and advance the queue
+  // to its item
+  const handOff = useCallback((overlap) => {
+    handoffRef.current = null;
+    const player = playerRef.current;
+    const from = activeDeck(player);
+    const to = standbyDeck(player);
+    const expected = followingRef.current.preload;
+
+    if (!from || !to || from.audio.paused || !expected || to.segment.queueId !== expected.queueId) return;
+
+    const { audio, segment } = from;
+    const remaining = ((segment.end ?? audio.duration) - audio.currentTime) / (audio.playbackRate || 1);
+    const fade = Math.min(overlap, Math.max(0, remaining));
+    const fading = fade > 0 && !!audioContextManager.crossfade(audio, to.audio, fade, crossfadeRef.current.curve);
+
+    if (!fading) audioContextManager.resetFade(to.audio);
+    to.audio.play().catch(() => {
+      setError('Failed to play audio');
       setIsPlaying(false);
+    });
+
+    // A CUE slice would run on into the next slice of its file
+    if (segment.end !== null) {
+      if (fading) {
+        setTimeout(() => {
+          if (activeDeck(player) !== from) audio.pause();
+        }, fade * 1000);
+      } else {
+        audio.pause();
+      }
     }
+
+    player.active = 1 - player.active;
+    autoplayRef.current = false;
+    setQueue(previous => {
+      const index = previous.items.findIndex(item => item.queueId === expected.queueId);
+      return index === -1 ? previous : { ...previous, currentIndex: index };
+    });
   }, []);
 
+  // Called on every `timeupdate` of the active deck
+  handleTimeUpdateRef.current = (deck) => {
+    const { audio, segment } = deck;
+    const standby = standbyDeck(playerRef.current);
+    const { preload } = followingRef.current;
+    const endAt = segment.end ?? audio.duration;
+
+    if (handoffRef.current === null && !audio.paused && preload &&
+        standby.segment.queueId === preload.queueId && standby.audio.readyState >= HAVE_FUTURE_DATA) {
+      // Short tracks fade over at most half their length
+      const overlap = Math.min(
+        getCrossfadeLength(getCurrentEntry(queueRef.current)?.track, preload.track),
+        (endAt - segment.start) / 2
+      );
+      const lead = (endAt - overlap - audio.currentTime) / (audio.playbackRate || 1);
+      if (lead <= GAPLESS_LOOKAHEAD) {
+        handoffRef.current = setTimeout(() => handOff(overlap), Math.max(0, lead * 1000));
+      }
+    }
+
+    // A CUE track ends at its end offset rather than the end of the file.
+    // Playback runs on only when the next item is the following slice.
+    if (handoffRef.current !== null || segment.end === null || segment.ended || audio.currentTime < segment.end) return;
+
+    segment.ended = true;
+    const { entry } = followingRef.current;
+    const contiguous = isContiguous(getCurrentEntry(queueRef.current)?.track, entry?.track);
+
+    if (!contiguous) {
+      audio.pause();
+      setIsPlaying(false);
+    }
+    handleTrackEndRef.current?.();
+  };
+
+  // Load the audio of the current queue item whenever it changes
+  const currentQueueId = currentEntry?.queueId;
+  useEffect(() => {
+    const player = playerRef.current;
+    const entry = getCurrentEntry(queueRef.current);
+    const active = activeDeck(player);
+    if (!active) return undefined;
+
+    if (!entry) {
+      cancelHandoff();
+      player.decks.forEach(deck => {
+        deck.audio.pause();
+        deck.audio.removeAttribute('src');
+        releaseDeck(deck);
+      });
+      setCurrentTrack(null);
+      setIsPlaying(false);
+      setCurrentTime(0);
+      setDuration(0);
+      setTrackGain({ gain: 0, source: null });
+      return undefined;
+    }
+
+    // Show a deck that already holds this item: the active one after a
+    // gapless switch, or the standby one that preloaded it
+    const showDeck = (deck) => {
+      const { audio, segment } = deck;
+      deck.track = { ...entry.track, url: deck.track.url, artwork: deck.track.artwork };
+      setCurrentTrack(deck.track);
+      levelDeck(deck);
+      setCurrentTime(Math.max(0, audio.currentTime - segment.start));
+      setError(null);
+      if (audio.readyState >= 1) {
+        setDuration(Math.max(0, (segment.end ?? audio.duration) - segment.start));
+      }
+      setIsLoading(audio.readyState < HAVE_FUTURE_DATA);
+    };
+
+    if (active.segment.queueId === entry.queueId && active.track) {
+      showDeck(active);
+      if (!active.audio.paused) countPlay();
+      return undefined;
+    }
+
+    cancelHandoff();
+    const standby = standbyDeck(player);
+    if (standby.segment.queueId === entry.queueId && standby.track) {
+      active.audio.pause();
+      player.active = 1 - player.active;
+      standby.segment.ended = false;
+      if (Math.abs(standby.audio.currentTime - standby.segment.start) > CONTIGUOUS_TOLERANCE) {
+        standby.audio.currentTime = standby.segment.start;
+      }
+      showDeck(standby);
+
+      if (autoplayRef.current) {
+        autoplayRef.current = false;
+        startPlayback();
+      } else {
+        setIsPlaying(false);
+      }
+      return undefined;
+    }
+
+    let cancelled = false;
+    const { track } = entry;
+    const segment = toSegment(entry);
+
+    const load = async () => {
+      // Another track of the same CUE sheet reuses the loaded audio
+      const loaded = active.segment;
+      const sameAudio = !!loaded.url && loaded.blobId === segment.blobId;
+
+      if (!sameAudio) setIsLoading(true);
+      setError(null);
+      setCurrentTime(0);
+
+      const [url, artwork] = await Promise.all([
+        sameAudio ? loaded.url : getAudioFileUrl(track.id),
+        track.hasArtwork ? getArtworkUrl(track.id) : null
+      ]);
+
+      if (cancelled) {
+        [sameAudio ? null : url, artwork].filter(Boolean).forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+        return;
+      }
+
+      active.urls
+        .filter(objectUrl => objectUrl !== url)
+        .forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+      active.urls = [url, artwork].filter(Boolean);
+
+      if (!url) {
+        active.segment = EMPTY_SEGMENT;
+        active.track = null;
+        setError('Track audio is missing');
+        setIsLoading(false);
+        setIsPlaying(false);
+        return;
+      }
+
+      active.segment = { ...segment, url };
+      active.track = { ...track, url, artwork };
+      setCurrentTrack(active.track);
+      levelDeck(active);
+
+      if (sameAudio) {
+        // Seek unless playback has already run on into this track
+        if (Math.abs(active.audio.currentTime - segment.start) > CONTIGUOUS_TOLERANCE) {
+          active.audio.currentTime = segment.start;
+        }
+        if (!isNaN(active.audio.duration)) {
+          setDuration(Math.max(0, (segment.end ?? active.audio.duration) - segment.start));
+        }
+      } else {
+        active.audio.src = url;
+        active.audio.load();
+      }
+
+      if (autoplayRef.current) {
+        autoplayRef.current = false;
+        startPlayback();
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentQueueId, startPlayback, countPlay, cancelHandoff, levelDeck]);
+
+  // Preload the next item into the standby deck. After a switch the
+  // standby deck may still be playing the end of the previous item
+  // (briefly, or through a crossfade), so loading waits until it stops.
+  const preloadQueueId = preloadEntry?.queueId;
+  useEffect(() => {
+    const standby = standbyDeck(playerRef.current);
+    const entry = followingRef.current.preload;
+    if (!standby || !entry || standby.segment.queueId === entry.queueId) return undefined;
+
+    let cancelled = false;
+    const { audio } = standby;
+    const { track } = entry;
+
+    const preload = async () => {
+      const [url, artwork] = await Promise.all([
+        getAudioFileUrl(track.id),
+        track.hasArtwork ? getArtworkUrl(track.id) : null
+      ]);
+
+      if (cancelled || !url) {
+        [url, artwork].filter(Boolean).forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+        return;
+      }
+
+      releaseDeck(standby);
+      standby.urls = [url, artwork].filter(Boolean);
+      standby.segment = { ...toSegment(entry), url };
+      standby.track = { ...track, url, artwork };
+      levelDeck(standby);
+      audio.src = url;
+      audio.load();
+    };
+
+    // `pause` also fires when playback reaches the end
+    if (audio.paused) {
+      preload();
+    } else {
+      audio.addEventListener('pause', preload, { once: true });
+    }
+
+    return () => {
+      cancelled = true;
+      audio.removeEventListener('pause', preload);
+    };
+  }, [preloadQueueId, currentQueueId, levelDeck]);
+
+  // Keep track details (e.g. edited tags) in sync without reloading audio
+  const currentEntryTrack = currentEntry?.track;
+  useEffect(() => {
+    if (!currentEntryTrack) return;
+    setCurrentTrack(previous => (previous && previous.id === currentEntryTrack.id
+      ? { ...currentEntryTrack, url: previous.url, artwork: previous.artwork }
+      : previous));
+  }, [currentEntryTrack]);
+
+  // Persist the queue, shuffle and repeat settings
+  useEffect(() => {
+    if (!restoredRef.current) return;
+    savePlaylistState({ ...serializeQueue(queue), isShuffling, repeatMode });
+  }, [queue, isShuffling, repeatMode]);
+
+  // Make `index` the current item. Playback continues if `autoplay`.
+  const goTo = useCallback((index, autoplay) => {
+    const current = queueRef.current;
+    if (index < 0 || index >= current.items.length) return;
+
+    if (index === current.currentIndex) {
+      // Same item (e.g. repeat-all with one track): just start over
+      seekTrack(0);
+      if (autoplay) {
+        countedQueueIdRef.current = null;
+        startPlayback();
+      }
+      return;
+    }
+
+    autoplayRef.current = autoplay;
+    setQueue(previous => ({ ...previous, currentIndex: index }));
+  }, [startPlayback, seekTrack]);
+
+  // Handle track end based on repeat mode
+  const handleTrackEnd = useCallback(() => {
+    const { items, currentIndex } = queueRef.current;
+
+    if (repeatMode === 'one') {
+      seekTrack(0);
+      countedQueueIdRef.current = null;
+      startPlayback();
+    } else if (currentIndex < items.length - 1) {
+      goTo(currentIndex + 1, true);
+    } else if (repeatMode === 'all' && items.length > 0) {
+      goTo(0, true);
+    } else {
+      // End of the queue: stay on the last track, stopped
+      seekTrack(0);
+    }
+  }, [repeatMode, goTo, startPlayback, seekTrack]);
+
+  handleTrackEndRef.current = handleTrackEnd;
+
+  // Replace the queue with `tracks` and play from `startIndex`
+  const playQueue = useCallback((tracks, startIndex = 0) => {
+    const list = toArray(tracks);
+    if (!list.length) return;
+
+    autoplayRef.current = true;
+    setQueue(() => {
+      const next = replaceQueue(list, startIndex);
+      return isShuffling ? shuffleQueue(next) : next;
+    });
+  }, [isShuffling]);
+
+  // Play the queue item at `index`
+  const playQueueItem = useCallback((index) => {
+    goTo(index, true);
+  }, [goTo]);
+
+  const next = useCallback(() => {
+    const { items, currentIndex } = queueRef.current;
+    if (currentIndex < items.length - 1) {
+      goTo(currentIndex + 1, isPlayingRef.current);
+    } else if (repeatMode === 'all' && items.length > 0) {
+      goTo(0, isPlayingRef.current);
+    }
+  }, [repeatMode, goTo]);
+
+  const previous = useCallback(() => {
+    const { items, currentIndex } = queueRef.current;
+    const audio = activeDeck(playerRef.current)?.audio;
+
+    if (audio && getTrackTime() > RESTART_THRESHOLD) {
+      seekTrack(0);
+    } else if (currentIndex > 0) {
+      goTo(currentIndex - 1, isPlayingRef.current);
+    } else if (repeatMode === 'all' && items.length > 0) {
+      goTo(items.length - 1, isPlayingRef.current);
+    } else if (audio) {
+      seekTrack(0);
+    }
+  }, [repeatMode, goTo, getTrackTime, seekTrack]);
+
+  // Queue tracks to play right after the current one
+  const playNext = useCallback((tracks) => {
+    const entries = toArray(tracks).map(createQueueEntry);
+    if (entries.length) setQueue(previous => insertAfterCurrent(previous, entries));
+  }, []);
+
+  // Add tracks to the end of the queue
+  const enqueue = useCallback((tracks) => {
+    const entries = toArray(tracks).map(createQueueEntry);
+    if (entries.length) setQueue(previous => appendEntries(previous, entries));
+  }, []);
+
+  // Remove a queue item by its queueId. Removing the playing item moves
+  // on to the next one.
+  const removeFromQueue = useCallback((queueId) => {
+    if (getCurrentEntry(queueRef.current)?.queueId === queueId) {
+      autoplayRef.current = isPlayingRef.current;
+    }
+    setQueue(previous => removeEntries(previous, entry => entry.queueId === queueId));
+  }, []);
+
+  const moveInQueue = useCallback((fromIndex, toIndex) => {
+    setQueue(previous => moveEntry(previous, fromIndex, toIndex));
+  }, []);
+
+  // Remove every item after the current one
+  const clearUpcomingItems = useCallback(() => {
+    setQueue(previous => clearUpcoming(previous));
+  }, []);
+
+  // Empty the queue and stop playback
+  const clearQueue = useCallback(() => {
+    autoplayRef.current = false;
+    setQueue(EMPTY_QUEUE);
+  }, []);
+
+  // Refresh queued tracks after library changes; deleted tracks leave
+  // the queue
+  const syncLibrary = useCallback((tracks) => {
+    const current = getCurrentEntry(queueRef.current);
+    if (current && !tracks.some(track => track.id === current.track.id)) {
+      autoplayRef.current = isPlayingRef.current;
+    }
+    setQueue(previous => syncQueueTracks(previous, tracks));
+  }, []);
+
+  // Restore the saved queue once the library is loaded. The current item
+  // is loaded but not played.
+  const restoreQueue = useCallback(async (tracks) => {
+    if (restoredRef.current) return;
+
+    const saved = await getPlaylistState();
+    restoredRef.current = true;
+
+    if (saved && !Array.isArray(saved)) {
+      setIsShuffling(!!saved.isShuffling);
+      if (['none', 'one', 'all'].includes(saved.repeatMode)) setRepeatMode(saved.repeatMode);
+    }
+    autoplayRef.current = false;
+    setQueue(deserializeQueue(saved, tracks));
+  }, []);
+
+  // Load saved playback settings
+  useEffect(() => {
+    getUserPreferences().then(preferences => {
+      if (preferences.crossfade) setCrossfadeState(preferences.crossfade);
+      setReplayGainState(normalizeReplayGain(preferences.replayGain));
+    });
+  }, []);
+
+  // Re-level both decks when the normalization settings change
+  useEffect(() => {
+    playerRef.current.decks.forEach(levelDeck);
+  }, [replayGain, levelDeck]);
+
+  // Crossfade settings: { duration } in seconds (0 turns it off) and
+  // { curve }, a CROSSFADE_CURVES key
+  const setCrossfade = useCallback((updates) => {
+    const next = { ...crossfadeRef.current, ...updates };
+    next.duration = Math.max(0, Math.min(MAX_CROSSFADE, Number(next.duration) || 0));
+    if (!CROSSFADE_CURVES[next.curve]) next.curve = 'equalPower';
+
+    crossfadeRef.current = next;
+    setCrossfadeState(next);
+    saveUserPreferences({ crossfade: next });
+  }, []);
+
+  // Normalization settings: { mode } (a REPLAY_GAIN_MODES key),
+  // { preamp } in dB and { preventClipping }
+  const setReplayGain = useCallback((updates) => {
+    const next = normalizeReplayGain({ ...replayGainRef.current, ...updates });
+    replayGainRef.current = next;
+    setReplayGainState(next);
+    saveUserPreferences({ replayGain: next });
+  }, []);
+
+  // Play/pause controls
+  const play = useCallback(async () => {
+    if (!currentTrack) return;
+    await startPlayback();
+  }, [currentTrack, startPlayback]);
+
+  // Pauses both decks, so a crossfade in progress stops too
+  const pause = useCallback(() => {
+    cancelHandoff();
+    playerRef.current.decks.forEach(deck => deck.audio.pause());
+    setIsPlaying(false);
+  }, [cancelHandoff]);
+
   const togglePlayPause = useCallback(() => {
     if (isPlaying) {
       pause();
@@ -147,42 +861,33 @@ export const useAudioPlayer = () => {
     }
   }, [isPlaying, play, pause]);
 
-  // Seek control
+  // Seek control; `time` is relative to the start of the current track
   const seekTo = useCallback((time) => {
-    if (audioRef.current && !isNaN(time)) {
-      const seekTime = Math.max(0, Math.min(time, duration));
-      audioRef.current.currentTime = seekTime;
-      setCurrentTime(seekTime);
+    if (!isNaN(time)) {
+      seekTrack(Math.max(0, Math.min(time, duration)));
     }
-  }, [duration]);
+  }, [duration, seekTrack]);
 
   // Volume control
   const changeVolume = useCallback((newVolume) => {
     const vol = Math.max(0, Math.min(1, newVolume));
     setVolume(vol);
-    
-    if (audioRef.current) {
-      audioRef.current.volume = vol;
-    }
-  }, []);
+    applyVolume(vol);
+  }, [applyVolume]);
 
   // Mute/unmute
   const toggleMute = useCallback(() => {
-    if (audioRef.current) {
-      if (audioRef.current.volume > 0) {
-        audioRef.current.volume = 0;
-        setVolume(0);
-      } else {
-        audioRef.current.volume = 1;
-        setVolume(1);
-      }
-    }
-  }, []);
+    const level = volumeRef.current > 0 ? 0 : 1;
+    setVolume(level);
+    applyVolume(level);
+  }, [applyVolume]);
 
-  // Shuffle control
+  // Shuffle control: reorders the upcoming items, and restores the
+  // original order when turned off
   const toggleShuffle = useCallback(() => {
-    setIsShuffling(prev => !prev);
-  }, []);
+    setQueue(previous => (isShuffling ? unshuffle(previous) : shuffleUpcoming(previous)));
+    setIsShuffling(!isShuffling);
+  }, [isShuffling]);
 
   // Repeat mode control
   const toggleRepeat = useCallback(() => {
@@ -202,38 +907,26 @@ export const useAudioPlayer = () => {
 
   // Skip forward/backward
   const skipForward = useCallback((seconds = 10) => {
-    if (audioRef.current) {
-      const newTime = Math.min(audioRef.current.currentTime + seconds, duration);
-      seekTo(newTime);
-    }
-  }, [duration, seekTo]);
+    const newTime = Math.min(getTrackTime() + seconds, duration);
+    seekTo(newTime);
+  }, [duration, seekTo, getTrackTime]);
 
   const skipBackward = useCallback((seconds = 10) => {
-    if (audioRef.current) {
-      const newTime = Math.max(audioRef.current.currentTime - seconds, 0);
-      seekTo(newTime);
-    }
-  }, [seekTo]);
+    const newTime = Math.max(getTrackTime() - seconds, 0);
+    seekTo(newTime);
+  }, [seekTo, getTrackTime]);
 
   // Reset player
   const reset = useCallback(() => {
-    if (audioRef.current) {
-      audioRef.current.pause();
-      audioRef.current.currentTime = 0;
-    }
-    
-    setCurrentTrack(null);
-    setIsPlaying(false);
-    setCurrentTime(0);
-    setDuration(0);
+    clearQueue();
     setError(null);
     setIsLoading(false);
-  }, []);
+  }, [clearQueue]);
 
   // Format time helper
   const formatTime = useCallback((time) => {
     if (isNaN(time)) return '0:00';
-    
+
     const minutes = Math.floor(time / 60);
     const seconds = Math.floor(time % 60);
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
@@ -245,6 +938,8 @@ export const useAudioPlayer = () => {
   return {
     // State
     currentTrack,
+    queue: queue.items,
+    currentIndex: queue.currentIndex,
     isPlaying,
     currentTime,
     duration,
@@ -253,10 +948,12 @@ export const useAudioPlayer = () => {
     error,
     isShuffling,
     repeatMode,
+    crossfade,
+    replayGain,
+    trackGain,
     progress,
-    
+
     // Actions
-    loadTrack,
     play,
     pause,
     togglePlayPause,
@@ -265,11 +962,27 @@ export const useAudioPlayer = () => {
     toggleMute,
     toggleShuffle,
     toggleRepeat,
+    setCrossfade,
+    setReplayGain,
     skipForward,
     skipBackward,
     reset,
-    
+
+    // Queue
+    playQueue,
+    playQueueItem,
+    next,
+    previous,
+    playNext,
+    enqueue,
+    removeFromQueue,
+    moveInQueue,
+    clearQueue,
+    clearUpcoming: clearUpcomingItems,
+    syncLibrary,
+    restoreQueue,
+
     // Utilities
     formatTime
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,79 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import audioContextManager from '../services/audioContext';
+import { getUserPreferences, saveUserPreferences } from '../services/audioStorage';
+import { DEFAULT_DYNAMICS, applyCompressorPreset, normalizeDynamics } from '../services/dynamics';
+
+// Changes are heard at once but saved after this pause (ms), so
+// dragging a slider doesn't write on every step
+const SAVE_DELAY = 500;
+
+// Compressor and limiter settings: loaded from and saved to user
+// preferences, applied to the shared audio graph
+export const useDynamics = () => {
+  const [dynamics, setDynamicsState] = useState(DEFAULT_DYNAMICS);
+  const dynamicsRef = useRef(dynamics);
+  const saveTimerRef = useRef(null);
+  // Don't save over stored settings before they've been loaded
+  const loadedRef = useRef(false);
+
+  const apply = useCallback((next, { save = true } = {}) => {
+    dynamicsRef.current = next;
+    setDynamicsState(next);
+    audioContextManager.setDynamics(next);
+
+    if (!save) return;
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => {
+      saveTimerRef.current = null;
+      saveUserPreferences({ dynamics: next });
+    }, SAVE_DELAY);
+  }, []);
+
+  useEffect(() => {
+    getUserPreferences().then(preferences => {
+      loadedRef.current = true;
+      apply(normalizeDynamics(preferences.dynamics), { save: false });
+    });
+
+    // Save a pending change straight away when unmounting
+    return () => {
+      if (saveTimerRef.current && loadedRef.current) {
+        clearTimeout(saveTimerRef.current);
+        saveUserPreferences({ dynamics: dynamicsRef.current });
+      }
+    };
+  }, [apply]);
+
+  // Change compressor settings: { enabled, threshold, knee, ... }. Any
+  // change other than switching it on or off leaves the preset behind.
+  const updateCompressor = useCallback((changes) => {
+    const { compressor } = dynamicsRef.current;
+    const edited = Object.keys(changes).some(key => key !== 'enabled');
+    apply(normalizeDynamics({
+      ...dynamicsRef.current,
+      compressor: { ...compressor, ...changes, preset: edited ? null : compressor.preset }
+    }));
+  }, [apply]);
+
+  // Picking a preset also switches the compressor on
+  const applyPreset = useCallback((presetId) => {
+    const { compressor } = dynamicsRef.current;
+    apply({
+      ...dynamicsRef.current,
+      compressor: { ...applyCompressorPreset(compressor, presetId), enabled: true }
+    });
+  }, [apply]);
+
+  // Change limiter settings: { enabled, ceiling, release }
+  const updateLimiter = useCallback((changes) => {
+    const { limiter } = dynamicsRef.current;
+    apply(normalizeDynamics({ ...dynamicsRef.current, limiter: { ...limiter, ...changes } }));
+  }, [apply]);
+
+  return {
+    dynamics,
+    updateCompressor,
+    applyPreset,
+    updateLimiter
+  };
+};
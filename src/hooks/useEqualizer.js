@@ -0,0 +1,209 @@
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import audioContextManager from '../services/audioContext';
+import { getUserPreferences, saveUserPreferences } from '../services/audioStorage';
+import { DEFAULT_EQUALIZER, normalizeEqualizer } from '../services/equalizer';
+import {
+  DEFAULT_EQUALIZER_AUTO,
+  createUserPreset,
+  findPreset,
+  genreKey,
+  importParametricEqFile,
+  removePresetRules,
+  resolveAutoPreset
+} from '../services/equalizerPresets';
+
+// Changes are heard at once but saved after this pause (ms), so
+// dragging a slider doesn't write on every step
+const SAVE_DELAY = 500;
+
+// Set or clear (presetId null) one automatic preset rule
+const withRule = (rules, key, presetId) => {
+  const next = { ...rules };
+  if (presetId) {
+    next[key] = presetId;
+  } else {
+    delete next[key];
+  }
+  return next;
+};
+
+// Equalizer settings, user presets and automatic preset rules: loaded
+// from and saved to user preferences. The settings for `track` (its
+// automatic preset, if a rule matches, else the manual settings) are
+// applied to the shared audio graph.
+export const useEqualizer = ({ track } = {}) => {
+  const [equalizer, setEqualizerState] = useState(DEFAULT_EQUALIZER);
+  const [presets, setPresetsState] = useState([]);
+  const [auto, setAutoState] = useState(DEFAULT_EQUALIZER_AUTO);
+  const equalizerRef = useRef(equalizer);
+  const presetsRef = useRef(presets);
+  const autoRef = useRef(auto);
+  const saveTimerRef = useRef(null);
+  // Don't save over stored settings before they've been loaded
+  const loadedRef = useRef(false);
+
+  const apply = useCallback((next, { save = true } = {}) => {
+    equalizerRef.current = next;
+    setEqualizerState(next);
+
+    if (!save) return;
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => {
+      saveTimerRef.current = null;
+      saveUserPreferences({ equalizer: next });
+    }, SAVE_DELAY);
+  }, []);
+
+  // Presets and rules change rarely, so they're saved straight away,
+  // together so one write can't undo the other
+  const storeLibrary = useCallback(({ presets: nextPresets = presetsRef.current, auto: nextAuto = autoRef.current }) => {
+    presetsRef.current = nextPresets;
+    autoRef.current = nextAuto;
+    setPresetsState(nextPresets);
+    setAutoState(nextAuto);
+    saveUserPreferences({ equalizerPresets: nextPresets, equalizerAuto: nextAuto });
+  }, []);
+
+  useEffect(() => {
+    getUserPreferences().then(preferences => {
+      loadedRef.current = true;
+      apply(normalizeEqualizer(preferences.equalizer), { save: false });
+
+      presetsRef.current = Array.isArray(preferences.equalizerPresets) ? preferences.equalizerPresets : [];
+      autoRef.current = { ...DEFAULT_EQUALIZER_AUTO, ...preferences.equalizerAuto };
+      setPresetsState(presetsRef.current);
+      setAutoState(autoRef.current);
+    });
+
+    // Save a pending change straight away when unmounting
+    return () => {
+      if (saveTimerRef.current && loadedRef.current) {
+        clearTimeout(saveTimerRef.current);
+        saveUserPreferences({ equalizer: equalizerRef.current });
+      }
+    };
+  }, [apply]);
+
+  // The preset a rule picks for the current track, if any
+  const autoMatch = useMemo(() => {
+    const match = resolveAutoPreset(auto, track);
+    const preset = findPreset(match?.presetId, presets);
+    return preset ? { preset, source: match.source } : null;
+  }, [auto, track, presets]);
+
+  const active = useMemo(() => {
+    if (!autoMatch) return equalizer;
+    const { id, preamp, bands } = autoMatch.preset;
+    return { ...equalizer, preamp, bands, presetId: id };
+  }, [equalizer, autoMatch]);
+
+  useEffect(() => {
+    audioContextManager.setEqualizer(active);
+  }, [active]);
+
+  // Turning the equalizer off bypasses every band
+  const setEnabled = useCallback((enabled) => {
+    apply({ ...equalizerRef.current, enabled });
+  }, [apply]);
+
+  const setPreamp = useCallback((preamp) => {
+    apply(normalizeEqualizer({ ...equalizerRef.current, preamp, presetId: null }));
+  }, [apply]);
+
+  // Change one band: { frequency, gain, q }. The bands no longer match
+  // a preset after this.
+  const updateBand = useCallback((index, changes) => {
+    const { bands } = equalizerRef.current;
+    apply(normalizeEqualizer({
+      ...equalizerRef.current,
+      bands: bands.map((band, bandIndex) => (bandIndex === index ? { ...band, ...changes } : band)),
+      presetId: null
+    }));
+  }, [apply]);
+
+  const applyPreset = useCallback((presetId) => {
+    const preset = findPreset(presetId, presetsRef.current);
+    if (!preset) return;
+    apply({ ...equalizerRef.current, preamp: preset.preamp, bands: preset.bands, presetId: preset.id });
+  }, [apply]);
+
+  const resetBands = useCallback(() => {
+    applyPreset('flat');
+  }, [applyPreset]);
+
+  // Save the current bands and preamp as a new preset. Returns the preset.
+  const savePreset = useCallback((name) => {
+    const preset = createUserPreset(name, equalizerRef.current);
+    storeLibrary({ presets: [...presetsRef.current, preset] });
+    apply({ ...equalizerRef.current, presetId: preset.id });
+    return preset;
+  }, [apply, storeLibrary]);
+
+  // Remove a user preset and any rules that pick it; the current bands
+  // stay as they are
+  const deletePreset = useCallback((presetId) => {
+    storeLibrary({
+      presets: presetsRef.current.filter(preset => preset.id !== presetId),
+      auto: removePresetRules(autoRef.current, presetId)
+    });
+    if (equalizerRef.current.presetId === presetId) {
+      apply({ ...equalizerRef.current, presetId: null });
+    }
+  }, [apply, storeLibrary]);
+
+  // Add an Equalizer APO ParametricEQ.txt file as a preset and switch to
+  // it. Returns { preset, dropped }; throws if the file can't be used.
+  const importPreset = useCallback(async (file) => {
+    const result = await importParametricEqFile(file);
+    storeLibrary({ presets: [...presetsRef.current, result.preset] });
+    apply({
+      ...equalizerRef.current,
+      preamp: result.preset.preamp,
+      bands: result.preset.bands,
+      presetId: result.preset.id
+    });
+    return result;
+  }, [apply, storeLibrary]);
+
+  const setAutoEnabled = useCallback((enabled) => {
+    storeLibrary({ auto: { ...autoRef.current, enabled } });
+  }, [storeLibrary]);
+
+  // Pick a preset for one track (null removes the rule)
+  const assignTrackPreset = useCallback((trackId, presetId) => {
+    const current = autoRef.current;
+    storeLibrary({ auto: { ...current, tracks: withRule(current.tracks, trackId, presetId) } });
+  }, [storeLibrary]);
+
+  // Pick a preset for every track of a genre (null removes the rule)
+  const assignGenrePreset = useCallback((genre, presetId) => {
+    const key = genreKey(genre);
+    if (!key) return;
+    const current = autoRef.current;
+    storeLibrary({ auto: { ...current, genres: withRule(current.genres, key, presetId) } });
+  }, [storeLibrary]);
+
+  const clearTrackPresets = useCallback(() => {
+    storeLibrary({ auto: { ...autoRef.current, tracks: {} } });
+  }, [storeLibrary]);
+
+  return {
+    // What's playing: the automatic preset when one applies
+    equalizer: active,
+    autoMatch,
+    presets,
+    auto,
+    setEnabled,
+    setPreamp,
+    updateBand,
+    resetBands,
+    applyPreset,
+    savePreset,
+    deletePreset,
+    importPreset,
+    setAutoEnabled,
+    assignTrackPreset,
+    assignGenrePreset,
+    clearTrackPresets
+  };
+};
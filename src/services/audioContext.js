@@ -1,10 +1,63 @@
 // Web Audio API wrapper and utilities for audio processing
+
+// Crossfade shapes: linear ramps, or equal-power (cos/sin) curves that
+// keep the combined loudness steady through the fade
+export const CROSSFADE_CURVES = {
+  linear: 'Linear',
+  equalPower: 'Equal power'
+};
+
+export const MAX_CROSSFADE = 12; // seconds
+
+// Points in an equal-power fade curve
+const FADE_CURVE_POINTS = 64;
+
+// Time constant (seconds) for smoothing EQ and level changes, to avoid clicks
+const PARAM_SMOOTHING = 0.015;
+
+// Sample rate for computing EQ curves before playback has started
+const RESPONSE_SAMPLE_RATE = 48000;
+
+const equalPowerCurve = (fadeIn) => {
+  const curve = new Float32Array(FADE_CURVE_POINTS);
+  for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+    const angle = (i / (FADE_CURVE_POINTS - 1)) * (Math.PI / 2);
+    curve[i] = fadeIn ? Math.sin(angle) : Math.cos(angle);
+  }
+  return curve;
+};
+
 class AudioContextManager {
   constructor() {
     this.audioContext = null;
     this.analyserNode = null;
     this.gainNode = null;
-    this.sourceNode = null;
+    // Element -> { sourceNode, levelGain, fadeGain }. Each element gets
+    // one MediaElementSourceNode for its lifetime (creating a second
+    // throws), a gain for loudness normalization of the track it plays
+    // and a gain for crossfades. Levels are per element so two tracks
+    // overlapping in a crossfade each keep their own.
+    this.elementSources = new Map();
+    // Element -> normalization gain (linear), kept so it applies once
+    // the element is connected
+    this.elementLevels = new Map();
+    // Equalizer: fade gains feed eqInput, which runs through one
+    // BiquadFilterNode per band (or straight on when bypassed) into the
+    // dynamics stage. Settings are kept so they apply once the context exists.
+    this.eqInput = null;
+    this.eqFilters = [];
+    this.equalizer = null;
+    // Dynamics: dynamicsInput runs through the compressor and its makeup
+    // gain, then the lookahead limiter, each only while enabled, into the
+    // gain node. The limiter is an AudioWorklet, usable once its module
+    // has loaded; it reports its gain reduction over its port.
+    this.dynamicsInput = null;
+    this.compressor = null;
+    this.makeupGain = null;
+    this.limiterNode = null;
+    this.limiterReady = false;
+    this.limiterReduction = 0;
+    this.dynamics = null;
     this.isInitialized = false;
   }
 
@@ -24,6 +77,13 @@ class AudioContextManager {
 
       // Create gain node for volume control
       this.gainNode = this.audioContext.createGain();
+
+      // Equalizer and dynamics stages in front of the gain
+      this.dynamicsInput = this.audioContext.createGain();
+      this.buildDynamics();
+      this.eqInput = this.audioContext.createGain();
+      this.buildEqualizer();
+      this.loadLimiter();
       
       // Connect nodes
       this.gainNode.connect(this.analyserNode);
@@ -48,27 +108,232 @@ class AudioContextManager {
     }
   }
 
-  // Connect audio element to Web Audio API
+  // Route an audio element through the graph (via its level and fade
+  // gains into the equalizer). Calling it again for the same element
+  // returns the existing source.
   connectAudioElement(audioElement) {
     if (!this.isInitialized || !audioElement) return null;
 
-    try {
-      // Disconnect previous source if exists
-      if (this.sourceNode) {
-        this.sourceNode.disconnect();
-      }
+    const existing = this.elementSources.get(audioElement);
+    if (existing) return existing.sourceNode;
 
-      // Create media element source
-      this.sourceNode = this.audioContext.createMediaElementSource(audioElement);
-      this.sourceNode.connect(this.gainNode);
-
-      return this.sourceNode;
+    try {
+      const sourceNode = this.audioContext.createMediaElementSource(audioElement);
+      const levelGain = this.audioContext.createGain();
+      const fadeGain = this.audioContext.createGain();
+      levelGain.gain.value = this.elementLevels.get(audioElement) ?? 1;
+      sourceNode.connect(levelGain);
+      levelGain.connect(fadeGain);
+      fadeGain.connect(this.eqInput);
+      this.elementSources.set(audioElement, { sourceNode, levelGain, fadeGain });
+
+      return sourceNode;
     } catch (error) {
       console.error('Failed to connect audio element:', error);
       return null;
     }
   }
 
+  // Stop routing an element, e.g. when the player that owns it unmounts
+  disconnectAudioElement(audioElement) {
+    const nodes = this.elementSources.get(audioElement);
+    if (nodes) {
+      nodes.sourceNode.disconnect();
+      nodes.levelGain.disconnect();
+      nodes.fadeGain.disconnect();
+      this.elementSources.delete(audioElement);
+    }
+    this.elementLevels.delete(audioElement);
+  }
+
+  // Normalization gain (dB) for what an element plays, e.g. from
+  // ReplayGain. Glides to the new level so a change mid-track doesn't click.
+  setElementGain(audioElement, db) {
+    const level = audioUtils.dbToGain(db);
+    this.elementLevels.set(audioElement, level);
+
+    const nodes = this.elementSources.get(audioElement);
+    if (nodes) {
+      nodes.levelGain.gain.setTargetAtTime(level, this.audioContext.currentTime, PARAM_SMOOTHING);
+    }
+  }
+
+  // (Re)create the filter chain between eqInput and the dynamics stage
+  buildEqualizer() {
+    this.eqInput.disconnect();
+    this.eqFilters.forEach(filter => filter.disconnect());
+    this.eqFilters = [];
+
+    const enabled = Boolean(this.equalizer?.enabled);
+    const bands = enabled ? this.equalizer.bands : [];
+    this.eqInput.gain.value = enabled ? audioUtils.dbToGain(this.equalizer.preamp || 0) : 1;
+    this.eqFilters = bands.map(band => {
+      const filter = this.audioContext.createBiquadFilter();
+      filter.type = band.type;
+      filter.frequency.value = band.frequency;
+      filter.gain.value = band.gain;
+      filter.Q.value = band.q;
+      return filter;
+    });
+
+    [this.eqInput, ...this.eqFilters].reduce((previous, node) => {
+      previous.connect(node);
+      return node;
+    }).connect(this.dynamicsInput);
+  }
+
+  // Apply equalizer settings ({ enabled, preamp, bands }, see equalizer.js).
+  // Band values glide to their new settings; enabling, bypassing or a
+  // change of band types rebuilds the chain.
+  setEqualizer(equalizer) {
+    const previous = this.equalizer;
+    this.equalizer = equalizer;
+    if (!this.isInitialized) return;
+
+    const sameShape = previous?.enabled && equalizer.enabled &&
+      this.eqFilters.length === equalizer.bands.length &&
+      this.eqFilters.every((filter, index) => filter.type === equalizer.bands[index].type);
+
+    if (!sameShape) {
+      this.buildEqualizer();
+      return;
+    }
+
+    const currentTime = this.audioContext.currentTime;
+    this.eqInput.gain.setTargetAtTime(audioUtils.dbToGain(equalizer.preamp || 0), currentTime, PARAM_SMOOTHING);
+    equalizer.bands.forEach((band, index) => {
+      const filter = this.eqFilters[index];
+      filter.frequency.setTargetAtTime(band.frequency, currentTime, PARAM_SMOOTHING);
+      filter.gain.setTargetAtTime(band.gain, currentTime, PARAM_SMOOTHING);
+      filter.Q.setTargetAtTime(band.q, currentTime, PARAM_SMOOTHING);
+    });
+  }
+
+  // Combined response (dB) of EQ `bands` at each of `frequencies`, from
+  // the filters' getFrequencyResponse. Works before playback has started.
+  getEqualizerResponse(bands, frequencies) {
+    const response = new Float32Array(frequencies.length);
+
+    try {
+      const context = new OfflineAudioContext(1, 1, this.audioContext?.sampleRate || RESPONSE_SAMPLE_RATE);
+      const magnitude = new Float32Array(frequencies.length);
+      const phase = new Float32Array(frequencies.length);
+      const hz = Float32Array.from(frequencies);
+
+      bands.forEach(band => {
+        const filter = context.createBiquadFilter();
+        filter.type = band.type;
+        filter.frequency.value = band.frequency;
+        filter.gain.value = band.gain;
+        filter.Q.value = band.q;
+        filter.getFrequencyResponse(hz, magnitude, phase);
+        magnitude.forEach((value, index) => {
+          response[index] += 20 * Math.log10(value);
+        });
+      });
+    } catch (error) {
+      console.error('Failed to compute equalizer response:', error);
+    }
+
+    return response;
+  }
+
+  // Load the limiter's worklet module, then put the limiter in place if
+  // it's enabled. Without AudioWorklet support the limiter stays out.
+  async loadLimiter() {
+    const context = this.audioContext;
+    try {
+      await context.audioWorklet.addModule(new URL('./limiter.worklet.js', import.meta.url));
+    } catch (error) {
+      console.error('Failed to load limiter:', error);
+      return;
+    }
+
+    // The context may have been closed meanwhile
+    if (this.audioContext !== context) return;
+    this.limiterReady = true;
+    this.buildDynamics();
+  }
+
+  // (Re)create the dynamics chain between dynamicsInput and the gain node
+  buildDynamics() {
+    this.dynamicsInput.disconnect();
+    [this.compressor, this.makeupGain, this.limiterNode].forEach(node => node?.disconnect());
+    if (this.limiterNode) this.limiterNode.port.onmessage = null;
+    this.compressor = null;
+    this.makeupGain = null;
+    this.limiterNode = null;
+    this.limiterReduction = 0;
+
+    const { compressor, limiter } = this.dynamics || {};
+    const chain = [this.dynamicsInput];
+
+    if (compressor?.enabled) {
+      this.compressor = this.audioContext.createDynamicsCompressor();
+      this.compressor.threshold.value = compressor.threshold;
+      this.compressor.knee.value = compressor.knee;
+      this.compressor.ratio.value = compressor.ratio;
+      this.compressor.attack.value = compressor.attack;
+      this.compressor.release.value = compressor.release;
+      this.makeupGain = this.audioContext.createGain();
+      this.makeupGain.gain.value = audioUtils.dbToGain(compressor.makeup);
+      chain.push(this.compressor, this.makeupGain);
+    }
+
+    if (limiter?.enabled && this.limiterReady) {
+      this.limiterNode = new AudioWorkletNode(this.audioContext, 'lookahead-limiter', {
+        parameterData: { ceiling: limiter.ceiling, release: limiter.release }
+      });
+      this.limiterNode.port.onmessage = ({ data }) => {
+        this.limiterReduction = data;
+      };
+      chain.push(this.limiterNode);
+    }
+
+    chain.reduce((previous, node) => {
+      previous.connect(node);
+      return node;
+    }).connect(this.gainNode);
+  }
+
+  // Apply dynamics settings ({ compressor, limiter }, see dynamics.js).
+  // Values glide to their new settings; switching a stage on or off
+  // rebuilds the chain.
+  setDynamics(dynamics) {
+    this.dynamics = dynamics;
+    if (!this.isInitialized) return;
+
+    const sameShape = Boolean(this.compressor) === dynamics.compressor.enabled &&
+      Boolean(this.limiterNode) === (dynamics.limiter.enabled && this.limiterReady);
+
+    if (!sameShape) {
+      this.buildDynamics();
+      return;
+    }
+
+    const currentTime = this.audioContext.currentTime;
+    if (this.compressor) {
+      const { compressor } = dynamics;
+      ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(param => {
+        this.compressor[param].setTargetAtTime(compressor[param], currentTime, PARAM_SMOOTHING);
+      });
+      this.makeupGain.gain.setTargetAtTime(audioUtils.dbToGain(compressor.makeup), currentTime, PARAM_SMOOTHING);
+    }
+    if (this.limiterNode) {
+      this.limiterNode.parameters.get('ceiling').setTargetAtTime(dynamics.limiter.ceiling, currentTime, PARAM_SMOOTHING);
+      this.limiterNode.parameters.get('release').setTargetAtTime(dynamics.limiter.release, currentTime, PARAM_SMOOTHING);
+    }
+  }
+
+  // Current gain reduction (dB, 0 or below) of the compressor and the
+  // limiter; 0 for a stage that isn't running
+  getGainReduction() {
+    return {
+      compressor: this.compressor ? this.compressor.reduction : 0,
+      limiter: this.limiterNode ? this.limiterReduction : 0
+    };
+  }
+
   // Set volume (0 to 1)
   setVolume(volume) {
     if (this.gainNode) {
@@ -115,41 +380,51 @@ class AudioContextManager {
     this.gainNode.gain.linearRampToValueAtTime(0, currentTime + duration);
   }
 
-  // Crossfade between two audio elements
-  crossfade(fromElement, toElement, duration = 2) {
-    if (!this.isInitialized) return;
-
-    try {
-      // Create separate gain nodes for crossfade
-      const fromGain = this.audioContext.createGain();
-      const toGain = this.audioContext.createGain();
-
-      // Connect audio elements
-      const fromSource = this.audioContext.createMediaElementSource(fromElement);
-      const toSource = this.audioContext.createMediaElementSource(toElement);
+  // Crossfade between two connected audio elements: `fromElement` fades
+  // out while `toElement` fades in over `duration` seconds. Uses the
+  // elements' own fade gains, so it can run any number of times.
+  crossfade(fromElement, toElement, duration = 2, curve = 'linear') {
+    if (!this.isInitialized) return null;
 
-      fromSource.connect(fromGain);
-      toSource.connect(toGain);
+    const from = this.elementSources.get(fromElement);
+    const to = this.elementSources.get(toElement);
+    if (!from || !to) return null;
 
-      fromGain.connect(this.analyserNode);
-      toGain.connect(this.analyserNode);
-
-      // Set initial gain values
+    try {
+      const fromGain = from.fadeGain.gain;
+      const toGain = to.fadeGain.gain;
       const currentTime = this.audioContext.currentTime;
-      fromGain.gain.setValueAtTime(1, currentTime);
-      toGain.gain.setValueAtTime(0, currentTime);
 
-      // Crossfade
-      fromGain.gain.linearRampToValueAtTime(0, currentTime + duration);
-      toGain.gain.linearRampToValueAtTime(1, currentTime + duration);
+      fromGain.cancelScheduledValues(currentTime);
+      toGain.cancelScheduledValues(currentTime);
+
+      if (curve === 'equalPower') {
+        fromGain.setValueCurveAtTime(equalPowerCurve(false), currentTime, duration);
+        toGain.setValueCurveAtTime(equalPowerCurve(true), currentTime, duration);
+      } else {
+        fromGain.setValueAtTime(1, currentTime);
+        toGain.setValueAtTime(0, currentTime);
+        fromGain.linearRampToValueAtTime(0, currentTime + duration);
+        toGain.linearRampToValueAtTime(1, currentTime + duration);
+      }
 
-      return { fromGain, toGain };
+      return { fromGain: from.fadeGain, toGain: to.fadeGain };
     } catch (error) {
       console.error('Crossfade failed:', error);
       return null;
     }
   }
 
+  // Cancel any fade on an element and play it at full level
+  resetFade(audioElement) {
+    const nodes = this.elementSources.get(audioElement);
+    if (!nodes) return;
+
+    const { gain } = nodes.fadeGain;
+    gain.cancelScheduledValues(this.audioContext.currentTime);
+    gain.setValueAtTime(1, this.audioContext.currentTime);
+  }
+
   // Get audio context state
   getState() {
     return {
@@ -163,11 +438,28 @@ class AudioContextManager {
   // Cleanup and close audio context
   dispose() {
     try {
-      if (this.sourceNode) {
-        this.sourceNode.disconnect();
-        this.sourceNode = null;
+      this.elementSources.forEach(({ sourceNode, levelGain, fadeGain }) => {
+        sourceNode.disconnect();
+        levelGain.disconnect();
+        fadeGain.disconnect();
+      });
+      this.elementSources.clear();
+      this.elementLevels.clear();
+
+      this.eqFilters.forEach(filter => filter.disconnect());
+      this.eqFilters = [];
+      if (this.eqInput) {
+        this.eqInput.disconnect();
+        this.eqInput = null;
       }
 
+      [this.compressor, this.makeupGain, this.limiterNode, this.dynamicsInput].forEach(node => node?.disconnect());
+      this.compressor = null;
+      this.makeupGain = null;
+      this.limiterNode = null;
+      this.dynamicsInput = null;
+      this.limiterReady = false;
+
       if (this.gainNode) {
         this.gainNode.disconnect();
         this.gainNode = null;
@@ -195,6 +487,11 @@ const audioContextManager = new AudioContextManager();
 
 // Audio processing utilities
 export const audioUtils = {
+  // Convert decibels to a linear gain factor
+  dbToGain(db) {
+    return Math.pow(10, db / 20);
+  },
+
   // Convert frequency to note
   frequencyToNote(frequency) {
     const A4 = 440;
@@ -1,139 +1,304 @@
-// LocalStorage management for audio files and metadata
-const STORAGE_KEYS = {
+// Track library storage. Every read and write goes through the active
+// StorageAdapter (see storage/storageAdapter.js), chosen at startup.
+import { COLLECTIONS, getStorageAdapter } from './storage/storageAdapter';
+import { computeFileHash } from './fileHash';
+import { readAudioTags, detectAudioFormat, canWriteTags, writeAudioTags } from './metadata';
+import { getCueSegments } from './cueSheet';
+import { DEFAULT_EQUALIZER } from './equalizer';
+import { DEFAULT_EQUALIZER_AUTO } from './equalizerPresets';
+import { DEFAULT_REPLAY_GAIN } from './replayGain';
+import { DEFAULT_DYNAMICS } from './dynamics';
+
+// Legacy localStorage keys; the settings collection reuses them as keys
+export const STORAGE_KEYS = {
   AUDIO_FILES: 'player_audio_files',
   CURRENT_PLAYLIST: 'player_current_playlist',
   PLAYBACK_STATE: 'player_playback_state',
   USER_PREFERENCES: 'player_user_preferences'
 };
 
-// Convert file to base64 for storage
-const fileToBase64 = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = error => reject(error);
-  });
-};
-
 // Generate unique ID for audio files
 const generateId = () => {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 };
 
-// Extract metadata from audio file
-const extractMetadata = async (file) => {
+// Get the duration the browser reports for an audio file
+const readDuration = (file) => {
   return new Promise((resolve) => {
     const audio = new Audio();
     const url = URL.createObjectURL(file);
     
     audio.addEventListener('loadedmetadata', () => {
-      const metadata = {
-        duration: audio.duration,
-        name: file.name.replace(/\.[^/.]+$/, ""),
-        fileName: file.name,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified
-      };
       URL.revokeObjectURL(url);
-      resolve(metadata);
+      resolve(audio.duration);
     });
 
     audio.addEventListener('error', () => {
       URL.revokeObjectURL(url);
-      resolve({
-        duration: 0,
-        name: file.name.replace(/\.[^/.]+$/, ""),
-        fileName: file.name,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified
-      });
+      resolve(0);
     });
 
     audio.src = url;
   });
 };
 
-// Check if localStorage is available and has space
-const checkStorageAvailability = () => {
+// Extract metadata from audio file: file details, duration and tags.
+// Cover art is returned as `artwork` bytes; saveAudioFile stores it
+// as a separate blob.
+const extractMetadata = async (file) => {
+  const [duration, { artwork, ...tags }] = await Promise.all([
+    readDuration(file),
+    readAudioTags(file)
+  ]);
+
+  return {
+    metadata: {
+      ...tags,
+      // Prefer the browser's figure; fall back to the stream header
+      duration: duration || tags.audio?.duration || 0,
+      name: file.name.replace(/\.[^/.]+$/, ""),
+      fileName: file.name,
+      size: file.size,
+      type: file.type,
+      lastModified: file.lastModified
+    },
+    artwork
+  };
+};
+
+// Blob key for a track's cover image
+const artworkKey = (id) => `${id}:artwork`;
+
+// Store parsed cover art next to the audio and describe it in metadata
+const storeArtwork = async (adapter, id, artwork) => {
+  if (!artwork?.data?.length) {
+    await adapter.deleteBlob(artworkKey(id));
+    return null;
+  }
+
+  const blob = new Blob([artwork.data], { type: artwork.mimeType });
+  await adapter.writeBlob(artworkKey(id), blob);
+  return { mimeType: artwork.mimeType, size: blob.size, description: artwork.description || '' };
+};
+
+const hasStorageManager = () => typeof navigator !== 'undefined' && !!navigator.storage;
+
+// Backends whose capacity isn't governed by the origin quota
+const SELF_ACCOUNTED_BACKENDS = ['localstorage', 'memory'];
+
+// Get storage usage information. Uses the browser's quota estimate for
+// IndexedDB/OPFS and the backend's own accounting otherwise.
+export const getStorageInfo = async () => {
   try {
-    const test = '__storage_test__';
-    localStorage.setItem(test, test);
-    localStorage.removeItem(test);
-    return true;
-  } catch (e) {
-    return false;
+    const adapter = await getStorageAdapter();
+    let used;
+    let total;
+
+    if (hasStorageManager() && navigator.storage.estimate && !SELF_ACCOUNTED_BACKENDS.includes(adapter.name)) {
+      const estimate = await navigator.storage.estimate();
+      used = estimate.usage || 0;
+      total = estimate.quota ?? null;
+    } else {
+      ({ used, total } = await adapter.getUsage());
+    }
+
+    const available = total === null ? null : Math.max(0, total - used);
+    const persisted = hasStorageManager() && navigator.storage.persisted
+      ? await navigator.storage.persisted()
+      : false;
+
+    return {
+      backend: adapter.name,
+      used,
+      available,
+      total,
+      persisted,
+      canPersist: hasStorageManager() && typeof navigator.storage.persist === 'function',
+      usedMB: (used / (1024 * 1024)).toFixed(2),
+      availableMB: available === null ? null : (available / (1024 * 1024)).toFixed(2)
+    };
+  } catch (error) {
+    console.error('Failed to read storage usage:', error);
+    return { used: 0, available: 0, total: 0, persisted: false, canPersist: false };
   }
 };
 
-// Get storage usage information
-const getStorageInfo = () => {
-  if (!checkStorageAvailability()) {
-    return { used: 0, available: 0, total: 0 };
+// Ask the browser not to evict the library under storage pressure
+export const requestPersistentStorage = async () => {
+  if (!hasStorageManager() || typeof navigator.storage.persist !== 'function') {
+    return false;
   }
 
-  let used = 0;
-  for (let key in localStorage) {
-    if (localStorage.hasOwnProperty(key)) {
-      used += localStorage[key].length;
-    }
+  try {
+    return await navigator.storage.persist();
+  } catch (error) {
+    console.error('Failed to request persistent storage:', error);
+    return false;
   }
+};
+
+// Read a value from the settings collection
+const readSetting = async (key, fallback) => {
+  const adapter = await getStorageAdapter();
+  const value = await adapter.get(COLLECTIONS.SETTINGS, key);
+  return value ?? fallback;
+};
 
-  // Rough estimate of localStorage limit (usually 5-10MB)
-  const total = 10 * 1024 * 1024; // 10MB estimate
-  const available = total - used;
+// Write a value to the settings collection
+const writeSetting = async (key, value) => {
+  const adapter = await getStorageAdapter();
+  await adapter.put(COLLECTIONS.SETTINGS, key, value);
+};
 
-  return {
-    used: used,
-    available: available,
-    total: total,
-    usedMB: (used / (1024 * 1024)).toFixed(2),
-    availableMB: (available / (1024 * 1024)).toFixed(2)
-  };
+// What saveAudioFile does when identical bytes are already stored
+export const DUPLICATE_ACTIONS = {
+  SKIP: 'skip',
+  KEEP_BOTH: 'keep',
+  REPLACE: 'replace'
 };
 
-// Save audio file to localStorage
-export const saveAudioFile = async (file) => {
-  if (!checkStorageAvailability()) {
-    throw new Error('LocalStorage is not available');
+// Find stored tracks whose audio has this content hash
+export const findAudioFilesByHash = async (hash) => {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.query(COLLECTIONS.TRACKS, { index: 'hash', equals: hash });
+  } catch (error) {
+    console.error('Failed to look up audio file hash:', error);
+    return [];
   }
+};
 
+// Hash a file and look for an exact duplicate in the library
+export const findDuplicateAudioFile = async (file) => {
+  const hash = await computeFileHash(file);
+  const [duplicate] = await findAudioFilesByHash(hash);
+  return { hash, duplicate: duplicate || null };
+};
+
+// Save audio file (blob first, so a record never points at missing audio).
+// Options:
+//   hash         precomputed SHA-256, to avoid hashing twice
+//   onDuplicate  DUPLICATE_ACTIONS value used when the bytes already exist
+//                (defaults to keeping both)
+export const saveAudioFile = async (file, { hash, onDuplicate = DUPLICATE_ACTIONS.KEEP_BOTH } = {}) => {
   try {
-    const base64Data = await fileToBase64(file);
-    const metadata = await extractMetadata(file);
+    const adapter = await getStorageAdapter();
+    const contentHash = hash || await computeFileHash(file);
+    const [duplicate] = onDuplicate === DUPLICATE_ACTIONS.KEEP_BOTH
+      ? []
+      : await findAudioFilesByHash(contentHash);
+
+    if (duplicate && onDuplicate === DUPLICATE_ACTIONS.SKIP) {
+      return duplicate;
+    }
+
+    const { metadata, artwork } = await extractMetadata(file);
+
+    if (duplicate && onDuplicate === DUPLICATE_ACTIONS.REPLACE) {
+      // Same bytes: keep the ID and play history, refresh file details
+      metadata.artwork = await storeArtwork(adapter, duplicate.id, artwork);
+      const replaced = { ...duplicate, metadata, hash: contentHash };
+      await adapter.writeBlob(duplicate.id, file);
+      await adapter.put(COLLECTIONS.TRACKS, duplicate.id, replaced);
+      return replaced;
+    }
+
     const id = generateId();
+    metadata.artwork = await storeArtwork(adapter, id, artwork);
 
     const audioFile = {
       id,
-      data: base64Data,
       metadata,
+      hash: contentHash,
       createdAt: new Date().toISOString(),
       playCount: 0,
       lastPlayed: null
     };
 
-    const existingFiles = getAudioFiles();
-    const updatedFiles = [...existingFiles, audioFile];
+    await adapter.writeBlob(id, file);
+    await adapter.put(COLLECTIONS.TRACKS, id, audioFile);
 
-    localStorage.setItem(STORAGE_KEYS.AUDIO_FILES, JSON.stringify(updatedFiles));
-    
     return audioFile;
   } catch (error) {
+    if (error?.name === 'QuotaExceededError') {
+      throw new Error('Failed to save audio file: Not enough storage space available');
+    }
     throw new Error(`Failed to save audio file: ${error.message}`);
   }
 };
 
-// Get all audio files from localStorage
-export const getAudioFiles = () => {
-  if (!checkStorageAvailability()) {
-    return [];
+// Save one FILE entry of a CUE sheet: the audio is stored once and each
+// track becomes a virtual record pointing at it via `blobId`, with
+// `startTime`/`endTime` in seconds (endTime null = to the end of the
+// file). Returns the new records.
+export const saveCueTracks = async (file, fileEntry, sheet) => {
+  try {
+    const adapter = await getStorageAdapter();
+    const { metadata, artwork } = await extractMetadata(file);
+    const total = metadata.duration;
+    const blobId = generateId();
+    const createdAt = new Date().toISOString();
+
+    const sharedArtwork = await storeArtwork(adapter, blobId, artwork);
+    const segments = getCueSegments(fileEntry).filter(segment => !total || segment.start < total);
+
+    const records = segments.map(segment => {
+      const duration = Math.max(0, (segment.end ?? total) - segment.start);
+      return {
+        id: generateId(),
+        blobId,
+        startTime: segment.start,
+        endTime: segment.end,
+        metadata: {
+          ...metadata,
+          name: segment.title || `${metadata.name} (${segment.number})`,
+          title: segment.title || '',
+          artist: segment.performer || sheet.performer || metadata.artist || '',
+          albumArtist: sheet.performer || metadata.albumArtist || '',
+          album: sheet.title || metadata.album || '',
+          genre: sheet.genre || metadata.genre || '',
+          year: sheet.year || metadata.year || null,
+          trackNumber: segment.number,
+          trackTotal: segments.length,
+          duration,
+          // Each track's share of the file, so storage totals add up
+          size: total ? Math.round(file.size * duration / total) : 0,
+          artwork: sharedArtwork
+        },
+        createdAt,
+        playCount: 0,
+        lastPlayed: null
+      };
+    });
+
+    await adapter.writeBlob(blobId, file);
+    for (const record of records) {
+      await adapter.put(COLLECTIONS.TRACKS, record.id, record);
+    }
+
+    return records;
+  } catch (error) {
+    if (error?.name === 'QuotaExceededError') {
+      throw new Error('Failed to save audio file: Not enough storage space available');
+    }
+    throw new Error(`Failed to save audio file: ${error.message}`);
   }
+};
 
+// Write a complete track record together with its audio blob.
+// Used when importing existing libraries, so IDs and play stats survive.
+export const putAudioFile = async (audioFile, blob) => {
+  const adapter = await getStorageAdapter();
+  await adapter.writeBlob(audioFile.id, blob);
+  await adapter.put(COLLECTIONS.TRACKS, audioFile.id, audioFile);
+  return audioFile;
+};
+
+// Get all audio files (metadata only), oldest first
+export const getAudioFiles = async () => {
   try {
-    const stored = localStorage.getItem(STORAGE_KEYS.AUDIO_FILES);
-    return stored ? JSON.parse(stored) : [];
+    const adapter = await getStorageAdapter();
+    return await adapter.query(COLLECTIONS.TRACKS, { index: 'createdAt' });
   } catch (error) {
     console.error('Failed to load audio files:', error);
     return [];
@@ -141,17 +306,81 @@ export const getAudioFiles = () => {
 };
 
 // Get single audio file by ID
-export const getAudioFile = (id) => {
-  const files = getAudioFiles();
-  return files.find(file => file.id === id) || null;
+export const getAudioFile = async (id) => {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.get(COLLECTIONS.TRACKS, id);
+  } catch (error) {
+    console.error('Failed to load audio file:', error);
+    return null;
+  }
+};
+
+// Blob key holding a track's audio; CUE tracks share their album's
+const audioBlobKey = async (adapter, id) => {
+  const record = await adapter.get(COLLECTIONS.TRACKS, id);
+  return record?.blobId || id;
+};
+
+// Get the stored audio blob for a track. For a CUE track this is the
+// whole album file; use startTime/endTime to find the track in it.
+export const getAudioFileBlob = async (id) => {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.readBlob(await audioBlobKey(adapter, id));
+  } catch (error) {
+    console.error('Failed to load audio data:', error);
+    return null;
+  }
 };
 
-// Delete audio file by ID
-export const deleteAudioFile = (id) => {
+// Get the stored cover image for a track. CUE tracks fall back to the
+// cover of their album file unless it was edited away.
+export const getArtworkBlob = async (id) => {
   try {
-    const files = getAudioFiles();
-    const updatedFiles = files.filter(file => file.id !== id);
-    localStorage.setItem(STORAGE_KEYS.AUDIO_FILES, JSON.stringify(updatedFiles));
+    const adapter = await getStorageAdapter();
+    const own = await adapter.readBlob(artworkKey(id));
+    if (own) return own;
+
+    const record = await adapter.get(COLLECTIONS.TRACKS, id);
+    return record?.blobId && record.metadata.artwork
+      ? await adapter.readBlob(artworkKey(record.blobId))
+      : null;
+  } catch (error) {
+    console.error('Failed to load artwork:', error);
+    return null;
+  }
+};
+
+// Object URL for a track's cover image, or null. Callers revoke it.
+export const getArtworkUrl = async (id) => {
+  const blob = await getArtworkBlob(id);
+  return blob ? URL.createObjectURL(blob) : null;
+};
+
+// Create an object URL for playback. Callers revoke it when done.
+export const getAudioFileUrl = async (id) => {
+  const blob = await getAudioFileBlob(id);
+  return blob ? URL.createObjectURL(blob) : null;
+};
+
+// Delete audio file by ID (record first, so the track disappears at once).
+// Shared CUE audio is only removed with the last track that uses it.
+export const deleteAudioFile = async (id) => {
+  try {
+    const adapter = await getStorageAdapter();
+    const record = await adapter.get(COLLECTIONS.TRACKS, id);
+    await adapter.delete(COLLECTIONS.TRACKS, id);
+    await adapter.deleteBlob(id);
+    await adapter.deleteBlob(artworkKey(id));
+
+    if (record?.blobId) {
+      const siblings = await adapter.query(COLLECTIONS.TRACKS, { index: 'blobId', equals: record.blobId, limit: 1 });
+      if (siblings.length === 0) {
+        await adapter.deleteBlob(record.blobId);
+        await adapter.deleteBlob(artworkKey(record.blobId));
+      }
+    }
     return true;
   } catch (error) {
     console.error('Failed to delete audio file:', error);
@@ -159,29 +388,148 @@ export const deleteAudioFile = (id) => {
   }
 };
 
-// Update audio file metadata (play count, last played, etc.)
-export const updateAudioFile = (id, updates) => {
+// Update audio file records (play count, last played, tags, ...).
+// `id` may be an array, in which case every record is rewritten in one
+// transaction. `updates` is merged into each record, or is a function
+// that receives the record and returns its replacement.
+export const updateAudioFile = async (id, updates) => {
   try {
-    const files = getAudioFiles();
-    const fileIndex = files.findIndex(file => file.id === id);
-    
-    if (fileIndex === -1) {
-      return false;
-    }
+    const adapter = await getStorageAdapter();
+    const ids = Array.isArray(id) ? id : [id];
+    const apply = typeof updates === 'function'
+      ? updates
+      : (existing) => ({ ...existing, ...updates });
 
-    files[fileIndex] = { ...files[fileIndex], ...updates };
-    localStorage.setItem(STORAGE_KEYS.AUDIO_FILES, JSON.stringify(files));
-    return true;
+    const updated = await adapter.update(COLLECTIONS.TRACKS, ids, apply);
+    return updated === ids.length;
   } catch (error) {
     console.error('Failed to update audio file:', error);
     return false;
   }
 };
 
+// Count a play: bump playCount and set lastPlayed to now
+export const recordPlay = (id) => updateAudioFile(id, (existing) => ({
+  ...existing,
+  playCount: (existing.playCount || 0) + 1,
+  lastPlayed: new Date().toISOString()
+}));
+
+// Store a track's measured loudness (see loudness.js)
+export const saveTrackLoudness = (id, loudness) => updateAudioFile(id, (existing) => ({
+  ...existing,
+  metadata: { ...existing.metadata, loudness }
+}));
+
+// Rewrite the tags inside a track's stored audio, for formats with a
+// tag writer. Returns the record fields that change, or null. CUE tracks
+// share one file, so their tags only live in the record.
+const rewriteStoredTags = async (adapter, record, metadata, artwork) => {
+  if (record.blobId) return null;
+
+  const blob = await adapter.readBlob(record.id);
+  const format = blob ? await detectAudioFormat(blob) : null;
+  if (!canWriteTags(format)) return null;
+
+  const tagged = await writeAudioTags(blob, format, metadata, { artwork });
+  await adapter.writeBlob(record.id, tagged);
+  return { hash: await computeFileHash(tagged), size: tagged.size };
+};
+
+// Apply edited tags to several tracks. `changes` is a list of
+// { id, tags, artwork }, where artwork follows writeAudioTags: a new
+// cover, null to remove it, or undefined to leave it alone.
+// Stored audio is rewritten where the format allows it, so exports carry
+// the new tags; the records are then saved in a single transaction.
+// Returns { updated, written }.
+export const updateTracksTags = async (changes, { onProgress } = {}) => {
+  const adapter = await getStorageAdapter();
+  const recordUpdates = new Map();
+  let written = 0;
+
+  for (const [index, { id, tags, artwork }] of changes.entries()) {
+    const existing = await adapter.get(COLLECTIONS.TRACKS, id);
+    if (existing) {
+      const metadataUpdates = { ...tags };
+      const rewritten = await rewriteStoredTags(adapter, existing, { ...existing.metadata, ...tags }, artwork);
+      if (rewritten) {
+        metadataUpdates.size = rewritten.size;
+        written++;
+      }
+      if (artwork !== undefined) {
+        metadataUpdates.artwork = await storeArtwork(adapter, id, artwork);
+      }
+      recordUpdates.set(id, { metadataUpdates, hash: rewritten?.hash });
+    }
+
+    onProgress?.({ completed: index + 1, total: changes.length });
+  }
+
+  const saved = await updateAudioFile([...recordUpdates.keys()], (existing) => {
+    const { metadataUpdates, hash } = recordUpdates.get(existing.id);
+    return {
+      ...existing,
+      hash: hash || existing.hash,
+      metadata: { ...existing.metadata, ...metadataUpdates }
+    };
+  });
+
+  if (!saved) {
+    throw new Error('Failed to save track details');
+  }
+
+  return { updated: recordUpdates.size, written };
+};
+
+// Apply edited tags to one track. Returns { written }, which is false
+// when the format can't be rewritten and only the record changed.
+export const updateTrackTags = async (id, tags, { artwork } = {}) => {
+  const { updated, written } = await updateTracksTags([{ id, tags, artwork }]);
+  if (!updated) {
+    throw new Error('Track not found');
+  }
+  return { written: written > 0 };
+};
+
+// Stored audio with its original file name, for downloading
+export const exportAudioFile = async (id) => {
+  const [record, blob] = await Promise.all([getAudioFile(id), getAudioFileBlob(id)]);
+  if (!record || !blob) return null;
+  return { blob, fileName: record.metadata.fileName || record.metadata.name };
+};
+
+// Shape a stored record for list views and the player
+const toTrack = (file) => ({
+  id: file.id,
+  name: file.metadata.name,
+  title: file.metadata.title || file.metadata.name,
+  artist: file.metadata.artist || null,
+  album: file.metadata.album || null,
+  hasArtwork: !!file.metadata.artwork,
+  duration: file.metadata.duration || 0,
+  uploadDate: file.createdAt,
+  playCount: file.playCount,
+  lastPlayed: file.lastPlayed,
+  // Where the audio lives; CUE tracks are a slice of a shared file
+  blobId: file.blobId || file.id,
+  startTime: file.startTime || 0,
+  endTime: file.endTime ?? null,
+  metadata: file.metadata
+});
+
+// Library tracks, newest first, ready for the UI
+export const getStoredTracks = async () => {
+  const files = await getAudioFiles();
+  return files.map(toTrack).reverse();
+};
+
+// Remove a track and its audio data
+export const deleteTrack = (id) => deleteAudioFile(id);
+
 // Save current playlist state
-export const savePlaylistState = (playlist) => {
+export const savePlaylistState = async (playlist) => {
   try {
-    localStorage.setItem(STORAGE_KEYS.CURRENT_PLAYLIST, JSON.stringify(playlist));
+    await writeSetting(STORAGE_KEYS.CURRENT_PLAYLIST, playlist);
     return true;
   } catch (error) {
     console.error('Failed to save playlist state:', error);
@@ -190,10 +538,9 @@ export const savePlaylistState = (playlist) => {
 };
 
 // Get current playlist state
-export const getPlaylistState = () => {
+export const getPlaylistState = async () => {
   try {
-    const stored = localStorage.getItem(STORAGE_KEYS.CURRENT_PLAYLIST);
-    return stored ? JSON.parse(stored) : [];
+    return await readSetting(STORAGE_KEYS.CURRENT_PLAYLIST, []);
   } catch (error) {
     console.error('Failed to load playlist state:', error);
     return [];
@@ -201,12 +548,12 @@ export const getPlaylistState = () => {
 };
 
 // Save playback state (current song, position, etc.)
-export const savePlaybackState = (state) => {
+export const savePlaybackState = async (state) => {
   try {
-    localStorage.setItem(STORAGE_KEYS.PLAYBACK_STATE, JSON.stringify({
+    await writeSetting(STORAGE_KEYS.PLAYBACK_STATE, {
       ...state,
       timestamp: new Date().toISOString()
-    }));
+    });
     return true;
   } catch (error) {
     console.error('Failed to save playback state:', error);
@@ -215,56 +562,70 @@ export const savePlaybackState = (state) => {
 };
 
 // Get playback state
-export const getPlaybackState = () => {
+export const getPlaybackState = async () => {
   try {
-    const stored = localStorage.getItem(STORAGE_KEYS.PLAYBACK_STATE);
-    return stored ? JSON.parse(stored) : null;
+    return await readSetting(STORAGE_KEYS.PLAYBACK_STATE, null);
   } catch (error) {
     console.error('Failed to load playback state:', error);
     return null;
   }
 };
 
+const DEFAULT_PREFERENCES = {
+  volume: 1,
+  shuffle: false,
+  repeat: 'none', // 'none', 'one', 'all'
+  theme: 'dark',
+  // Seconds of overlap between queued tracks (0 = off); curve is a
+  // CROSSFADE_CURVES key
+  crossfade: { duration: 0, curve: 'equalPower' },
+  equalizer: DEFAULT_EQUALIZER,
+  // Saved and imported EQ presets, and the rules that pick one per
+  // track or genre (see equalizerPresets.js)
+  equalizerPresets: [],
+  equalizerAuto: DEFAULT_EQUALIZER_AUTO,
+  // Loudness normalization (see replayGain.js)
+  replayGain: DEFAULT_REPLAY_GAIN,
+  // Compressor and limiter (see dynamics.js)
+  dynamics: DEFAULT_DYNAMICS
+};
+
+// Saves merge into the stored preferences, so each one waits for the
+// last: overlapping read-modify-writes would undo each other's keys
+let preferencesSave = Promise.resolve();
+
 // Save user preferences
 export const saveUserPreferences = (preferences) => {
-  try {
-    const existing = getUserPreferences();
-    const updated = { ...existing, ...preferences };
-    localStorage.setItem(STORAGE_KEYS.USER_PREFERENCES, JSON.stringify(updated));
-    return true;
-  } catch (error) {
-    console.error('Failed to save user preferences:', error);
-    return false;
-  }
+  const save = preferencesSave.then(async () => {
+    try {
+      const existing = await getUserPreferences();
+      const updated = { ...existing, ...preferences };
+      await writeSetting(STORAGE_KEYS.USER_PREFERENCES, updated);
+      return true;
+    } catch (error) {
+      console.error('Failed to save user preferences:', error);
+      return false;
+    }
+  });
+  preferencesSave = save;
+  return save;
 };
 
 // Get user preferences
-export const getUserPreferences = () => {
+export const getUserPreferences = async () => {
   try {
-    const stored = localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES);
-    return stored ? JSON.parse(stored) : {
-      volume: 1,
-      shuffle: false,
-      repeat: 'none', // 'none', 'one', 'all'
-      theme: 'dark'
-    };
+    return { ...DEFAULT_PREFERENCES, ...(await readSetting(STORAGE_KEYS.USER_PREFERENCES, {})) };
   } catch (error) {
     console.error('Failed to load user preferences:', error);
-    return {
-      volume: 1,
-      shuffle: false,
-      repeat: 'none',
-      theme: 'dark'
-    };
+    return { ...DEFAULT_PREFERENCES };
   }
 };
 
 // Clear all stored data
-export const clearAllData = () => {
+export const clearAllData = async () => {
   try {
-    Object.values(STORAGE_KEYS).forEach(key => {
-      localStorage.removeItem(key);
-    });
+    const adapter = await getStorageAdapter();
+    await adapter.clear();
     return true;
   } catch (error) {
     console.error('Failed to clear all data:', error);
@@ -273,9 +634,9 @@ export const clearAllData = () => {
 };
 
 // Export storage info for UI
-export const getStorageStats = () => {
-  const files = getAudioFiles();
-  const storageInfo = getStorageInfo();
+export const getStorageStats = async () => {
+  const files = await getAudioFiles();
+  const storageInfo = await getStorageInfo();
   
   return {
     totalFiles: files.length,
@@ -285,23 +646,74 @@ export const getStorageStats = () => {
   };
 };
 
-// Validate audio file before saving
-export const validateAudioFile = (file) => {
-  const validTypes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/aac', 'audio/m4a'];
-  const maxSize = 50 * 1024 * 1024; // 50MB limit
-  
-  if (!validTypes.includes(file.type) && !file.name.match(/\.(mp3|wav|ogg|aac|m4a)$/i)) {
-    return { valid: false, error: 'Invalid audio file type' };
+// Bytes used by each track (audio plus its stored record), largest first
+export const getStorageBreakdown = async () => {
+  const files = await getAudioFiles();
+
+  return files
+    .map(file => {
+      const audioBytes = file.metadata.size || 0;
+      const artworkBytes = file.metadata.artwork?.size || 0;
+      const metadataBytes = JSON.stringify(file).length;
+      return {
+        id: file.id,
+        name: file.metadata.name,
+        audioBytes,
+        artworkBytes,
+        metadataBytes,
+        totalBytes: audioBytes + artworkBytes + metadataBytes
+      };
+    })
+    .sort((a, b) => b.totalBytes - a.totalBytes);
+};
+
+// Check a whole batch against free space before any file is written.
+// `fitting` is how many files (in order) can be stored.
+export const checkBatchQuota = async (files) => {
+  const storageInfo = await getStorageInfo();
+  const list = Array.from(files);
+  const required = list.reduce((total, file) => total + file.size, 0);
+
+  if (storageInfo.available === null) {
+    return { fits: true, required, available: null, shortfall: 0, fitting: list.length };
   }
-  
-  if (file.size > maxSize) {
-    return { valid: false, error: 'File size too large (max 50MB)' };
+
+  let fitting = 0;
+  let running = 0;
+  for (const file of list) {
+    if (running + file.size > storageInfo.available) break;
+    running += file.size;
+    fitting++;
   }
-  
-  const storageInfo = getStorageInfo();
-  if (file.size > storageInfo.available) {
-    return { valid: false, error: 'Not enough storage space available' };
+
+  return {
+    fits: required <= storageInfo.available,
+    required,
+    available: storageInfo.available,
+    shortfall: Math.max(0, required - storageInfo.available),
+    fitting
+  };
+};
+
+const SUPPORTED_AUDIO_TYPES = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/aac', 'audio/m4a', 'audio/mp4', 'audio/x-m4a', 'audio/flac', 'audio/x-flac', 'audio/opus'];
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB limit
+// Whole-album rips split by a cue sheet are allowed to be larger
+const MAX_CUE_AUDIO_SIZE = 500 * 1024 * 1024;
+
+// Validate an audio file's format and size before saving. `isCueAudio`
+// marks the audio of a cue sheet. Free space is checked for the whole
+// batch by checkBatchQuota().
+export const validateAudioFile = (file, { isCueAudio = false } = {}) => {
+  if (!SUPPORTED_AUDIO_TYPES.includes(file.type) && !file.name.match(/\.(mp3|wav|ogg|oga|opus|flac|aac|m4a)$/i)) {
+    return { valid: false, error: 'Unsupported file format. Please upload MP3, WAV, OGG, OPUS, FLAC, AAC, or M4A files.' };
   }
-  
+
+  if (file.size > (isCueAudio ? MAX_CUE_AUDIO_SIZE : MAX_FILE_SIZE)) {
+    return {
+      valid: false,
+      error: `File size too large. Please upload files smaller than ${isCueAudio ? '500MB' : '50MB'}.`
+    };
+  }
+
   return { valid: true };
 };
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Helpers for editing tags across several tracks at once
+
+// Fields offered by the batch editor and how their values are typed
+export const BATCH_FIELDS = [
+  { name: 'title', label: 'Title', numeric: false },
+  { name: 'artist', label: 'Artist', numeric: false },
+  { name: 'album', label: 'Album', numeric: false },
+  { name: 'albumArtist', label: 'Album artist', numeric: false },
+  { name: 'genre', label: 'Genre', numeric: false },
+  { name: 'year', label: 'Year', numeric: true, min: 1000, max: 9999 },
+  { name: 'trackNumber', label: 'Track number', numeric: true, min: 1, max: 999 }
+];
+
+// Placeholders usable in any field:
+//   %n  position in the selection (1, 2, 3, ...)
+//   %t  the track's current title
+//   %a  the track's current artist
+//   %f  file name without extension
+//   %%  a literal percent sign
+export const PLACEHOLDER_HELP = '%n position, %t title, %a artist, %f file name';
+
+export const expandPlaceholders = (template, metadata, position) => {
+  return String(template).replace(/%([ntaf%])/g, (match, code) => {
+    switch (code) {
+      case 'n': return String(position);
+      case 't': return metadata.title || metadata.name || '';
+      case 'a': return metadata.artist || '';
+      case 'f': return (metadata.fileName || '').replace(/\.[^/.]+$/, '');
+      default: return '%';
+    }
+  });
+};
+
+// Shared value of a field across tracks: { value, mixed }
+export const summarizeField = (tracks, name) => {
+  const values = new Set(tracks.map(track => track.metadata?.[name] ?? null));
+  if (values.size > 1) {
+    return { value: null, mixed: true };
+  }
+  const [value] = values;
+  return { value, mixed: false };
+};
+
+// Turn the edited fields into per-track tag changes for
+// updateTracksTags(). `edits` holds only the fields the user changed;
+// an empty string clears the field. Throws if a numeric field doesn't
+// expand to a valid number for some track.
+export const buildBatchChanges = (tracks, edits) => {
+  const fields = BATCH_FIELDS.filter(field => field.name in edits);
+
+  return tracks.map((track, index) => {
+    const tags = {};
+
+    fields.forEach(({ name, label, numeric, min, max }) => {
+      const expanded = expandPlaceholders(edits[name], track.metadata, index + 1).trim();
+
+      if (expanded === '') {
+        tags[name] = null;
+      } else if (numeric) {
+        const number = Number(expanded);
+        if (!Number.isInteger(number) || number < min || number > max) {
+          throw new Error(`${label} "${expanded}" for "${track.title}" must be a whole number from ${min} to ${max}`);
+        }
+        tags[name] = number;
+      } else {
+        tags[name] = expanded;
+      }
+    });
+
+    return { id: track.id, tags };
+  });
+};
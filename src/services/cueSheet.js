@@ -0,0 +1,114 @@
+// CUE sheet parsing. A whole-album rip is one audio file plus a `.cue`
+// listing where each track starts; saveCueTracks (audioStorage) turns
+// the tracks into virtual library entries over the shared audio.
+
+// INDEX times are mm:ss:ff with 75 frames per second
+const FRAMES_PER_SECOND = 75;
+
+const parseIndexTime = (value) => {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})$/.exec(value);
+  if (!match) return null;
+  const [, minutes, seconds, frames] = match.map(Number);
+  return minutes * 60 + seconds + frames / FRAMES_PER_SECOND;
+};
+
+// Split a line into its command and arguments, honouring quotes
+const tokenize = (line) => {
+  const tokens = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line))) {
+    tokens.push(match[1] ?? match[2]);
+  }
+  return tokens;
+};
+
+// Parse CUE sheet text into
+//   { title, performer, genre, year, files: [{ name, tracks }] }
+// where each track is { number, title, performer, start } and `start`
+// is INDEX 01 in seconds. Tracks without an INDEX 01 are dropped.
+export const parseCueSheet = (text) => {
+  const sheet = { title: '', performer: '', genre: '', year: null, files: [] };
+  let file = null;
+  let track = null;
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const [command, ...args] = tokenize(rawLine.trim());
+    if (!command) return;
+
+    const target = track || sheet;
+    switch (command.toUpperCase()) {
+      case 'REM': {
+        const [key, ...rest] = args;
+        const value = rest.join(' ');
+        if (track) return;
+        if (key?.toUpperCase() === 'GENRE') sheet.genre = value;
+        if (key?.toUpperCase() === 'DATE') sheet.year = parseInt(value, 10) || null;
+        return;
+      }
+      case 'TITLE':
+        target.title = args.join(' ');
+        return;
+      case 'PERFORMER':
+        target.performer = args.join(' ');
+        return;
+      case 'FILE':
+        file = { name: args[0] || '', tracks: [] };
+        track = null;
+        sheet.files.push(file);
+        return;
+      case 'TRACK':
+        if (!file) return;
+        track = { number: parseInt(args[0], 10) || file.tracks.length + 1, title: '', performer: '', start: null };
+        file.tracks.push(track);
+        return;
+      case 'INDEX':
+        if (track && parseInt(args[0], 10) === 1) {
+          track.start = parseIndexTime(args[1]);
+        }
+        return;
+    }
+  });
+
+  sheet.files.forEach(entry => {
+    entry.tracks = entry.tracks.filter(item => item.start !== null);
+  });
+  sheet.files = sheet.files.filter(entry => entry.tracks.length > 0);
+
+  return sheet;
+};
+
+// Read a `.cue` file: UTF-8, or Windows-1252 for older rippers
+export const readCueSheet = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    text = new TextDecoder('windows-1252').decode(bytes);
+  }
+  return parseCueSheet(text);
+};
+
+export const isCueFile = (file) => /\.cue$/i.test(file.name);
+
+const baseName = (name) => name.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '').toLowerCase();
+
+// Find the uploaded audio for a FILE entry. Rips are often re-encoded
+// after the sheet was written, so the extension may differ.
+export const findCueAudio = (fileEntry, audioFiles) => {
+  const wanted = fileEntry.name.replace(/^.*[\\/]/, '').toLowerCase();
+  return audioFiles.find(file => file.name.toLowerCase() === wanted) ||
+    audioFiles.find(file => baseName(file.name) === baseName(wanted)) ||
+    null;
+};
+
+// Virtual track segments for one FILE entry: { number, title,
+// performer, start, end }, where `end` is the next track's start, or
+// null for the last track (which plays to the end of the file)
+export const getCueSegments = (fileEntry) => {
+  return fileEntry.tracks.map((track, index) => ({
+    ...track,
+    end: fileEntry.tracks[index + 1]?.start ?? null
+  }));
+};
@@ -0,0 +1,99 @@
+// Library-wide duplicate detection: exact matches by content hash and
+// likely matches by normalized title plus duration
+import { getAudioFiles, getAudioFileBlob, updateAudioFile } from './audioStorage';
+import { computeFileHash } from './fileHash';
+
+// Durations within this many seconds count as the same recording
+const DURATION_TOLERANCE = 2;
+
+// Strip the noise that differs between copies of the same song:
+// leading track numbers, bracketed suffixes, punctuation and case
+export const normalizeTitle = (title = '') => {
+  return title
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/^\s*\d{1,3}\s*[-._)\]]?\s+/, '')
+    .replace(/[([{][^)\]}]*[)\]}]/g, ' ')
+    .replace(/\b(copy|remaster(ed)?)\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+const trackTitle = (file) => file.metadata.title || file.metadata.name || '';
+
+// Fill in hashes for tracks stored before hashing existed. CUE tracks
+// share their album's audio, so they have no hash of their own.
+const ensureHashes = async (files, onProgress) => {
+  const missing = files.filter(file => !file.hash && !file.blobId);
+
+  for (let i = 0; i < missing.length; i++) {
+    const file = missing[i];
+    try {
+      const blob = await getAudioFileBlob(file.id);
+      if (blob) {
+        file.hash = await computeFileHash(blob);
+        await updateAudioFile(file.id, { hash: file.hash });
+      }
+    } catch (error) {
+      console.error('Failed to hash audio file:', file.id, error);
+    }
+    onProgress?.({ completed: i + 1, total: missing.length });
+  }
+
+  return files;
+};
+
+// Group tracks into { exact, similar } duplicate sets of { key, tracks }.
+// A track is in at most one exact and one similar group: the first track
+// of an exact group also stands for its copies in the similar pass, so
+// it can appear in both.
+export const findDuplicates = async ({ onProgress } = {}) => {
+  const files = await ensureHashes(await getAudioFiles(), onProgress);
+
+  const byHash = new Map();
+  files.forEach(file => {
+    if (!file.hash) return;
+    byHash.set(file.hash, [...(byHash.get(file.hash) || []), file]);
+  });
+
+  const exact = [...byHash.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([hash, group]) => ({ key: hash, tracks: group }));
+
+  // Fuzzy pass: one representative per exact group, so identical copies
+  // aren't reported twice
+  const exactIds = new Set(exact.flatMap(group => group.tracks.slice(1).map(file => file.id)));
+  const candidates = files
+    .filter(file => !exactIds.has(file.id))
+    .map(file => ({ file, title: normalizeTitle(trackTitle(file)), duration: file.metadata.duration || 0 }))
+    .filter(candidate => candidate.title)
+    .sort((a, b) => a.title.localeCompare(b.title) || a.duration - b.duration);
+
+  const similar = [];
+  let current = null;
+  candidates.forEach(candidate => {
+    const matches = current &&
+      current.title === candidate.title &&
+      Math.abs(current.lastDuration - candidate.duration) <= DURATION_TOLERANCE;
+
+    if (matches) {
+      current.tracks.push(candidate.file);
+      current.lastDuration = candidate.duration;
+    } else {
+      if (current && current.tracks.length > 1) {
+        similar.push({ key: current.title, tracks: current.tracks });
+      }
+      current = {
+        title: candidate.title,
+        lastDuration: candidate.duration,
+        tracks: [candidate.file]
+      };
+    }
+  });
+  if (current && current.tracks.length > 1) {
+    similar.push({ key: current.title, tracks: current.tracks });
+  }
+
+  return { exact, similar };
+};
@@ -0,0 +1,76 @@
+// Dynamics processing settings: a compressor ("night mode") that evens
+// out loud and quiet passages, and a lookahead limiter that keeps peaks,
+// e.g. from EQ boosts, under a ceiling. Stored in user preferences as
+//   dynamics: {
+//     compressor: { enabled, preset, threshold, knee, ratio, attack, release, makeup },
+//     limiter: { enabled, ceiling, release }
+//   }
+// Compressor values follow DynamicsCompressorNode (dB, ratio, seconds);
+// `makeup` (dB) raises the level again after compression and `preset`
+// names the preset the values came from (null once edited). The
+// limiter's ceiling is in dBFS and its release in seconds.
+
+export const COMPRESSOR_RANGES = {
+  threshold: [-60, 0],
+  knee: [0, 40],
+  ratio: [1, 20],
+  attack: [0, 1],
+  release: [0.01, 1],
+  makeup: [0, 24]
+};
+
+export const LIMITER_RANGES = {
+  ceiling: [-12, 0],
+  release: [0.01, 1]
+};
+
+export const COMPRESSOR_PRESETS = [
+  { id: 'gentle', name: 'Gentle', threshold: -18, knee: 20, ratio: 2, attack: 0.02, release: 0.3, makeup: 3 },
+  { id: 'speech', name: 'Speech', threshold: -28, knee: 10, ratio: 4, attack: 0.003, release: 0.15, makeup: 8 },
+  // Quiet passages come up and loud ones down, for low-volume listening
+  { id: 'night', name: 'Night', threshold: -36, knee: 12, ratio: 6, attack: 0.005, release: 0.25, makeup: 12 },
+  // Everything close to one level, to be heard over background noise
+  { id: 'noisy', name: 'Noisy room', threshold: -45, knee: 6, ratio: 12, attack: 0.002, release: 0.1, makeup: 18 }
+];
+
+const presetValues = (id) => {
+  const preset = COMPRESSOR_PRESETS.find(item => item.id === id);
+  return {
+    ...Object.fromEntries(Object.keys(COMPRESSOR_RANGES).map(key => [key, preset[key]])),
+    preset: preset.id
+  };
+};
+
+export const DEFAULT_DYNAMICS = {
+  compressor: { enabled: false, ...presetValues('night') },
+  limiter: { enabled: true, ceiling: -1, release: 0.1 }
+};
+
+// Compressor settings for a preset, keeping whether it's on
+export const applyCompressorPreset = (compressor, id) => {
+  if (!COMPRESSOR_PRESETS.some(preset => preset.id === id)) return compressor;
+  return { ...compressor, ...presetValues(id) };
+};
+
+const clampAll = (values, defaults, ranges) => Object.fromEntries(
+  Object.entries(ranges).map(([key, [min, max]]) => {
+    const number = Number(values?.[key]);
+    return [key, Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : defaults[key]];
+  })
+);
+
+// Fill in and clamp stored settings, so a bad value can't break the graph
+export const normalizeDynamics = (settings) => {
+  const { compressor, limiter } = DEFAULT_DYNAMICS;
+  return {
+    compressor: {
+      enabled: settings?.compressor?.enabled ?? compressor.enabled,
+      preset: settings?.compressor?.preset ?? null,
+      ...clampAll(settings?.compressor, compressor, COMPRESSOR_RANGES)
+    },
+    limiter: {
+      enabled: settings?.limiter?.enabled ?? limiter.enabled,
+      ...clampAll(settings?.limiter, limiter, LIMITER_RANGES)
+    }
+  };
+};
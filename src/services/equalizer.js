@@ -0,0 +1,62 @@
+// Parametric equalizer settings. Stored in user preferences as
+//   { enabled, preamp, bands: [{ type, frequency, gain, q }], presetId }
+// where `type` is a BiquadFilterNode type; audioContext.js builds one
+// filter per band. `preamp` (dB) is applied in front of the filters and
+// `presetId` names the preset the bands came from (null once edited).
+// `enabled: false` bypasses the whole chain, preamp included.
+
+export const EQ_BAND_TYPES = {
+  lowshelf: 'Low shelf',
+  peaking: 'Peak',
+  highshelf: 'High shelf'
+};
+
+export const EQ_GAIN_RANGE = 12; // ± dB
+export const EQ_FREQUENCY_RANGE = [20, 20000]; // Hz
+export const EQ_Q_RANGE = [0.1, 18];
+export const EQ_PREAMP_RANGE = [-24, 12]; // dB
+
+// Octave-spaced centres of the ten peaking bands
+const PEAK_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+// One octave wide
+const PEAK_Q = 1.41;
+// Shelves ignore Q in Web Audio; kept so every band has the same shape
+const SHELF_Q = 0.71;
+
+export const createFlatBands = () => [
+  { type: 'lowshelf', frequency: 80, gain: 0, q: SHELF_Q },
+  ...PEAK_FREQUENCIES.map(frequency => ({ type: 'peaking', frequency, gain: 0, q: PEAK_Q })),
+  { type: 'highshelf', frequency: 12000, gain: 0, q: SHELF_Q }
+];
+
+export const DEFAULT_EQUALIZER = { enabled: true, preamp: 0, bands: createFlatBands(), presetId: 'flat' };
+
+const clamp = (value, [min, max], fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+// Fill in and clamp stored settings, so a bad value can't break the graph
+export const normalizeEqualizer = (settings) => {
+  const defaults = createFlatBands();
+  const bands = Array.isArray(settings?.bands) && settings.bands.length === defaults.length
+    ? settings.bands
+    : defaults;
+
+  return {
+    enabled: settings?.enabled ?? DEFAULT_EQUALIZER.enabled,
+    preamp: clamp(settings?.preamp, EQ_PREAMP_RANGE, 0),
+    bands: bands.map((band, index) => ({
+      type: EQ_BAND_TYPES[band.type] ? band.type : defaults[index].type,
+      frequency: clamp(band.frequency, EQ_FREQUENCY_RANGE, defaults[index].frequency),
+      gain: clamp(band.gain, [-EQ_GAIN_RANGE, EQ_GAIN_RANGE], 0),
+      q: clamp(band.q, EQ_Q_RANGE, defaults[index].q)
+    })),
+    presetId: settings?.presetId ?? null
+  };
+};
+
+// 1000 -> "1k", 12500 -> "12.5k"
+export const formatFrequency = (frequency) => {
+  return frequency >= 1000 ? `${Number((frequency / 1000).toFixed(1))}k` : `${Math.round(frequency)}`;
+};
@@ -0,0 +1,195 @@
+// Equalizer presets: built-in curves, presets the user saves or imports,
+// and the rules that pick a preset automatically for a track or genre.
+// A preset is { id, name, preamp, bands } with bands as in equalizer.js.
+// User presets and rules are stored in user preferences as
+//   equalizerPresets: [preset]
+//   equalizerAuto: { enabled, tracks: { [trackId]: presetId }, genres: { [genre]: presetId } }
+import { createFlatBands, normalizeEqualizer } from './equalizer';
+
+export const DEFAULT_EQUALIZER_AUTO = { enabled: false, tracks: {}, genres: {} };
+
+// Gains (dB) for the low shelf, the ten peaking bands (31 Hz - 16 kHz)
+// and the high shelf
+const BUILT_IN_GAINS = [
+  { id: 'flat', name: 'Flat', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { id: 'rock', name: 'Rock', gains: [0, 4, 3, 2, 0, -1, -1, 1, 2, 3, 3, 1] },
+  { id: 'pop', name: 'Pop', gains: [0, -1, 0, 1, 3, 3, 2, 0, -1, -1, -1, 0] },
+  { id: 'jazz', name: 'Jazz', gains: [0, 2, 2, 1, 1, -1, -1, 0, 1, 2, 2, 0] },
+  { id: 'classical', name: 'Classical', gains: [0, 3, 2, 1, 0, 0, 0, -1, 0, 1, 2, 1] },
+  { id: 'electronic', name: 'Electronic', gains: [2, 3, 2, 0, -1, -2, 0, 1, 1, 2, 3, 1] },
+  { id: 'hiphop', name: 'Hip-Hop', gains: [3, 3, 2, 1, 1, -1, -1, 0, 0, 1, 2, 0] },
+  { id: 'acoustic', name: 'Acoustic', gains: [0, 2, 2, 1, 1, 0, 1, 1, 2, 2, 1, 0] },
+  { id: 'vocal', name: 'Vocal', gains: [-2, -1, -1, -2, 0, 2, 3, 3, 2, 0, -1, -1] },
+  { id: 'bass-boost', name: 'Bass Boost', gains: [6, 2, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { id: 'treble-boost', name: 'Treble Boost', gains: [0, 0, 0, 0, 0, 0, 0, 1, 2, 3, 3, 4] },
+  // Lifts the ends of the range, which the ear loses at low volume
+  { id: 'loudness', name: 'Loudness', gains: [5, 2, 1, 0, 0, -1, -1, 0, 0, 1, 2, 4] }
+];
+
+// Boosting presets come with a matching preamp cut so they don't clip
+export const BUILT_IN_PRESETS = BUILT_IN_GAINS.map(({ id, name, gains }) => {
+  const bands = createFlatBands().map((band, index) => ({ ...band, gain: gains[index] }));
+  return { id, name, builtIn: true, preamp: 0 - Math.max(0, ...gains), bands };
+});
+
+const generatePresetId = () => {
+  return 'eq' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+};
+
+export const createUserPreset = (name, { preamp, bands }) => {
+  const { preamp: cleanPreamp, bands: cleanBands } = normalizeEqualizer({ preamp, bands });
+  return { id: generatePresetId(), name: name.trim(), preamp: cleanPreamp, bands: cleanBands };
+};
+
+// Look a preset up among the built-ins and the user's own
+export const findPreset = (presetId, userPresets = []) => {
+  if (!presetId) return null;
+  return BUILT_IN_PRESETS.find(preset => preset.id === presetId) ||
+    userPresets.find(preset => preset.id === presetId) ||
+    null;
+};
+
+// Genre rules match regardless of case and surrounding spaces
+export const genreKey = (genre) => (genre || '').trim().toLowerCase();
+
+// The automatic preset for a track: a rule for the track itself wins
+// over one for its genre. Returns { presetId, source } or null.
+export const resolveAutoPreset = (auto, track) => {
+  if (!auto?.enabled || !track) return null;
+
+  if (auto.tracks?.[track.id]) {
+    return { presetId: auto.tracks[track.id], source: 'track' };
+  }
+  const genre = genreKey(track.metadata?.genre);
+  if (genre && auto.genres?.[genre]) {
+    return { presetId: auto.genres[genre], source: 'genre' };
+  }
+  return null;
+};
+
+// Drop rules that point at a preset which no longer exists
+export const removePresetRules = (auto, presetId) => {
+  const keep = (rules) => Object.fromEntries(
+    Object.entries(rules || {}).filter(([, id]) => id !== presetId)
+  );
+  return { ...auto, tracks: keep(auto.tracks), genres: keep(auto.genres) };
+};
+
+// Equalizer APO filter types -> BiquadFilterNode types. The shelf
+// variants differ in how their slope is specified; Web Audio shelves
+// have a fixed slope, so they all map to the same type.
+const APO_FILTER_TYPES = {
+  PK: 'peaking',
+  PEQ: 'peaking',
+  MODAL: 'peaking',
+  LS: 'lowshelf',
+  LSC: 'lowshelf',
+  HS: 'highshelf',
+  HSC: 'highshelf'
+};
+
+const PREAMP_LINE = /^preamp\s*:\s*([-+]?\d*\.?\d+)\s*db/i;
+const FILTER_LINE = /^filter\s*\d*\s*:\s*(on|off)\s+([a-z]+)(?:\s+\d+\s*db)?\s+fc\s+([\d.]+)\s*hz(?:\s+gain\s+([-+]?\d*\.?\d+)\s*db)?(?:\s+q\s+([\d.]+))?/i;
+
+// Parse an Equalizer APO config such as the ParametricEQ.txt files
+// AutoEQ publishes:
+//   Preamp: -6.2 dB
+//   Filter 1: ON LSC Fc 105 Hz Gain 5.5 dB Q 0.70
+//   Filter 2: ON PK Fc 2260 Hz Gain 2.3 dB Q 1.62
+// Returns { preamp, filters: [{ type, frequency, gain, q }], skipped }
+// where `skipped` counts enabled filters of a type we can't build.
+export const parseParametricEq = (text) => {
+  let preamp = 0;
+  let skipped = 0;
+  const filters = [];
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+
+    const preampMatch = line.match(PREAMP_LINE);
+    if (preampMatch) {
+      // Several Preamp lines add up in Equalizer APO
+      preamp += Number(preampMatch[1]);
+      return;
+    }
+
+    const filterMatch = line.match(FILTER_LINE);
+    if (!filterMatch) return;
+
+    const [, state, kind, frequency, gain, q] = filterMatch;
+    if (state.toUpperCase() !== 'ON') return;
+
+    const type = APO_FILTER_TYPES[kind.toUpperCase()];
+    if (!type) {
+      skipped++;
+      return;
+    }
+    filters.push({
+      type,
+      frequency: Number(frequency),
+      gain: Number(gain || 0),
+      q: q ? Number(q) : undefined
+    });
+  });
+
+  return { preamp, filters, skipped };
+};
+
+// Fit parsed filters onto our bands: the first low and high shelf go to
+// the shelf bands and up to ten peaking filters fill the peaking bands,
+// lowest first. Peaking bands left over stay flat. Returns { preamp,
+// bands, dropped } where `dropped` counts filters that didn't fit.
+export const fitFiltersToBands = ({ preamp, filters, skipped = 0 }) => {
+  const defaults = createFlatBands();
+  const peakSlots = defaults.filter(band => band.type === 'peaking').length;
+  const lows = filters.filter(filter => filter.type === 'lowshelf');
+  const highs = filters.filter(filter => filter.type === 'highshelf');
+  const peaks = filters
+    .filter(filter => filter.type === 'peaking')
+    .sort((a, b) => a.frequency - b.frequency);
+
+  const withDefaults = (filter, band) => ({ ...band, ...filter, q: filter.q ?? band.q });
+  const usedPeaks = peaks.slice(0, peakSlots);
+  const flatPeaks = defaults
+    .filter(band => band.type === 'peaking')
+    .slice(usedPeaks.length);
+
+  const peakBands = [
+    ...usedPeaks.map(filter => withDefaults(filter, defaults[1])),
+    ...flatPeaks
+  ].sort((a, b) => a.frequency - b.frequency);
+
+  const bands = [
+    lows[0] ? withDefaults(lows[0], defaults[0]) : defaults[0],
+    ...peakBands,
+    highs[0] ? withDefaults(highs[0], defaults[defaults.length - 1]) : defaults[defaults.length - 1]
+  ];
+
+  const dropped = skipped +
+    Math.max(0, lows.length - 1) +
+    Math.max(0, highs.length - 1) +
+    (peaks.length - usedPeaks.length);
+
+  const normalized = normalizeEqualizer({ preamp, bands });
+  return { preamp: normalized.preamp, bands: normalized.bands, dropped };
+};
+
+// AutoEQ names its files "<Headphone> ParametricEQ.txt"
+const presetNameFromFile = (fileName) => {
+  return fileName.replace(/\.[^.]+$/, '').replace(/\s*ParametricEQ$/i, '').trim() || 'Imported';
+};
+
+// Read an Equalizer APO file as a new user preset. Returns
+// { preset, dropped }; throws if the file has no filters we can use.
+export const importParametricEqFile = async (file) => {
+  const parsed = parseParametricEq(await file.text());
+  if (parsed.filters.length === 0) {
+    throw new Error('No supported filters found in this file');
+  }
+
+  const { preamp, bands, dropped } = fitFiltersToBands(parsed);
+  return {
+    preset: createUserPreset(presetNameFromFile(file.name), { preamp, bands }),
+    dropped
+  };
+};
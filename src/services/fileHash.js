@@ -0,0 +1,16 @@
+// Content hashing for audio files (SHA-256 via SubtleCrypto)
+
+const toHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// SHA-256 of a Blob/File's bytes as a lowercase hex string
+export const computeFileHash = async (blob) => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('SubtleCrypto is not available (requires a secure context)');
+  }
+
+  const buffer = await blob.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return toHex(digest);
+};
@@ -0,0 +1,141 @@
+// One-time move of the legacy localStorage library (base64 data URLs)
+// into the active storage backend. Each track keeps its original ID and
+// is checked before being written, so an interrupted run simply picks up
+// where it left off.
+import { STORAGE_KEYS, getAudioFile, getAudioFileBlob, putAudioFile } from './audioStorage';
+import { COLLECTIONS, getStorageAdapter } from './storage/storageAdapter';
+import { dataUrlByteLength, dataUrlToBlob } from './storage/blobEncoding';
+
+const LEGACY_KEYS = [STORAGE_KEYS.AUDIO_FILES];
+
+// Small JSON values that used to live directly in localStorage
+const LEGACY_SETTING_KEYS = [
+  STORAGE_KEYS.CURRENT_PLAYLIST,
+  STORAGE_KEYS.PLAYBACK_STATE,
+  STORAGE_KEYS.USER_PREFERENCES
+];
+
+let activeMigration = null;
+
+// Read the legacy track list without touching it
+const readLegacyFiles = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.AUDIO_FILES);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Failed to read legacy audio files:', error);
+    return [];
+  }
+};
+
+// Check whether a legacy track already landed intact in the new store
+const isTrackMigrated = async (legacyFile) => {
+  const [record, blob] = await Promise.all([
+    getAudioFile(legacyFile.id),
+    getAudioFileBlob(legacyFile.id)
+  ]);
+
+  if (!record || !blob) return false;
+
+  try {
+    return blob.size === dataUrlByteLength(legacyFile.data);
+  } catch {
+    return false;
+  }
+};
+
+// Is there anything left to migrate?
+export const hasLegacyLibrary = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEYS.AUDIO_FILES) !== null;
+  } catch {
+    return false;
+  }
+};
+
+// Move playlist, playback and preference values into the settings collection
+export const migrateLegacySettings = async () => {
+  const adapter = await getStorageAdapter();
+
+  for (const key of LEGACY_SETTING_KEYS) {
+    try {
+      const stored = localStorage.getItem(key);
+      if (stored === null) continue;
+
+      if ((await adapter.get(COLLECTIONS.SETTINGS, key)) === null) {
+        await adapter.put(COLLECTIONS.SETTINGS, key, JSON.parse(stored));
+      }
+      localStorage.removeItem(key);
+    } catch (error) {
+      console.error('Failed to migrate legacy setting:', key, error);
+    }
+  }
+};
+
+const runMigration = async (onProgress) => {
+  const legacyFiles = readLegacyFiles();
+  const total = legacyFiles.length;
+  const failed = [];
+  let migrated = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < legacyFiles.length; i++) {
+    const legacyFile = legacyFiles[i];
+    const name = legacyFile?.metadata?.name || legacyFile?.id || `Track ${i + 1}`;
+
+    try {
+      if (!legacyFile?.id || !legacyFile.data) {
+        throw new Error('Missing ID or audio data');
+      }
+
+      if (await isTrackMigrated(legacyFile)) {
+        skipped++;
+      } else {
+        const blob = dataUrlToBlob(legacyFile.data);
+        await putAudioFile({
+          id: legacyFile.id,
+          metadata: { ...legacyFile.metadata, size: blob.size },
+          createdAt: legacyFile.createdAt || new Date().toISOString(),
+          playCount: legacyFile.playCount || 0,
+          lastPlayed: legacyFile.lastPlayed || null
+        }, blob);
+        migrated++;
+      }
+    } catch (error) {
+      console.error('Failed to migrate audio file:', name, error);
+      failed.push({ id: legacyFile?.id || null, name, error: error.message });
+    }
+
+    onProgress?.({ completed: i + 1, total, name });
+  }
+
+  // Verify the whole library before dropping the only other copy
+  let verified = failed.length === 0;
+  if (verified) {
+    for (const legacyFile of legacyFiles) {
+      if (!(await isTrackMigrated(legacyFile))) {
+        verified = false;
+        failed.push({ id: legacyFile.id, name: legacyFile.metadata?.name || legacyFile.id, error: 'Verification failed' });
+      }
+    }
+  }
+
+  if (verified) {
+    LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  }
+
+  return { total, migrated, skipped, failed, complete: verified };
+};
+
+// Move every legacy track into the track database.
+// onProgress receives { completed, total, name } after each track.
+// Concurrent callers share the run that is already in progress.
+export const migrateLegacyLibrary = ({ onProgress } = {}) => {
+  if (!activeMigration) {
+    activeMigration = runMigration(onProgress).finally(() => {
+      activeMigration = null;
+    });
+  }
+  return activeMigration;
+};
@@ -0,0 +1,117 @@
+// Lookahead brickwall limiter, run on the audio thread as an
+// AudioWorkletProcessor (loaded by audioContext.js). Audio is delayed by
+// the lookahead so the gain can come down before a peak arrives:
+//   1. the gain each sample needs to stay under the ceiling,
+//   2. the lowest of those over the lookahead window plus one sample
+//      (held, then released smoothly),
+//   3. averaged over the window, which ramps the gain down in time and
+//      never above what the sample leaving the delay line needs.
+// Reports its gain reduction (dB) through the port a few times a second.
+
+const LOOKAHEAD = 0.005; // seconds
+const REPORT_INTERVAL = 1 / 30; // seconds
+
+class LookaheadLimiter extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'ceiling', defaultValue: -1, minValue: -24, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.1, minValue: 0.001, maxValue: 2, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.length = Math.max(1, Math.round(LOOKAHEAD * sampleRate));
+    this.delay = [];
+    this.position = 0;
+
+    // Sliding minimum over length + 1 samples, as a monotonic queue of
+    // (value, index) pairs in ring buffers
+    this.minValues = new Float32Array(this.length + 2);
+    this.minIndexes = new Float64Array(this.length + 2);
+    this.minHead = 0;
+    this.minTail = 0;
+    this.sampleIndex = 0;
+
+    // Box average of the held gain
+    this.held = 1;
+    this.averageBuffer = new Float32Array(this.length).fill(1);
+    this.averageSum = this.length;
+
+    this.reportFrames = Math.round(REPORT_INTERVAL * sampleRate);
+    this.framesSinceReport = 0;
+    this.lowestGain = 1;
+  }
+
+  // Push the gain a sample needs and return the minimum over the window
+  slidingMinimum(value) {
+    const size = this.minValues.length;
+    while (this.minTail !== this.minHead) {
+      const last = (this.minTail - 1 + size) % size;
+      if (this.minValues[last] < value) break;
+      this.minTail = last;
+    }
+    this.minValues[this.minTail] = value;
+    this.minIndexes[this.minTail] = this.sampleIndex;
+    this.minTail = (this.minTail + 1) % size;
+
+    while (this.minIndexes[this.minHead] < this.sampleIndex - this.length) {
+      this.minHead = (this.minHead + 1) % size;
+    }
+    this.sampleIndex++;
+    return this.minValues[this.minHead];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const channels = output.length;
+    if (input.length === 0 || channels === 0) return true;
+
+    const ceiling = Math.pow(10, parameters.ceiling[0] / 20);
+    const releaseCoefficient = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+
+    while (this.delay.length < channels) {
+      this.delay.push(new Float32Array(this.length));
+    }
+
+    const frames = output[0].length;
+    for (let i = 0; i < frames; i++) {
+      let peak = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        const sample = input[Math.min(channel, input.length - 1)][i];
+        const level = Math.abs(sample);
+        if (level > peak) peak = level;
+      }
+
+      const needed = peak > ceiling ? ceiling / peak : 1;
+      const minimum = this.slidingMinimum(needed);
+      // Drop at once, recover at the release rate
+      this.held = minimum < this.held ? minimum : this.held + (minimum - this.held) * releaseCoefficient;
+
+      this.averageSum += this.held - this.averageBuffer[this.position];
+      this.averageBuffer[this.position] = this.held;
+      const gain = Math.min(1, this.averageSum / this.length);
+      if (gain < this.lowestGain) this.lowestGain = gain;
+
+      for (let channel = 0; channel < channels; channel++) {
+        const line = this.delay[channel];
+        const delayed = line[this.position];
+        line[this.position] = input[Math.min(channel, input.length - 1)][i];
+        output[channel][i] = delayed * gain;
+      }
+      this.position = (this.position + 1) % this.length;
+    }
+
+    this.framesSinceReport += frames;
+    if (this.framesSinceReport >= this.reportFrames) {
+      this.port.postMessage(20 * Math.log10(this.lowestGain));
+      this.framesSinceReport = 0;
+      this.lowestGain = 1;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('lookahead-limiter', LookaheadLimiter);
@@ -0,0 +1,197 @@
+// Measure how loud tracks are, for normalizing tracks that have no
+// ReplayGain tags. Audio is decoded here (decodeAudioData needs an audio
+// context, which workers don't have) and analyzed per BS.1770 in a Web
+// Worker. Results are stored in the track's metadata as
+//   loudness: { integrated, range, peak, method }
+// with `integrated` in LUFS (null for silence), `range` in LU and `peak`
+// the true peak, linear (1 = full scale). Tracks that can't be measured
+// get { method, failed } instead, with `failed` saying why, so they
+// aren't tried again.
+import { getAudioFileBlob, getAudioFiles, saveTrackLoudness } from './audioStorage';
+import { readReplayGain } from './replayGain';
+
+// Marks results from the BS.1770 analysis; anything else is re-measured
+export const LOUDNESS_METHOD = 'bs1770';
+
+// Decoded audio is held in memory as 32-bit floats, at most
+// DECODE_BUDGET samples per channel (30 minutes at 48 kHz). Longer files
+// are decoded at a lower rate to stay within it, down to 18 kHz at the
+// cap; that's a little less exact, as frequencies above half the rate
+// are lost. Files longer than a full CD aren't measured at all;
+// whole-album CUE rips fit within that.
+export const MAX_MEASURE_DURATION = 80 * 60; // seconds
+
+const DECODE_SAMPLE_RATE = 48000;
+const DECODE_BUDGET = 30 * 60 * DECODE_SAMPLE_RATE; // samples per channel
+
+// Audio goes to the worker this many seconds at a time
+const CHUNK_SECONDS = 10;
+
+const decodeSampleRate = (duration) => {
+  return Math.min(DECODE_SAMPLE_RATE, Math.floor(DECODE_BUDGET / duration));
+};
+
+const failedLoudness = (reason) => ({ method: LOUDNESS_METHOD, failed: reason });
+
+let worker = null;
+let nextRequestId = 0;
+let nextAnalysisId = 0;
+const pendingRequests = new Map();
+
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./loudness.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const request = pendingRequests.get(data.id);
+    if (!request) return;
+    pendingRequests.delete(data.id);
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.result);
+    }
+  };
+  // A crashed worker fails whatever it was doing; the next request
+  // starts a fresh one
+  worker.onerror = (event) => {
+    pendingRequests.forEach(request => request.reject(new Error(event.message || 'Loudness worker failed')));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+// Send a message to the worker (see loudness.worker.js) and wait for
+// its answer. Arrays in `transfer` can't be used afterwards.
+const request = (message, transfer = []) => new Promise((resolve, reject) => {
+  const id = ++nextRequestId;
+  pendingRequests.set(id, { resolve, reject });
+  getWorker().postMessage({ ...message, id }, transfer);
+});
+
+// Analyze samples `from` to `to` of a decoded buffer. Each chunk is
+// copied and transferred in turn, so at most one chunk is held twice.
+const analyzeRange = async (buffer, from, to) => {
+  const analysis = ++nextAnalysisId;
+  const channelCount = buffer.numberOfChannels;
+  await request({ type: 'start', analysis, channelCount, sampleRate: buffer.sampleRate });
+
+  const chunkLength = CHUNK_SECONDS * buffer.sampleRate;
+  for (let start = from; start < to; start += chunkLength) {
+    const end = Math.min(to, start + chunkLength);
+    const channels = Array.from({ length: channelCount }, (_, channel) => {
+      return buffer.getChannelData(channel).slice(start, end);
+    });
+    await request({ type: 'push', analysis, channels }, channels.map(channel => channel.buffer));
+  }
+
+  return request({ type: 'finish', analysis });
+};
+
+// Analyze the parts of `blob` (whose length is `duration` seconds)
+// between each segment's `start` and `end` (null = the end of the file).
+// Decodes once for all segments. Returns one loudness record per
+// segment, which is a failed one if the file is too long, can't be
+// decoded or the analysis fails. Without a known length there's no safe
+// decode rate, so all are null and nothing is stored: a later scan tries
+// again.
+const analyzeSegments = async (blob, duration, segments) => {
+  if (!(duration > 0)) return segments.map(() => null);
+  if (duration > MAX_MEASURE_DURATION) {
+    return segments.map(() => failedLoudness('too-long'));
+  }
+
+  let buffer;
+  try {
+    const context = new OfflineAudioContext(1, 1, decodeSampleRate(duration));
+    buffer = await context.decodeAudioData(await blob.arrayBuffer());
+  } catch (error) {
+    console.error('Failed to decode audio for loudness analysis:', error);
+    return segments.map(() => failedLoudness('undecodable'));
+  }
+
+  const results = [];
+  for (const { start, end } of segments) {
+    const from = Math.max(0, Math.floor(start * buffer.sampleRate));
+    const to = Math.min(buffer.length, end === null ? buffer.length : Math.floor(end * buffer.sampleRate));
+    if (to <= from) {
+      results.push(failedLoudness('empty'));
+      continue;
+    }
+
+    try {
+      const { integrated, range, peak } = await analyzeRange(buffer, from, to);
+      results.push({ integrated, range, peak, method: LOUDNESS_METHOD });
+    } catch (error) {
+      console.error('Failed to analyze loudness:', error);
+      results.push(failedLoudness('analysis'));
+    }
+  }
+  return results;
+};
+
+// Measure the audio in `blob`, whose length is `duration` seconds.
+// Returns a loudness record (a failed one if it can't be measured), or
+// null if its length isn't known.
+export const measureLoudness = async (blob, duration) => {
+  const [result] = await analyzeSegments(blob, duration, [{ start: 0, end: null }]);
+  return result;
+};
+
+// Tracks the scan covers: no ReplayGain tags and no BS.1770 result (or
+// failure) yet
+const needsAnalysis = (file) => {
+  return readReplayGain(file.metadata.custom).trackGain === null &&
+    file.metadata.loudness?.method !== LOUDNESS_METHOD;
+};
+
+// Measure every track that needs it and store the results. Tracks of
+// one CUE sheet are measured from a single decode of their shared file.
+// Reports { completed, total, name } through `onProgress`, and stops
+// between files once `shouldStop()` returns true.
+// Returns { total, analyzed, failed, stopped }.
+export const scanLibraryLoudness = async ({ onProgress, shouldStop } = {}) => {
+  const allFiles = await getAudioFiles();
+  const files = allFiles.filter(needsAnalysis);
+
+  const byBlob = new Map();
+  files.forEach(file => {
+    const blobId = file.blobId || file.id;
+    byBlob.set(blobId, [...(byBlob.get(blobId) || []), file]);
+  });
+
+  let completed = 0;
+  let analyzed = 0;
+  let stopped = false;
+
+  for (const group of byBlob.values()) {
+    if (shouldStop?.()) {
+      stopped = true;
+      break;
+    }
+
+    // CUE records don't store the file's length; the last track ends there
+    const blobId = group[0].blobId || group[0].id;
+    const duration = Math.max(...allFiles
+      .filter(file => (file.blobId || file.id) === blobId)
+      .map(file => (file.startTime || 0) + (file.metadata.duration || 0)));
+    const segments = group.map(file => ({ start: file.startTime || 0, end: file.endTime ?? null }));
+    const blob = await getAudioFileBlob(group[0].id);
+    const results = blob ? await analyzeSegments(blob, duration, segments) : segments.map(() => null);
+
+    for (let i = 0; i < group.length; i++) {
+      const saved = results[i] && await saveTrackLoudness(group[i].id, results[i]);
+      if (saved && !results[i].failed) analyzed++;
+      completed++;
+      onProgress?.({
+        completed,
+        total: files.length,
+        name: group[i].metadata.title || group[i].metadata.name
+      });
+    }
+  }
+
+  return { total: files.length, analyzed, failed: completed - analyzed, stopped };
+};
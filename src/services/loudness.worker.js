@@ -0,0 +1,37 @@
+// Runs loudness analysis off the main thread. Audio arrives in chunks,
+// so a long file never has to be copied whole. Each message carries a
+// request `id` and the `analysis` it belongs to:
+//   { type: 'start', channelCount, sampleRate }
+//   { type: 'push', channels }   (one Float32Array per channel)
+//   { type: 'finish' }
+// and is answered with { id }, { id, result } for 'finish', or
+// { id, error }. An analysis that fails is dropped.
+import { createLoudnessAnalyzer } from './loudnessAnalysis';
+
+const analyzers = new Map();
+
+const handle = ({ type, analysis, channelCount, sampleRate, channels }) => {
+  if (type === 'start') {
+    analyzers.set(analysis, createLoudnessAnalyzer(channelCount, sampleRate));
+    return undefined;
+  }
+
+  const analyzer = analyzers.get(analysis);
+  if (!analyzer) throw new Error('Unknown loudness analysis');
+  if (type === 'push') {
+    analyzer.push(channels);
+    return undefined;
+  }
+  analyzers.delete(analysis);
+  return analyzer.finish();
+};
+
+self.onmessage = ({ data }) => {
+  const { id, analysis } = data;
+  try {
+    self.postMessage({ id, result: handle(data) });
+  } catch (error) {
+    analyzers.delete(analysis);
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,230 @@
+// Loudness measurement per ITU-R BS.1770 and EBU R128 / Tech 3342:
+// K-weighted, gated integrated loudness, loudness range and true peak.
+// Pure number crunching on decoded samples, so it can run in a worker
+// (see loudness.worker.js).
+
+const ABSOLUTE_GATE = -70; // LUFS
+const INTEGRATED_RELATIVE_GATE = -10; // LU below the ungated level
+const RANGE_RELATIVE_GATE = -20; // LU, for loudness range
+const RANGE_PERCENTILES = [0.1, 0.95];
+
+// Momentary blocks are 400 ms and short-term windows 3 s, both stepping
+// in 100 ms segments (75% overlap for momentary blocks)
+const SEGMENT_SECONDS = 0.1;
+const BLOCK_SEGMENTS = 4;
+const SHORT_TERM_SEGMENTS = 30;
+
+// True peak: upsample to at least 192 kHz with a windowed-sinc
+// interpolator of this many taps per phase
+const TRUE_PEAK_RATE = 192000;
+const TAPS_PER_PHASE = 12;
+
+// K-weighting as two biquads, a high shelf modelling the head and a
+// high-pass (the RLB curve). The constants are the analog prototypes
+// behind the 48 kHz coefficients in BS.1770, so any sample rate works.
+const kWeightingFilters = (sampleRate) => {
+  const shelf = (() => {
+    const f0 = 1681.974450955533;
+    const gain = 3.999843853973347;
+    const q = 0.7071752369554196;
+    const k = Math.tan(Math.PI * f0 / sampleRate);
+    const vh = Math.pow(10, gain / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const a0 = 1 + k / q + k * k;
+    return {
+      b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+      a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+  })();
+
+  const highPass = (() => {
+    const f0 = 38.13547087602444;
+    const q = 0.5003270373238773;
+    const k = Math.tan(Math.PI * f0 / sampleRate);
+    const a0 = 1 + k / q + k * k;
+    return {
+      b: [1, -2, 1],
+      a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+    };
+  })();
+
+  return [shelf, highPass];
+};
+
+// Channel weights: 1 for front channels, 1.41 for surrounds and none for
+// LFE, in Web Audio's channel order (L R C LFE SL SR for 5.1)
+const channelWeights = (count) => {
+  if (count === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  if (count === 5) return [1, 1, 1, 1.41, 1.41];
+  return new Array(count).fill(1);
+};
+
+// K-weighting for one channel, fed in chunks: sums the squared output
+// into 100 ms segments. `energies` holds the finished segments.
+const createSegmentMeter = (sampleRate, segmentLength) => {
+  const [shelf, highPass] = kWeightingFilters(sampleRate);
+  const energies = [];
+  // Direct form I state for both stages, and the segment being summed
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  let z1 = 0, z2 = 0;
+  let sum = 0;
+  let filled = 0;
+
+  const push = (samples) => {
+    for (let i = 0; i < samples.length; i++) {
+      const x = samples[i];
+      const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[0] * y1 - shelf.a[1] * y2;
+      x2 = x1; x1 = x;
+      const z = y + highPass.b[1] * y1 + highPass.b[2] * y2 - highPass.a[0] * z1 - highPass.a[1] * z2;
+      y2 = y1; y1 = y;
+      z2 = z1; z1 = z;
+      sum += z * z;
+      if (++filled === segmentLength) {
+        energies.push(sum);
+        sum = 0;
+        filled = 0;
+      }
+    }
+  };
+
+  return { energies, push };
+};
+
+const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+// Weighted mean-square power of every window of `length` segments,
+// stepping one segment at a time
+const windowPowers = (channelEnergies, weights, length, segmentLength) => {
+  const count = channelEnergies[0].length - length + 1;
+  if (count <= 0) return [];
+
+  const powers = new Array(count);
+  for (let start = 0; start < count; start++) {
+    let power = 0;
+    channelEnergies.forEach((energies, channel) => {
+      if (!weights[channel]) return;
+      let sum = 0;
+      for (let i = start; i < start + length; i++) sum += energies[i];
+      power += weights[channel] * sum / (length * segmentLength);
+    });
+    powers[start] = power;
+  }
+  return powers;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Two-stage gating (BS.1770-4): drop blocks below -70 LUFS, then those
+// more than 10 LU below the level of the rest
+const integratedLoudness = (blockPowers) => {
+  const audible = blockPowers.filter(power => toLoudness(power) > ABSOLUTE_GATE);
+  if (audible.length === 0) return null;
+
+  const threshold = toLoudness(mean(audible)) + INTEGRATED_RELATIVE_GATE;
+  const gated = audible.filter(power => toLoudness(power) > threshold);
+  return gated.length ? toLoudness(mean(gated)) : null;
+};
+
+// Loudness range (EBU Tech 3342): spread between the 10th and 95th
+// percentile of gated short-term loudness
+const loudnessRange = (shortTermPowers) => {
+  const audible = shortTermPowers.filter(power => toLoudness(power) > ABSOLUTE_GATE);
+  if (audible.length === 0) return 0;
+
+  const threshold = toLoudness(mean(audible)) + RANGE_RELATIVE_GATE;
+  const levels = audible
+    .map(toLoudness)
+    .filter(level => level > threshold)
+    .sort((a, b) => a - b);
+  if (levels.length < 2) return 0;
+
+  const [low, high] = RANGE_PERCENTILES.map(percentile => {
+    return levels[Math.min(levels.length - 1, Math.round(percentile * (levels.length - 1)))];
+  });
+  return high - low;
+};
+
+// Polyphase windowed-sinc interpolator: `factor` phases of
+// TAPS_PER_PHASE taps, each normalized to unity gain
+const interpolationPhases = (factor) => {
+  const length = factor * TAPS_PER_PHASE;
+  const centre = (length - 1) / 2;
+  const taps = Array.from({ length }, (_, n) => {
+    const x = (n - centre) / factor;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * n / (length - 1)) + 0.08 * Math.cos(4 * Math.PI * n / (length - 1));
+    return sinc * window;
+  });
+
+  return Array.from({ length: factor }, (_, phase) => {
+    const phaseTaps = Array.from({ length: TAPS_PER_PHASE }, (_, j) => taps[phase + j * factor]);
+    const sum = phaseTaps.reduce((total, tap) => total + tap, 0);
+    return Float64Array.from(phaseTaps, tap => tap / sum);
+  });
+};
+
+// Highest absolute level of one channel between samples, found by
+// upsampling (inter-sample peaks can exceed every sample). Fed in
+// chunks; the last few samples carry over as interpolator history.
+const createPeakMeter = (sampleRate) => {
+  const factor = Math.max(1, Math.ceil(TRUE_PEAK_RATE / sampleRate));
+  const phases = factor > 1 ? interpolationPhases(factor) : null;
+  let history = new Float32Array(0);
+  let peak = 0;
+
+  const push = (chunk) => {
+    for (let i = 0; i < chunk.length; i++) {
+      const level = Math.abs(chunk[i]);
+      if (level > peak) peak = level;
+    }
+    if (!phases) return;
+
+    const samples = new Float32Array(history.length + chunk.length);
+    samples.set(history);
+    samples.set(chunk, history.length);
+    for (let i = TAPS_PER_PHASE - 1; i < samples.length; i++) {
+      for (let p = 0; p < factor; p++) {
+        const taps = phases[p];
+        let value = 0;
+        for (let j = 0; j < TAPS_PER_PHASE; j++) {
+          value += taps[j] * samples[i - j];
+        }
+        const level = Math.abs(value);
+        if (level > peak) peak = level;
+      }
+    }
+    history = samples.slice(Math.max(0, samples.length - (TAPS_PER_PHASE - 1)));
+  };
+
+  return { push, getPeak: () => peak };
+};
+
+// Analyze decoded audio of `channelCount` channels, pushed in chunks of
+// one Float32Array per channel. finish() returns
+// { integrated, range, peak } with integrated loudness in LUFS (null for
+// silence or audio shorter than one 400 ms block), loudness range in LU
+// and true peak as a linear level (1 = full scale).
+export const createLoudnessAnalyzer = (channelCount, sampleRate) => {
+  const segmentLength = Math.round(SEGMENT_SECONDS * sampleRate);
+  const weights = channelWeights(channelCount);
+  const meters = Array.from({ length: channelCount }, () => createSegmentMeter(sampleRate, segmentLength));
+  const peaks = Array.from({ length: channelCount }, () => createPeakMeter(sampleRate));
+
+  const push = (channels) => {
+    channels.forEach((samples, channel) => {
+      meters[channel].push(samples);
+      peaks[channel].push(samples);
+    });
+  };
+
+  const finish = () => {
+    const energies = meters.map(meter => meter.energies);
+    return {
+      integrated: integratedLoudness(windowPowers(energies, weights, BLOCK_SEGMENTS, segmentLength)),
+      range: loudnessRange(windowPowers(energies, weights, SHORT_TERM_SEGMENTS, segmentLength)),
+      peak: Math.max(0, ...peaks.map(meter => meter.getPeak()))
+    };
+  };
+
+  return { push, finish };
+};
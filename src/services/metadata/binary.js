@@ -0,0 +1,174 @@
+// Byte-level helpers shared by the tag parsers
+
+// Read part of a Blob as bytes
+export const readBlobBytes = async (blob, start = 0, end = blob.size) => {
+  const buffer = await blob.slice(start, end).arrayBuffer();
+  return new Uint8Array(buffer);
+};
+
+export const readAscii = (bytes, offset, length) => {
+  let result = '';
+  for (let i = offset; i < offset + length && i < bytes.length; i++) {
+    result += String.fromCharCode(bytes[i]);
+  }
+  return result;
+};
+
+export const readUint16BE = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+export const readUint24BE = (bytes, offset) => (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+
+export const readUint32BE = (bytes, offset) => {
+  return ((bytes[offset] << 24) >>> 0) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
+};
+
+export const readUint32LE = (bytes, offset) => {
+  return ((bytes[offset + 3] << 24) >>> 0) + ((bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset]);
+};
+
+// 64-bit big-endian value; exact up to 2^53
+export const readUint64BE = (bytes, offset) => {
+  return readUint32BE(bytes, offset) * 2 ** 32 + readUint32BE(bytes, offset + 4);
+};
+
+export const readUint64LE = (bytes, offset) => {
+  return readUint32LE(bytes, offset + 4) * 2 ** 32 + readUint32LE(bytes, offset);
+};
+
+export const writeUint32BE = (bytes, offset, value) => {
+  bytes[offset] = (value >>> 24) & 0xff;
+  bytes[offset + 1] = (value >>> 16) & 0xff;
+  bytes[offset + 2] = (value >>> 8) & 0xff;
+  bytes[offset + 3] = value & 0xff;
+};
+
+export const writeUint32LE = (bytes, offset, value) => {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >>> 8) & 0xff;
+  bytes[offset + 2] = (value >>> 16) & 0xff;
+  bytes[offset + 3] = (value >>> 24) & 0xff;
+};
+
+// 4-byte big/little-endian encodings for building structures
+export const uint32BE = (value) => {
+  const bytes = new Uint8Array(4);
+  writeUint32BE(bytes, 0, value);
+  return bytes;
+};
+
+export const uint32LE = (value) => {
+  const bytes = new Uint8Array(4);
+  writeUint32LE(bytes, 0, value);
+  return bytes;
+};
+
+// ID3v2 "syncsafe" integer: 7 bits per byte
+export const readSyncsafe = (bytes, offset) => {
+  return ((bytes[offset] & 0x7f) << 21) |
+    ((bytes[offset + 1] & 0x7f) << 14) |
+    ((bytes[offset + 2] & 0x7f) << 7) |
+    (bytes[offset + 3] & 0x7f);
+};
+
+// ID3v2 "syncsafe" encoding: 7 bits per byte, 28 bits max
+export const syncsafe = (value) => new Uint8Array([
+  (value >>> 21) & 0x7f,
+  (value >>> 14) & 0x7f,
+  (value >>> 7) & 0x7f,
+  value & 0x7f
+]);
+
+const decoders = {};
+
+const getDecoder = (encoding) => {
+  if (!decoders[encoding]) {
+    decoders[encoding] = new TextDecoder(encoding);
+  }
+  return decoders[encoding];
+};
+
+// Decode text in one of 'latin1', 'utf-8', 'utf-16' (BOM), 'utf-16le', 'utf-16be'
+export const decodeText = (bytes, encoding = 'utf-8') => {
+  if (!bytes || bytes.length === 0) return '';
+
+  if (encoding === 'latin1') {
+    return readAscii(bytes, 0, bytes.length);
+  }
+
+  if (encoding === 'utf-16') {
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      return getDecoder('utf-16be').decode(bytes.subarray(2));
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      return getDecoder('utf-16le').decode(bytes.subarray(2));
+    }
+    return getDecoder('utf-16le').decode(bytes);
+  }
+
+  return getDecoder(encoding).decode(bytes);
+};
+
+const encoder = new TextEncoder();
+
+// Encode text as UTF-8, or Latin-1 (characters above 0xFF become '?')
+export const encodeText = (text, encoding = 'utf-8') => {
+  const value = String(text ?? '');
+  if (encoding === 'latin1') {
+    return Uint8Array.from(value, char => (char.charCodeAt(0) > 0xff ? 0x3f : char.charCodeAt(0)));
+  }
+  return encoder.encode(value);
+};
+
+// Index of the first string terminator at or after `offset`.
+// Wide encodings are terminated by two zero bytes on an even boundary.
+export const findTerminator = (bytes, offset, wide = false) => {
+  if (!wide) {
+    const index = bytes.indexOf(0, offset);
+    return index === -1 ? bytes.length : index;
+  }
+
+  for (let i = offset; i + 1 < bytes.length; i += 2) {
+    if (bytes[i] === 0 && bytes[i + 1] === 0) {
+      return i;
+    }
+  }
+  return bytes.length;
+};
+
+// Drop trailing NUL characters left by terminated strings
+export const stripTrailingNulls = (text) => {
+  let end = text.length;
+  while (end > 0 && text.charCodeAt(end - 1) === 0) end--;
+  return text.slice(0, end);
+};
+
+// Concatenate byte arrays
+export const concatBytes = (chunks) => {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+};
+
+// "3/12" style position strings -> { number, total }
+export const parsePosition = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { number: null, total: null };
+  }
+
+  const [number, total] = String(value).split('/').map(part => parseInt(part, 10));
+  return {
+    number: Number.isFinite(number) ? number : null,
+    total: Number.isFinite(total) ? total : null
+  };
+};
+
+// First four-digit year in a date string such as "2004-05-11"
+export const parseYear = (value) => {
+  const match = /\d{4}/.exec(String(value || ''));
+  return match ? parseInt(match[0], 10) : null;
+};
@@ -0,0 +1,96 @@
+// FLAC metadata blocks: STREAMINFO, VORBIS_COMMENT and PICTURE
+import { readAscii, readBlobBytes, readUint24BE, readUint16BE, readUint32BE } from './binary';
+import { getId3v2Size } from './id3';
+import { parseVorbisComment, parsePictureBlock, vorbisCommentsToTags, pickArtwork } from './vorbis';
+
+export const FLAC_BLOCK_TYPES = {
+  STREAMINFO: 0,
+  PADDING: 1,
+  APPLICATION: 2,
+  SEEKTABLE: 3,
+  VORBIS_COMMENT: 4,
+  CUESHEET: 5,
+  PICTURE: 6
+};
+
+// Decode the 34-byte STREAMINFO block
+export const parseStreamInfo = (bytes) => {
+  const sampleRate = (bytes[10] << 12) | (bytes[11] << 4) | (bytes[12] >> 4);
+  const channels = ((bytes[12] >> 1) & 0x07) + 1;
+  const bitsPerSample = (((bytes[12] & 0x01) << 4) | (bytes[13] >> 4)) + 1;
+  const totalSamples = (bytes[13] & 0x0f) * 2 ** 32 + readUint32BE(bytes, 14);
+
+  return {
+    codec: 'FLAC',
+    minBlockSize: readUint16BE(bytes, 0),
+    maxBlockSize: readUint16BE(bytes, 2),
+    sampleRate,
+    channels,
+    bitsPerSample,
+    totalSamples,
+    duration: sampleRate && totalSamples ? totalSamples / sampleRate : null
+  };
+};
+
+// Offset of the "fLaC" marker, allowing for a leading ID3v2 tag
+export const findFlacStart = async (blob) => {
+  const id3Size = await getId3v2Size(blob);
+  const marker = await readBlobBytes(blob, id3Size, id3Size + 4);
+  return readAscii(marker, 0, 4) === 'fLaC' ? id3Size : -1;
+};
+
+// List metadata blocks as { type, isLast, offset, length } without
+// reading their contents
+export const listFlacBlocks = async (blob, flacStart) => {
+  const blocks = [];
+  let offset = flacStart + 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= blob.size) {
+    const header = await readBlobBytes(blob, offset, offset + 4);
+    isLast = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = readUint24BE(header, 1);
+
+    blocks.push({ type, isLast, offset, length });
+    offset += 4 + length;
+  }
+
+  return { blocks, audioOffset: offset };
+};
+
+// Read tags and stream info from a FLAC file
+export const readFlacTags = async (blob) => {
+  const flacStart = await findFlacStart(blob);
+  if (flacStart === -1) return null;
+
+  const { blocks } = await listFlacBlocks(blob, flacStart);
+  let tags = { custom: {} };
+  let artwork = null;
+  let audio = null;
+
+  for (const block of blocks) {
+    const start = block.offset + 4;
+
+    if (block.type === FLAC_BLOCK_TYPES.STREAMINFO) {
+      audio = parseStreamInfo(await readBlobBytes(blob, start, start + block.length));
+    } else if (block.type === FLAC_BLOCK_TYPES.VORBIS_COMMENT) {
+      const { comments } = parseVorbisComment(await readBlobBytes(blob, start, start + block.length));
+      const { artwork: commentArtwork, ...commentTags } = vorbisCommentsToTags(comments);
+      tags = commentTags;
+      artwork = pickArtwork(artwork, commentArtwork);
+    } else if (block.type === FLAC_BLOCK_TYPES.PICTURE) {
+      try {
+        artwork = pickArtwork(artwork, parsePictureBlock(await readBlobBytes(blob, start, start + block.length)));
+      } catch (error) {
+        console.warn('Skipping malformed FLAC picture block:', error);
+      }
+    }
+  }
+
+  if (audio?.duration) {
+    audio.bitrate = Math.round((blob.size * 8) / audio.duration);
+  }
+
+  return { ...tags, artwork, audio, tagFormat: 'Vorbis comment' };
+};
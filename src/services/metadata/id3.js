@@ -0,0 +1,357 @@
+// ID3v2.2 / 2.3 / 2.4 and ID3v1 tag reader for MP3 files
+import {
+  readAscii,
+  readBlobBytes,
+  readSyncsafe,
+  readUint24BE,
+  readUint32BE,
+  decodeText,
+  findTerminator,
+  parsePosition,
+  parseYear,
+  stripTrailingNulls
+} from './binary';
+import { genreFromIndex } from './genres';
+
+const ID3V2_HEADER_SIZE = 10;
+const ID3V1_SIZE = 128;
+
+// ID3 text encoding byte -> decodeText encoding
+const TEXT_ENCODINGS = ['latin1', 'utf-16', 'utf-16be', 'utf-8'];
+
+// ID3v2.2 three-letter IDs mapped to their v2.3/2.4 equivalents
+const V22_FRAME_IDS = {
+  TT2: 'TIT2', TP1: 'TPE1', TP2: 'TPE2', TAL: 'TALB', TRK: 'TRCK', TPA: 'TPOS',
+  TYE: 'TYER', TCO: 'TCON', PIC: 'APIC', ULT: 'USLT', TXX: 'TXXX', COM: 'COMM',
+  TCM: 'TCOM', TBP: 'TBPM'
+};
+
+// PIC image format -> MIME type
+const V22_IMAGE_FORMATS = { JPG: 'image/jpeg', PNG: 'image/png', GIF: 'image/gif', BMP: 'image/bmp' };
+
+// Reverse ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+export const removeUnsynchronisation = (bytes) => {
+  const result = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    result[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+      i++;
+    }
+  }
+  return result.subarray(0, length);
+};
+
+const encodingFor = (byte) => TEXT_ENCODINGS[byte] || 'latin1';
+const isWide = (encoding) => encoding === 'utf-16' || encoding === 'utf-16be';
+
+// Read one terminated string, returning the text and where the next field starts
+const readTerminated = (bytes, offset, encoding) => {
+  const wide = isWide(encoding);
+  const end = findTerminator(bytes, offset, wide);
+  return {
+    text: decodeText(bytes.subarray(offset, end), encoding),
+    next: Math.min(bytes.length, end + (wide ? 2 : 1))
+  };
+};
+
+// Text frames; v2.4 allows several null-separated values
+const parseTextFrame = (data) => {
+  const encoding = encodingFor(data[0]);
+  const text = decodeText(data.subarray(1), encoding);
+  return text.split('\u0000').map(value => value.trim()).filter(Boolean);
+};
+
+// TXXX: description + value
+const parseUserTextFrame = (data) => {
+  const encoding = encodingFor(data[0]);
+  const description = readTerminated(data, 1, encoding);
+  const value = stripTrailingNulls(decodeText(data.subarray(description.next), encoding));
+  return { description: description.text, value: value.split('\u0000').join('; ') };
+};
+
+// USLT / COMM: encoding, language, short description, text
+export const parseLanguageTextFrame = (data) => {
+  const encoding = encodingFor(data[0]);
+  const language = readAscii(data, 1, 3);
+  const description = readTerminated(data, 4, encoding);
+  const text = stripTrailingNulls(decodeText(data.subarray(description.next), encoding));
+  return { language, description: description.text, text };
+};
+
+// APIC (v2.3/2.4) or PIC (v2.2)
+const parsePictureFrame = (data, isV22) => {
+  const encoding = encodingFor(data[0]);
+  let offset = 1;
+  let mimeType;
+
+  if (isV22) {
+    const format = readAscii(data, 1, 3).toUpperCase();
+    mimeType = V22_IMAGE_FORMATS[format] || `image/${format.toLowerCase()}`;
+    offset = 4;
+  } else {
+    const mime = readTerminated(data, 1, 'latin1');
+    mimeType = mime.text || 'image/jpeg';
+    offset = mime.next;
+  }
+
+  // Some taggers write a bare type such as "jpg"
+  if (!mimeType.includes('/')) {
+    mimeType = `image/${mimeType.toLowerCase() === 'jpg' ? 'jpeg' : mimeType.toLowerCase()}`;
+  }
+
+  const pictureType = data[offset];
+  const description = readTerminated(data, offset + 1, encoding);
+
+  return {
+    mimeType,
+    pictureType,
+    description: description.text,
+    data: data.slice(description.next)
+  };
+};
+
+// TCON may hold "(17)", "(17)Rock", "Rock" or a bare v2.4 number
+const parseGenre = (values) => {
+  const genres = [];
+  values.forEach(value => {
+    const refs = value.match(/\((\d+)\)/g) || [];
+    refs.forEach(ref => {
+      const genre = genreFromIndex(parseInt(ref.slice(1, -1), 10));
+      if (genre) genres.push(genre);
+    });
+
+    const rest = value.replace(/\(\d+\)/g, '').replace(/^\((RX|CR)\)/, '').trim();
+    if (/^\d+$/.test(rest)) {
+      const genre = genreFromIndex(parseInt(rest, 10));
+      if (genre) genres.push(genre);
+    } else if (rest) {
+      genres.push(rest.replace(/^\(\(/, '('));
+    } else if (/^\(RX\)/.test(value)) {
+      genres.push('Remix');
+    } else if (/^\(CR\)/.test(value)) {
+      genres.push('Cover');
+    }
+  });
+  return [...new Set(genres)].join('; ') || null;
+};
+
+// Walk the frames of a tag body and collect them by (normalized) ID
+const readFrames = (body, version, tagUnsynchronised) => {
+  const frames = [];
+  const isV22 = version === 2;
+  const headerSize = isV22 ? 6 : 10;
+  let offset = 0;
+
+  while (offset + headerSize <= body.length) {
+    // Padding starts with a zero byte
+    if (body[offset] === 0) break;
+
+    const rawId = readAscii(body, offset, isV22 ? 3 : 4);
+    if (!/^[A-Z0-9]+$/.test(rawId)) break;
+
+    let size;
+    let formatFlags = 0;
+    if (isV22) {
+      size = readUint24BE(body, offset + 3);
+    } else if (version === 4) {
+      size = readSyncsafe(body, offset + 4);
+      formatFlags = body[offset + 9];
+    } else {
+      size = readUint32BE(body, offset + 4);
+      formatFlags = body[offset + 9];
+    }
+
+    const start = offset + headerSize;
+    const end = start + size;
+    if (size === 0 || end > body.length) {
+      offset = end;
+      if (size === 0) continue;
+      break;
+    }
+
+    let data = body.subarray(start, end);
+    let skip = false;
+
+    if (version === 3) {
+      // 0x80 compression, 0x40 encryption, 0x20 grouping
+      if (formatFlags & 0xc0) skip = true;
+      if (formatFlags & 0x20) data = data.subarray(1);
+    } else if (version === 4) {
+      // 0x40 grouping, 0x08 compression, 0x04 encryption,
+      // 0x02 unsynchronisation, 0x01 data length indicator
+      if (formatFlags & 0x0c) skip = true;
+      if (formatFlags & 0x40) data = data.subarray(1);
+      if (formatFlags & 0x01) data = data.subarray(4);
+      if ((formatFlags & 0x02) || tagUnsynchronised) data = removeUnsynchronisation(data);
+    }
+
+    if (!skip) {
+      const id = isV22 ? (V22_FRAME_IDS[rawId] || rawId) : rawId;
+      frames.push({ id, data, isV22 });
+    }
+
+    offset = end;
+  }
+
+  return frames;
+};
+
+// Parse a complete ID3v2 tag (header included). Returns null if absent.
+export const parseId3v2 = (bytes) => {
+  if (bytes.length < ID3V2_HEADER_SIZE || readAscii(bytes, 0, 3) !== 'ID3') {
+    return null;
+  }
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  const size = readSyncsafe(bytes, 6);
+
+  if (version < 2 || version > 4) {
+    return null;
+  }
+
+  // v2.2 bit 6 means the whole tag is compressed, which was never specified
+  if (version === 2 && (flags & 0x40)) {
+    return { version: '2.2', frames: [] };
+  }
+
+  let body = bytes.subarray(ID3V2_HEADER_SIZE, ID3V2_HEADER_SIZE + size);
+  const tagUnsynchronised = (flags & 0x80) !== 0;
+
+  // v2.3 unsynchronises the whole body; v2.4 does it per frame
+  if (tagUnsynchronised && version < 4) {
+    body = removeUnsynchronisation(body);
+  }
+
+  if (flags & 0x40) {
+    const extendedSize = version === 4 ? readSyncsafe(body, 0) : readUint32BE(body, 0) + 4;
+    body = body.subarray(extendedSize);
+  }
+
+  const frames = readFrames(body, version, tagUnsynchronised && version === 4);
+  return { version: `2.${version}`, frames, size: ID3V2_HEADER_SIZE + size + ((flags & 0x10) ? 10 : 0) };
+};
+
+// Turn raw ID3v2 frames into the normalized tag shape
+export const framesToTags = (frames) => {
+  const tags = { custom: {} };
+  const text = (id) => {
+    const frame = frames.find(item => item.id === id);
+    return frame ? parseTextFrame(frame.data) : [];
+  };
+  const first = (id) => text(id)[0] || null;
+
+  tags.title = first('TIT2');
+  tags.artist = text('TPE1').join('; ') || null;
+  tags.album = first('TALB');
+  tags.albumArtist = first('TPE2');
+  tags.composer = first('TCOM');
+
+  const track = parsePosition(first('TRCK'));
+  tags.trackNumber = track.number;
+  tags.trackTotal = track.total;
+
+  const disc = parsePosition(first('TPOS'));
+  tags.discNumber = disc.number;
+  tags.discTotal = disc.total;
+
+  tags.year = parseYear(first('TDRC') || first('TYER') || first('TORY') || first('TDOR'));
+
+  const genres = text('TCON');
+  tags.genre = genres.length ? parseGenre(genres) : null;
+
+  frames.forEach(frame => {
+    try {
+      if (frame.id === 'TXXX') {
+        const { description, value } = parseUserTextFrame(frame.data);
+        if (description) tags.custom[description] = value;
+      } else if (frame.id === 'USLT' && !tags.lyrics) {
+        tags.lyrics = parseLanguageTextFrame(frame.data).text || null;
+      } else if (frame.id === 'COMM') {
+        const comment = parseLanguageTextFrame(frame.data);
+        // iTunes stores its own data in descriptive comments; only plain
+        // ones are the comment, while iTunNORM (Sound Check) and friends
+        // are kept with the custom values
+        if (!comment.description || comment.description === 'Comment') {
+          if (!tags.comment) tags.comment = comment.text || null;
+        } else if (comment.description.startsWith('iTun')) {
+          tags.custom[comment.description] = comment.text;
+        }
+      } else if (frame.id === 'APIC') {
+        const picture = parsePictureFrame(frame.data, frame.isV22);
+        // Prefer the front cover (type 3) over any other picture
+        if (picture.data.length && (!tags.artwork || picture.pictureType === 3)) {
+          tags.artwork = picture;
+        }
+      }
+    } catch (error) {
+      console.warn(`Skipping malformed ${frame.id} frame:`, error);
+    }
+  });
+
+  return tags;
+};
+
+// Parse the 128-byte ID3v1 / v1.1 trailer. Returns null if absent.
+export const parseId3v1 = (bytes) => {
+  if (bytes.length < ID3V1_SIZE) return null;
+  const tag = bytes.subarray(bytes.length - ID3V1_SIZE);
+  if (readAscii(tag, 0, 3) !== 'TAG') return null;
+
+  const field = (offset, length) => {
+    const raw = tag.subarray(offset, offset + length);
+    const end = raw.indexOf(0);
+    return decodeText(end === -1 ? raw : raw.subarray(0, end), 'latin1').trim() || null;
+  };
+
+  // v1.1 steals the last two comment bytes for a track number
+  const isV11 = tag[125] === 0 && tag[126] !== 0;
+
+  return {
+    title: field(3, 30),
+    artist: field(33, 30),
+    album: field(63, 30),
+    year: parseYear(field(93, 4)),
+    comment: field(97, isV11 ? 28 : 30),
+    trackNumber: isV11 ? tag[126] : null,
+    genre: genreFromIndex(tag[127])
+  };
+};
+
+// Fill gaps in `primary` with values from `fallback`
+const mergeTags = (primary, fallback) => {
+  const merged = { ...primary };
+  Object.entries(fallback || {}).forEach(([key, value]) => {
+    if ((merged[key] === null || merged[key] === undefined) && value !== null && value !== undefined) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+};
+
+// Size of a leading ID3v2 tag in a file, or 0
+export const getId3v2Size = async (blob) => {
+  const header = await readBlobBytes(blob, 0, ID3V2_HEADER_SIZE);
+  if (header.length < ID3V2_HEADER_SIZE || readAscii(header, 0, 3) !== 'ID3') return 0;
+  return ID3V2_HEADER_SIZE + readSyncsafe(header, 6) + ((header[5] & 0x10) ? 10 : 0);
+};
+
+// Read ID3v2 (preferred) and ID3v1 tags from an MP3 file.
+// Returns normalized tags, or null if the file has neither.
+export const readId3Tags = async (blob) => {
+  const v2Size = await getId3v2Size(blob);
+  const v2 = v2Size ? parseId3v2(await readBlobBytes(blob, 0, v2Size)) : null;
+
+  const v1 = blob.size >= ID3V1_SIZE
+    ? parseId3v1(await readBlobBytes(blob, blob.size - ID3V1_SIZE))
+    : null;
+
+  if (!v2 && !v1) return null;
+
+  const tags = v2 ? framesToTags(v2.frames) : { custom: {} };
+  return {
+    ...mergeTags(tags, v1),
+    tagFormat: v2 ? `ID3v${v2.version}` : 'ID3v1'
+  };
+};
@@ -0,0 +1,86 @@
+// Tag reading entry point: detects the container and hands off to the
+// matching parser. All parsers return the same normalized shape.
+import { readAscii, readBlobBytes } from './binary';
+import { getId3v2Size, readId3Tags } from './id3';
+import { readFlacTags } from './flac';
+import { readOggTags } from './ogg';
+import { readMp4Tags } from './mp4';
+
+export { canWriteTags, writeAudioTags } from './writer';
+
+// Normalized tag fields every parser fills (null when unknown)
+export const TAG_FIELDS = [
+  'title', 'artist', 'album', 'albumArtist', 'composer',
+  'trackNumber', 'trackTotal', 'discNumber', 'discTotal',
+  'year', 'genre', 'comment', 'lyrics'
+];
+
+const emptyTags = () => ({
+  ...Object.fromEntries(TAG_FIELDS.map(field => [field, null])),
+  artwork: null,
+  custom: {},
+  tagFormat: null
+});
+
+const EXTENSION_FORMATS = {
+  mp3: 'mp3',
+  flac: 'flac',
+  ogg: 'ogg',
+  oga: 'ogg',
+  opus: 'ogg',
+  m4a: 'mp4',
+  m4b: 'mp4',
+  mp4: 'mp4'
+};
+
+// Identify the container from its first bytes
+export const detectAudioFormat = async (blob) => {
+  const head = await readBlobBytes(blob, 0, 12);
+
+  if (readAscii(head, 0, 4) === 'fLaC') return 'flac';
+  if (readAscii(head, 0, 4) === 'OggS') return 'ogg';
+  if (readAscii(head, 4, 4) === 'ftyp') return 'mp4';
+
+  if (readAscii(head, 0, 3) === 'ID3') {
+    // Some encoders put an ID3v2 tag in front of FLAC streams
+    const id3Size = await getId3v2Size(blob);
+    const marker = await readBlobBytes(blob, id3Size, id3Size + 4);
+    return readAscii(marker, 0, 4) === 'fLaC' ? 'flac' : 'mp3';
+  }
+  // MPEG audio frame sync: 11 set bits
+  if (head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return 'mp3';
+
+  // Fall back to the extension for files with leading junk
+  const extension = /\.([a-z0-9]+)$/i.exec(blob.name || '')?.[1]?.toLowerCase();
+  return EXTENSION_FORMATS[extension] || null;
+};
+
+const READERS = {
+  mp3: readId3Tags,
+  flac: readFlacTags,
+  ogg: readOggTags,
+  mp4: readMp4Tags
+};
+
+// Read and normalize tags. Never throws; returns empty tags on failure.
+export const readAudioTags = async (blob) => {
+  const tags = emptyTags();
+
+  try {
+    const format = await detectAudioFormat(blob);
+    const reader = READERS[format];
+    const parsed = reader ? await reader(blob) : null;
+
+    if (parsed) {
+      Object.entries(parsed).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') tags[key] = value;
+      });
+    }
+
+    tags.container = format;
+  } catch (error) {
+    console.warn('Failed to read audio tags:', error);
+  }
+
+  return tags;
+};
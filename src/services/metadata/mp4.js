@@ -0,0 +1,432 @@
+// MP4/M4A (ISO base media) reader: iTunes-style ilst tags, stream details
+// from mdhd/stsd and QuickTime chapter tracks
+import {
+  readAscii,
+  readBlobBytes,
+  readUint16BE,
+  readUint32BE,
+  readUint64BE,
+  decodeText,
+  parseYear
+} from './binary';
+import { genreFromIndex } from './genres';
+
+const MAX_CHAPTERS = 500;
+
+// ilst text atoms -> normalized tag field
+const TEXT_ATOMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+  aART: 'albumArtist',
+  '©wrt': 'composer',
+  '©gen': 'genre',
+  '©cmt': 'comment',
+  '©lyr': 'lyrics'
+};
+
+// `data` atom type indicators
+const DATA_TYPES = { UTF8: 1, UTF16: 2, JPEG: 13, PNG: 14, BMP: 27 };
+const IMAGE_TYPES = {
+  [DATA_TYPES.JPEG]: 'image/jpeg',
+  [DATA_TYPES.PNG]: 'image/png',
+  [DATA_TYPES.BMP]: 'image/bmp'
+};
+
+// Box header at `offset` -> { type, start, contentStart, end }, or null
+export const readBoxHeader = (bytes, offset, limit = bytes.length) => {
+  if (offset + 8 > limit) return null;
+
+  let size = readUint32BE(bytes, offset);
+  const type = readAscii(bytes, offset + 4, 4);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (offset + 16 > limit) return null;
+    size = readUint64BE(bytes, offset + 8);
+    headerSize = 16;
+  } else if (size === 0) {
+    // Extends to the end of the enclosing box
+    size = limit - offset;
+  }
+
+  if (size < headerSize) return null;
+  return { type, start: offset, contentStart: offset + headerSize, end: Math.min(offset + size, limit) };
+};
+
+// Direct children of a box's content range
+export const childBoxes = (bytes, start, end) => {
+  const boxes = [];
+  let offset = start;
+  let box;
+  while ((box = readBoxHeader(bytes, offset, end))) {
+    boxes.push(box);
+    offset = box.end;
+  }
+  return boxes;
+};
+
+// Follow a path of box types, e.g. ['mdia', 'minf', 'stbl']
+const findBox = (bytes, parent, path) => {
+  let box = parent;
+  for (const type of path) {
+    box = childBoxes(bytes, box.contentStart, box.end).find(child => child.type === type);
+    if (!box) return null;
+  }
+  return box;
+};
+
+// Locate the top-level moov box without reading mdat
+const readMoov = async (blob) => {
+  let offset = 0;
+  while (offset + 8 <= blob.size) {
+    const header = await readBlobBytes(blob, offset, offset + 16);
+    // Relative to `offset`; the limit lets size-0 boxes run to end of file
+    const box = readBoxHeader(header, 0, blob.size - offset);
+    if (!box) return null;
+
+    if (box.type === 'moov') {
+      const bytes = await readBlobBytes(blob, offset, offset + box.end);
+      return { bytes, box: readBoxHeader(bytes, 0) };
+    }
+
+    offset += box.end;
+  }
+  return null;
+};
+
+// mvhd/mdhd: { timescale, duration } for version 0 and 1
+const parseTimeHeader = (bytes, box) => {
+  const version = bytes[box.contentStart];
+  const base = box.contentStart + 4;
+  return version === 1
+    ? { timescale: readUint32BE(bytes, base + 16), duration: readUint64BE(bytes, base + 20) }
+    : { timescale: readUint32BE(bytes, base + 8), duration: readUint32BE(bytes, base + 12) };
+};
+
+const parseTrackId = (bytes, box) => {
+  const version = bytes[box.contentStart];
+  return readUint32BE(bytes, box.contentStart + 4 + (version === 1 ? 16 : 8));
+};
+
+// Variable-length size used by MPEG-4 descriptors
+const readDescriptorLength = (bytes, offset) => {
+  let length = 0;
+  let position = offset;
+  for (let i = 0; i < 4; i++) {
+    const byte = bytes[position++];
+    length = (length << 7) | (byte & 0x7f);
+    if (!(byte & 0x80)) break;
+  }
+  return { length, position };
+};
+
+// esds: average bitrate from the DecoderConfigDescriptor
+const parseEsdsBitrate = (bytes, box) => {
+  let position = box.contentStart + 4;
+  if (bytes[position] !== 0x03) return null;
+
+  ({ position } = readDescriptorLength(bytes, position + 1));
+  const flags = bytes[position + 2];
+  position += 3;
+  if (flags & 0x80) position += 2;
+  if (flags & 0x40) position += 1 + bytes[position];
+  if (flags & 0x20) position += 2;
+
+  if (bytes[position] !== 0x04) return null;
+  ({ position } = readDescriptorLength(bytes, position + 1));
+  return readUint32BE(bytes, position + 9) || null;
+};
+
+// stsd: first sample entry's codec, channels, bit depth and rate
+const parseSampleDescription = (bytes, stsd) => {
+  const entry = readBoxHeader(bytes, stsd.contentStart + 8, stsd.end);
+  if (!entry) return null;
+
+  const base = entry.contentStart;
+  const soundVersion = readUint16BE(bytes, base + 8);
+  const details = {
+    format: entry.type,
+    channels: readUint16BE(bytes, base + 16),
+    bitsPerSample: readUint16BE(bytes, base + 18),
+    // 16.16 fixed point; zero when the rate does not fit
+    sampleRate: readUint16BE(bytes, base + 24) || null,
+    bitrate: null
+  };
+
+  // QuickTime sound description versions carry extra fields
+  const childStart = base + 28 + (soundVersion === 1 ? 16 : soundVersion === 2 ? 36 : 0);
+  childBoxes(bytes, childStart, entry.end).forEach(child => {
+    if (child.type === 'esds') {
+      details.bitrate = parseEsdsBitrate(bytes, child);
+    } else if (child.type === 'alac' && child.end - child.contentStart >= 28) {
+      const config = child.contentStart + 4;
+      details.bitsPerSample = bytes[config + 5];
+      details.channels = bytes[config + 9];
+      details.bitrate = readUint32BE(bytes, config + 16) || null;
+      details.sampleRate = readUint32BE(bytes, config + 20) || details.sampleRate;
+    }
+  });
+
+  return details;
+};
+
+// stsz: total media bytes and per-sample sizes
+const parseSampleSizes = (bytes, stsz) => {
+  const base = stsz.contentStart + 4;
+  const uniformSize = readUint32BE(bytes, base);
+  const count = readUint32BE(bytes, base + 4);
+
+  if (uniformSize) {
+    return { total: uniformSize * count, sizes: null, count, uniformSize };
+  }
+
+  const sizes = [];
+  let total = 0;
+  for (let i = 0; i < count && base + 8 + i * 4 + 4 <= stsz.end; i++) {
+    const size = readUint32BE(bytes, base + 8 + i * 4);
+    sizes.push(size);
+    total += size;
+  }
+  return { total, sizes, count, uniformSize };
+};
+
+// File offset, size and start time of each sample in a track
+const listSamples = (bytes, stbl, maxSamples) => {
+  const find = (type) => findBox(bytes, stbl, [type]);
+  const stts = find('stts');
+  const stsc = find('stsc');
+  const stsz = find('stsz');
+  const chunkBox = find('stco') || find('co64');
+  if (!stts || !stsc || !stsz || !chunkBox) return [];
+
+  const wideOffsets = chunkBox.type === 'co64';
+  const chunkCount = readUint32BE(bytes, chunkBox.contentStart + 4);
+  const chunkOffset = (index) => {
+    const position = chunkBox.contentStart + 8 + index * (wideOffsets ? 8 : 4);
+    return wideOffsets ? readUint64BE(bytes, position) : readUint32BE(bytes, position);
+  };
+
+  const stscCount = readUint32BE(bytes, stsc.contentStart + 4);
+  const stscEntry = (index) => {
+    const position = stsc.contentStart + 8 + index * 12;
+    return { firstChunk: readUint32BE(bytes, position), samplesPerChunk: readUint32BE(bytes, position + 4) };
+  };
+
+  const { sizes, count, uniformSize } = parseSampleSizes(bytes, stsz);
+  const limit = Math.min(count, maxSamples);
+  const samples = [];
+
+  let stscIndex = 0;
+  for (let chunk = 0; chunk < chunkCount && samples.length < limit; chunk++) {
+    while (stscIndex + 1 < stscCount && stscEntry(stscIndex + 1).firstChunk <= chunk + 1) {
+      stscIndex++;
+    }
+    let offset = chunkOffset(chunk);
+    const perChunk = stscCount ? stscEntry(stscIndex).samplesPerChunk : 0;
+    for (let i = 0; i < perChunk && samples.length < limit; i++) {
+      const size = uniformSize || sizes[samples.length] || 0;
+      samples.push({ offset, size, time: 0 });
+      offset += size;
+    }
+  }
+
+  // Decoding times from stts run lengths
+  const sttsCount = readUint32BE(bytes, stts.contentStart + 4);
+  let sampleIndex = 0;
+  let time = 0;
+  for (let i = 0; i < sttsCount && sampleIndex < samples.length; i++) {
+    const position = stts.contentStart + 8 + i * 8;
+    const runLength = readUint32BE(bytes, position);
+    const delta = readUint32BE(bytes, position + 4);
+    for (let j = 0; j < runLength && sampleIndex < samples.length; j++) {
+      samples[sampleIndex++].time = time;
+      time += delta;
+    }
+  }
+
+  return samples;
+};
+
+// Summarize each trak box
+const parseTracks = (bytes, moov) => {
+  return childBoxes(bytes, moov.contentStart, moov.end)
+    .filter(box => box.type === 'trak')
+    .map(trak => {
+      const tkhd = findBox(bytes, trak, ['tkhd']);
+      const mdhd = findBox(bytes, trak, ['mdia', 'mdhd']);
+      const hdlr = findBox(bytes, trak, ['mdia', 'hdlr']);
+      const stbl = findBox(bytes, trak, ['mdia', 'minf', 'stbl']);
+      const chap = findBox(bytes, trak, ['tref', 'chap']);
+
+      const chapterTrackIds = [];
+      if (chap) {
+        for (let position = chap.contentStart; position + 4 <= chap.end; position += 4) {
+          chapterTrackIds.push(readUint32BE(bytes, position));
+        }
+      }
+
+      return {
+        id: tkhd ? parseTrackId(bytes, tkhd) : null,
+        handler: hdlr ? readAscii(bytes, hdlr.contentStart + 8, 4) : null,
+        time: mdhd ? parseTimeHeader(bytes, mdhd) : null,
+        stbl,
+        chapterTrackIds
+      };
+    });
+};
+
+// Text samples of a QuickTime chapter track: 16-bit length + text
+const readChapters = async (blob, bytes, track) => {
+  if (!track?.stbl || !track.time?.timescale) return [];
+
+  const samples = listSamples(bytes, track.stbl, MAX_CHAPTERS);
+  const chapters = [];
+
+  for (const sample of samples) {
+    if (sample.size < 2) continue;
+    const data = await readBlobBytes(blob, sample.offset, sample.offset + sample.size);
+    const length = Math.min(readUint16BE(data, 0), data.length - 2);
+    const text = data.subarray(2, 2 + length);
+    const isUtf16 = text[0] === 0xfe && text[1] === 0xff;
+
+    chapters.push({
+      title: decodeText(text, isUtf16 ? 'utf-16' : 'utf-8'),
+      startTime: sample.time / track.time.timescale
+    });
+  }
+
+  return chapters;
+};
+
+// Values of the `data` atoms inside an ilst item
+const readDataAtoms = (bytes, item) => {
+  return childBoxes(bytes, item.contentStart, item.end)
+    .filter(box => box.type === 'data' && box.end - box.contentStart >= 8)
+    .map(box => ({
+      type: readUint32BE(bytes, box.contentStart) & 0xffffff,
+      value: bytes.subarray(box.contentStart + 8, box.end)
+    }));
+};
+
+const dataToText = ({ type, value }) => {
+  return decodeText(value, type === DATA_TYPES.UTF16 ? 'utf-16be' : 'utf-8');
+};
+
+// trkn/disk: reserved(2) number(2) total(2)
+const readPair = (value) => ({
+  number: value.length >= 4 ? readUint16BE(value, 2) || null : null,
+  total: value.length >= 6 ? readUint16BE(value, 4) || null : null
+});
+
+// Turn the ilst box into the normalized tag shape
+export const ilstToTags = (bytes, ilst) => {
+  const tags = { custom: {}, artwork: null };
+
+  childBoxes(bytes, ilst.contentStart, ilst.end).forEach(item => {
+    if (item.type === '----') {
+      // Freeform: mean (namespace), name, data
+      const children = childBoxes(bytes, item.contentStart, item.end);
+      const nameBox = children.find(child => child.type === 'name');
+      const [data] = readDataAtoms(bytes, item);
+      if (nameBox && data) {
+        const name = decodeText(bytes.subarray(nameBox.contentStart + 4, nameBox.end), 'utf-8');
+        tags.custom[name] = dataToText(data).trim();
+      }
+      return;
+    }
+
+    const atoms = readDataAtoms(bytes, item);
+    if (atoms.length === 0) return;
+    const [first] = atoms;
+
+    if (TEXT_ATOMS[item.type]) {
+      tags[TEXT_ATOMS[item.type]] = atoms.map(dataToText).join('; ');
+    } else if (item.type === '©day') {
+      tags.year = parseYear(dataToText(first));
+    } else if (item.type === 'trkn') {
+      const { number, total } = readPair(first.value);
+      tags.trackNumber = number;
+      tags.trackTotal = total;
+    } else if (item.type === 'disk') {
+      const { number, total } = readPair(first.value);
+      tags.discNumber = number;
+      tags.discTotal = total;
+    } else if (item.type === 'gnre' && !tags.genre && first.value.length >= 2) {
+      // ID3v1 genre index, offset by one
+      tags.genre = genreFromIndex(readUint16BE(first.value, 0) - 1);
+    } else if (item.type === 'covr' && !tags.artwork) {
+      tags.artwork = {
+        mimeType: IMAGE_TYPES[first.type] || 'image/jpeg',
+        pictureType: 3,
+        description: '',
+        data: first.value.slice()
+      };
+    }
+  });
+
+  return tags;
+};
+
+// Find ilst under moov/udta/meta. Apple's meta is a full box; some
+// QuickTime writers omit the version/flags word.
+const findIlst = (bytes, moov) => {
+  const meta = findBox(bytes, moov, ['udta', 'meta']);
+  if (!meta) return null;
+
+  const isFullBox = readAscii(bytes, meta.contentStart + 4, 4) !== 'hdlr' &&
+    readUint32BE(bytes, meta.contentStart) === 0;
+  const start = meta.contentStart + (isFullBox ? 4 : 0);
+  return childBoxes(bytes, start, meta.end).find(box => box.type === 'ilst') || null;
+};
+
+// Read tags, chapters and stream info from an MP4/M4A file
+export const readMp4Tags = async (blob) => {
+  const moov = await readMoov(blob);
+  if (!moov?.box) return null;
+
+  const { bytes, box } = moov;
+  const ilst = findIlst(bytes, box);
+  const tags = ilst ? ilstToTags(bytes, ilst) : { custom: {}, artwork: null };
+
+  const tracks = parseTracks(bytes, box);
+  const soundTrack = tracks.find(track => track.handler === 'soun');
+  const mvhd = findBox(bytes, box, ['mvhd']);
+  const movieTime = mvhd ? parseTimeHeader(bytes, mvhd) : null;
+
+  let audio = null;
+  if (soundTrack) {
+    const { time, stbl } = soundTrack;
+    const stsd = stbl && findBox(bytes, stbl, ['stsd']);
+    const stsz = stbl && findBox(bytes, stbl, ['stsz']);
+    const description = stsd ? parseSampleDescription(bytes, stsd) : null;
+    const duration = time?.timescale
+      ? time.duration / time.timescale
+      : movieTime?.timescale ? movieTime.duration / movieTime.timescale : null;
+
+    // Real bitrate from the sample table, not the advertised one
+    const mediaBytes = stsz ? parseSampleSizes(bytes, stsz).total : 0;
+    const measuredBitrate = duration && mediaBytes ? Math.round((mediaBytes * 8) / duration) : null;
+    const codecs = { mp4a: 'AAC', alac: 'ALAC', 'ac-3': 'AC-3', 'ec-3': 'E-AC-3', Opus: 'Opus', fLaC: 'FLAC' };
+
+    audio = {
+      codec: codecs[description?.format] || description?.format || null,
+      sampleRate: description?.sampleRate || time?.timescale || null,
+      channels: description?.channels || null,
+      bitsPerSample: description?.bitsPerSample || null,
+      bitrate: measuredBitrate || description?.bitrate || null,
+      duration
+    };
+  }
+
+  const chapterTrackId = soundTrack?.chapterTrackIds[0];
+  const chapterTrack = chapterTrackId && tracks.find(track => track.id === chapterTrackId);
+  const chapters = chapterTrack ? await readChapters(blob, bytes, chapterTrack) : [];
+
+  return {
+    ...tags,
+    chapters: chapters.length ? chapters : null,
+    audio,
+    tagFormat: 'iTunes MP4'
+  };
+};
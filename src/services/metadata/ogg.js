@@ -0,0 +1,160 @@
+// Ogg Vorbis, Opus and FLAC-in-Ogg: header packets and stream duration
+import { readAscii, readBlobBytes, readUint32LE, readUint64LE, concatBytes } from './binary';
+import { parseVorbisComment, vorbisCommentsToTags } from './vorbis';
+import { parseStreamInfo } from './flac';
+
+const PAGE_HEADER_SIZE = 27;
+const READ_CHUNK_SIZE = 64 * 1024;
+// Header packets can carry large embedded pictures
+const MAX_HEADER_BYTES = 16 * 1024 * 1024;
+const OPUS_SAMPLE_RATE = 48000;
+
+// Parse the page starting at `offset`, or null if there is none
+export const parseOggPage = (bytes, offset) => {
+  if (offset + PAGE_HEADER_SIZE > bytes.length || readAscii(bytes, offset, 4) !== 'OggS') {
+    return null;
+  }
+
+  const segmentCount = bytes[offset + 26];
+  const segmentTableEnd = offset + PAGE_HEADER_SIZE + segmentCount;
+  if (segmentTableEnd > bytes.length) return null;
+
+  const segments = Array.from(bytes.subarray(offset + PAGE_HEADER_SIZE, segmentTableEnd));
+  const bodySize = segments.reduce((sum, size) => sum + size, 0);
+  if (segmentTableEnd + bodySize > bytes.length) return null;
+
+  return {
+    headerType: bytes[offset + 5],
+    granulePosition: readUint64LE(bytes, offset + 6),
+    serial: readUint32LE(bytes, offset + 14),
+    sequence: readUint32LE(bytes, offset + 18),
+    segments,
+    bodyOffset: segmentTableEnd,
+    end: segmentTableEnd + bodySize
+  };
+};
+
+// Reassemble the first `count` packets of the first logical stream,
+// reading the file in chunks until they are complete
+export const readOggPackets = async (blob, count) => {
+  let buffer = new Uint8Array(0);
+  let readOffset = 0;
+  let offset = 0;
+  let serial = null;
+  let pending = [];
+  const packets = [];
+
+  while (packets.length < count) {
+    const page = parseOggPage(buffer, offset);
+
+    if (!page) {
+      if (readOffset >= blob.size || readOffset >= MAX_HEADER_BYTES) break;
+      const chunk = await readBlobBytes(blob, readOffset, readOffset + READ_CHUNK_SIZE);
+      readOffset += chunk.length;
+      buffer = concatBytes([buffer.subarray(offset), chunk]);
+      offset = 0;
+      continue;
+    }
+
+    offset = page.end;
+    serial ??= page.serial;
+    if (page.serial !== serial) continue;
+
+    let position = page.bodyOffset;
+    page.segments.forEach(size => {
+      pending.push(buffer.slice(position, position + size));
+      position += size;
+
+      // A lacing value below 255 ends the packet
+      if (size < 255) {
+        packets.push(concatBytes(pending));
+        pending = [];
+      }
+    });
+  }
+
+  return { packets: packets.slice(0, count), serial };
+};
+
+// Granule position of the last page of the stream, read from the tail
+export const readLastGranule = async (blob, serial) => {
+  const tailStart = Math.max(0, blob.size - READ_CHUNK_SIZE);
+  const tail = await readBlobBytes(blob, tailStart);
+
+  for (let i = tail.length - PAGE_HEADER_SIZE; i >= 0; i--) {
+    if (tail[i] === 0x4f && readAscii(tail, i, 4) === 'OggS') {
+      const granule = readUint64LE(tail, i + 6);
+      if (readUint32LE(tail, i + 14) === serial && granule > 0) {
+        return granule;
+      }
+    }
+  }
+  return null;
+};
+
+// Identification header -> stream details
+const parseIdentification = (packet) => {
+  if (packet[0] === 0x01 && readAscii(packet, 1, 6) === 'vorbis') {
+    return {
+      codec: 'Vorbis',
+      channels: packet[11],
+      sampleRate: readUint32LE(packet, 12),
+      bitrate: readUint32LE(packet, 20) || null,
+      preSkip: 0
+    };
+  }
+
+  if (readAscii(packet, 0, 8) === 'OpusHead') {
+    return {
+      codec: 'Opus',
+      channels: packet[9],
+      // Opus always decodes at 48 kHz; this is the original input rate
+      inputSampleRate: readUint32LE(packet, 12) || null,
+      sampleRate: OPUS_SAMPLE_RATE,
+      preSkip: packet[10] | (packet[11] << 8)
+    };
+  }
+
+  // FLAC mapping: 0x7F "FLAC", version, header count, "fLaC", STREAMINFO
+  if (packet[0] === 0x7f && readAscii(packet, 1, 4) === 'FLAC') {
+    return { ...parseStreamInfo(packet.subarray(17)), preSkip: 0 };
+  }
+
+  return null;
+};
+
+// Comment header -> Vorbis comment bytes, by codec
+const commentPayload = (codec, packet) => {
+  if (codec === 'Vorbis' && packet[0] === 0x03 && readAscii(packet, 1, 6) === 'vorbis') {
+    return packet.subarray(7);
+  }
+  if (codec === 'Opus' && readAscii(packet, 0, 8) === 'OpusTags') {
+    return packet.subarray(8);
+  }
+  // FLAC-in-Ogg: a native metadata block; type 4 is VORBIS_COMMENT
+  if (codec === 'FLAC' && (packet[0] & 0x7f) === 4) {
+    return packet.subarray(4);
+  }
+  return null;
+};
+
+// Read tags and stream info from an Ogg file
+export const readOggTags = async (blob) => {
+  const { packets, serial } = await readOggPackets(blob, 2);
+  const identification = packets[0] && parseIdentification(packets[0]);
+  if (!identification) return null;
+
+  const { preSkip, ...audio } = identification;
+  const payload = packets[1] && commentPayload(audio.codec, packets[1]);
+  const tags = payload
+    ? vorbisCommentsToTags(parseVorbisComment(payload).comments)
+    : { custom: {}, artwork: null };
+
+  const granule = await readLastGranule(blob, serial);
+  if (granule && audio.sampleRate) {
+    audio.duration = Math.max(0, granule - preSkip) / audio.sampleRate;
+    audio.bitrate ??= Math.round((blob.size * 8) / audio.duration);
+  }
+
+  return { ...tags, audio, tagFormat: 'Vorbis comment' };
+};
@@ -0,0 +1,255 @@
+// Vorbis comment blocks (FLAC, Ogg Vorbis, Opus) and FLAC picture blocks
+import {
+  readAscii,
+  readUint32BE,
+  readUint32LE,
+  uint32BE,
+  uint32LE,
+  decodeText,
+  encodeText,
+  concatBytes,
+  parsePosition,
+  parseYear
+} from './binary';
+
+// Vorbis comment field -> normalized tag field
+const FIELD_MAP = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  ALBUMARTIST: 'albumArtist',
+  'ALBUM ARTIST': 'albumArtist',
+  COMPOSER: 'composer',
+  GENRE: 'genre',
+  COMMENT: 'comment',
+  DESCRIPTION: 'comment',
+  LYRICS: 'lyrics',
+  UNSYNCEDLYRICS: 'lyrics'
+};
+
+// Fields folded into structured values rather than kept as custom
+const HANDLED_FIELDS = new Set([
+  ...Object.keys(FIELD_MAP),
+  'TRACKNUMBER', 'TRACKTOTAL', 'TOTALTRACKS',
+  'DISCNUMBER', 'DISCTOTAL', 'TOTALDISCS',
+  'DATE', 'YEAR', 'METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME'
+]);
+
+// Parse a Vorbis comment structure (little-endian lengths).
+// Returns { vendor, comments: [[FIELD, value], ...], end }.
+export const parseVorbisComment = (bytes, offset = 0) => {
+  const vendorLength = readUint32LE(bytes, offset);
+  let position = offset + 4;
+  const vendor = decodeText(bytes.subarray(position, position + vendorLength), 'utf-8');
+  position += vendorLength;
+
+  const count = readUint32LE(bytes, position);
+  position += 4;
+
+  const comments = [];
+  for (let i = 0; i < count && position + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, position);
+    position += 4;
+    const entry = decodeText(bytes.subarray(position, position + length), 'utf-8');
+    position += length;
+
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      comments.push([entry.slice(0, separator).toUpperCase(), entry.slice(separator + 1)]);
+    }
+  }
+
+  return { vendor, comments, end: position };
+};
+
+// Parse a FLAC METADATA_BLOCK_PICTURE structure (big-endian lengths)
+export const parsePictureBlock = (bytes) => {
+  let position = 0;
+  const pictureType = readUint32BE(bytes, position);
+  position += 4;
+
+  const mimeLength = readUint32BE(bytes, position);
+  position += 4;
+  const mimeType = readAscii(bytes, position, mimeLength);
+  position += mimeLength;
+
+  const descriptionLength = readUint32BE(bytes, position);
+  position += 4;
+  const description = decodeText(bytes.subarray(position, position + descriptionLength), 'utf-8');
+  position += descriptionLength;
+
+  const width = readUint32BE(bytes, position);
+  const height = readUint32BE(bytes, position + 4);
+  // colour depth and palette size follow; not needed
+  position += 16;
+
+  const dataLength = readUint32BE(bytes, position);
+  position += 4;
+
+  return {
+    mimeType: mimeType || 'image/jpeg',
+    pictureType,
+    description,
+    width,
+    height,
+    data: bytes.slice(position, position + dataLength)
+  };
+};
+
+// Decode the base64 picture stored inside a Vorbis comment
+const decodeBase64 = (value) => {
+  const binary = atob(value.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Prefer the front cover (type 3) over any other picture
+export const pickArtwork = (current, candidate) => {
+  if (!candidate?.data?.length) return current;
+  if (!current || (candidate.pictureType === 3 && current.pictureType !== 3)) return candidate;
+  return current;
+};
+
+// Turn Vorbis comments into the normalized tag shape
+export const vorbisCommentsToTags = (comments) => {
+  const values = {};
+  comments.forEach(([field, value]) => {
+    values[field] = [...(values[field] || []), value];
+  });
+  const first = (field) => values[field]?.[0] ?? null;
+
+  const tags = { custom: {} };
+
+  Object.entries(FIELD_MAP).forEach(([field, key]) => {
+    if (values[field] && !tags[key]) {
+      // Multiple artists/genres are separate entries; join them
+      tags[key] = values[field].join('; ');
+    }
+  });
+
+  const track = parsePosition(first('TRACKNUMBER'));
+  tags.trackNumber = track.number;
+  tags.trackTotal = track.total ?? parsePosition(first('TRACKTOTAL') ?? first('TOTALTRACKS')).number;
+
+  const disc = parsePosition(first('DISCNUMBER'));
+  tags.discNumber = disc.number;
+  tags.discTotal = disc.total ?? parsePosition(first('DISCTOTAL') ?? first('TOTALDISCS')).number;
+
+  tags.year = parseYear(first('DATE') ?? first('YEAR'));
+
+  let artwork = null;
+  (values.METADATA_BLOCK_PICTURE || []).forEach(value => {
+    try {
+      artwork = pickArtwork(artwork, parsePictureBlock(decodeBase64(value)));
+    } catch (error) {
+      console.warn('Skipping malformed METADATA_BLOCK_PICTURE:', error);
+    }
+  });
+
+  // Legacy unofficial COVERART field
+  if (!artwork && first('COVERART')) {
+    try {
+      const mimeType = first('COVERARTMIME') || 'image/jpeg';
+      artwork = {
+        mimeType,
+        pictureType: 3,
+        description: '',
+        data: decodeBase64(first('COVERART'))
+      };
+    } catch (error) {
+      console.warn('Skipping malformed COVERART:', error);
+    }
+  }
+  tags.artwork = artwork;
+
+  Object.entries(values).forEach(([field, list]) => {
+    if (!HANDLED_FIELDS.has(field)) {
+      tags.custom[field] = list.join('; ');
+    }
+  });
+
+  return tags;
+};
+
+// Fields rewritten from edited tags; every other comment is preserved
+export const EDITABLE_FIELDS = new Set([
+  ...Object.keys(FIELD_MAP),
+  'TRACKNUMBER', 'TRACKTOTAL', 'TOTALTRACKS',
+  'DISCNUMBER', 'DISCTOTAL', 'TOTALDISCS',
+  'DATE', 'YEAR'
+]);
+
+const PICTURE_FIELDS = new Set(['METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME']);
+
+// Normalized tags -> [[FIELD, value], ...]
+export const tagsToVorbisComments = (tags) => {
+  const comments = [];
+  const add = (field, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      comments.push([field, String(value)]);
+    }
+  };
+
+  add('TITLE', tags.title);
+  // Multiple artists/genres were joined on read; split them back out
+  (tags.artist ? tags.artist.split('; ') : []).forEach(artist => add('ARTIST', artist));
+  add('ALBUM', tags.album);
+  add('ALBUMARTIST', tags.albumArtist);
+  add('COMPOSER', tags.composer);
+  add('TRACKNUMBER', tags.trackNumber);
+  add('TRACKTOTAL', tags.trackTotal);
+  add('DISCNUMBER', tags.discNumber);
+  add('DISCTOTAL', tags.discTotal);
+  add('DATE', tags.year);
+  (tags.genre ? tags.genre.split('; ') : []).forEach(genre => add('GENRE', genre));
+  add('COMMENT', tags.comment);
+  add('LYRICS', tags.lyrics);
+
+  return comments;
+};
+
+// Merge edited tags into existing comments. `replacePictures` drops
+// embedded pictures so a new cover can be written elsewhere.
+export const mergeVorbisComments = (existing, tags, { replacePictures = false } = {}) => {
+  const kept = existing.filter(([field]) => {
+    return !EDITABLE_FIELDS.has(field) && !(replacePictures && PICTURE_FIELDS.has(field));
+  });
+  return [...tagsToVorbisComments(tags), ...kept];
+};
+
+// Serialize a Vorbis comment structure (without framing bit)
+export const buildVorbisComment = (vendor, comments) => {
+  const vendorBytes = encodeText(vendor);
+  const entries = comments.map(([field, value]) => encodeText(`${field}=${value}`));
+
+  return concatBytes([
+    uint32LE(vendorBytes.length),
+    vendorBytes,
+    uint32LE(entries.length),
+    ...entries.flatMap(entry => [uint32LE(entry.length), entry])
+  ]);
+};
+
+// Serialize a FLAC METADATA_BLOCK_PICTURE structure
+export const buildPictureBlock = (artwork) => {
+  const mimeType = encodeText(artwork.mimeType || 'image/jpeg', 'latin1');
+  const description = encodeText(artwork.description || '');
+
+  return concatBytes([
+    uint32BE(artwork.pictureType ?? 3),
+    uint32BE(mimeType.length),
+    mimeType,
+    uint32BE(description.length),
+    description,
+    uint32BE(artwork.width || 0),
+    uint32BE(artwork.height || 0),
+    // colour depth and palette size are optional
+    uint32BE(0),
+    uint32BE(0),
+    uint32BE(artwork.data.length),
+    artwork.data
+  ]);
+};
@@ -0,0 +1,203 @@
+// Tag write-back: rebuilds the ID3v2 tag of MP3 files and the Vorbis
+// comment/picture blocks of FLAC files. Frames and comments the editor
+// doesn't manage are carried over unchanged.
+import { readBlobBytes, syncsafe, encodeText, concatBytes } from './binary';
+import { getId3v2Size, parseId3v2, parseId3v1, parseLanguageTextFrame } from './id3';
+import { findFlacStart, listFlacBlocks, FLAC_BLOCK_TYPES } from './flac';
+import { parseVorbisComment, mergeVorbisComments, buildVorbisComment, buildPictureBlock } from './vorbis';
+
+const ID3V1_SIZE = 128;
+// Room left after a rewritten tag so later edits can grow in place
+const PADDING_SIZE = 1024;
+const DEFAULT_VENDOR = 'player-with-playback';
+
+// Frames rebuilt from the edited tags; all others are preserved
+const MANAGED_FRAMES = new Set([
+  'TIT2', 'TPE1', 'TALB', 'TPE2', 'TCOM', 'TRCK', 'TPOS',
+  'TDRC', 'TYER', 'TDAT', 'TIME', 'TCON', 'USLT'
+]);
+
+// Containers whose tags can be rewritten in the stored file
+export const WRITABLE_FORMATS = ['mp3', 'flac'];
+
+export const canWriteTags = (format) => WRITABLE_FORMATS.includes(format);
+
+// "3" or "3/12" from a number/total pair
+const formatPosition = (number, total) => {
+  if (!number) return null;
+  return total ? `${number}/${total}` : String(number);
+};
+
+// ID3v2.4 frame: ID, syncsafe size, zero flags, body
+const buildFrame = (id, body) => concatBytes([
+  encodeText(id, 'latin1'),
+  syncsafe(body.length),
+  new Uint8Array(2),
+  body
+]);
+
+// UTF-8 text frame; multiple values are NUL-separated in v2.4
+const buildTextFrame = (id, value) => {
+  const values = String(value).split('; ');
+  const text = concatBytes(values.flatMap((part, index) => {
+    return index === 0 ? [encodeText(part)] : [new Uint8Array(1), encodeText(part)];
+  }));
+  return buildFrame(id, concatBytes([new Uint8Array([3]), text]));
+};
+
+// COMM/USLT: encoding, language, empty description, text
+const buildLanguageTextFrame = (id, text) => buildFrame(id, concatBytes([
+  new Uint8Array([3]),
+  encodeText('eng', 'latin1'),
+  new Uint8Array(1),
+  encodeText(text)
+]));
+
+const buildPictureFrame = (artwork) => buildFrame('APIC', concatBytes([
+  // Latin-1 description, which is empty anyway
+  new Uint8Array([0]),
+  encodeText(artwork.mimeType || 'image/jpeg', 'latin1'),
+  new Uint8Array([0, artwork.pictureType ?? 3]),
+  encodeText(artwork.description || '', 'latin1'),
+  new Uint8Array(1),
+  artwork.data
+]));
+
+// Is this the plain comment the tag reader surfaces as `comment`?
+const isPlainComment = (frame) => {
+  if (frame.id !== 'COMM') return false;
+  try {
+    const { description } = parseLanguageTextFrame(frame.data);
+    return !description || description === 'Comment';
+  } catch {
+    return false;
+  }
+};
+
+// Build a complete ID3v2.4 tag from edited tags and the frames of the
+// existing tag. `artwork` undefined keeps the current pictures.
+export const buildId3v2Tag = (tags, existingFrames = [], { artwork } = {}) => {
+  const frames = [];
+  const addText = (id, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      frames.push(buildTextFrame(id, value));
+    }
+  };
+
+  addText('TIT2', tags.title);
+  addText('TPE1', tags.artist);
+  addText('TALB', tags.album);
+  addText('TPE2', tags.albumArtist);
+  addText('TCOM', tags.composer);
+  addText('TRCK', formatPosition(tags.trackNumber, tags.trackTotal));
+  addText('TPOS', formatPosition(tags.discNumber, tags.discTotal));
+  addText('TDRC', tags.year);
+  addText('TCON', tags.genre);
+  if (tags.comment) frames.push(buildLanguageTextFrame('COMM', tags.comment));
+  if (tags.lyrics) frames.push(buildLanguageTextFrame('USLT', tags.lyrics));
+  if (artwork?.data?.length) frames.push(buildPictureFrame(artwork));
+
+  existingFrames.forEach(frame => {
+    // v2.2 frames have a different layout; they can't be copied verbatim
+    if (frame.isV22 || MANAGED_FRAMES.has(frame.id) || isPlainComment(frame)) return;
+    if (frame.id === 'APIC' && artwork !== undefined) return;
+    frames.push(buildFrame(frame.id, frame.data));
+  });
+
+  const body = concatBytes([...frames, new Uint8Array(PADDING_SIZE)]);
+  return concatBytes([
+    encodeText('ID3', 'latin1'),
+    new Uint8Array([4, 0, 0]),
+    syncsafe(body.length),
+    body
+  ]);
+};
+
+// Replace the ID3v2 tag of an MP3. The ID3v1 trailer is dropped so its
+// stale values can't fill in fields that were cleared.
+const writeMp3Tags = async (blob, tags, options) => {
+  const v2Size = await getId3v2Size(blob);
+  const existing = v2Size ? parseId3v2(await readBlobBytes(blob, 0, v2Size)) : null;
+
+  let audioEnd = blob.size;
+  if (blob.size - v2Size >= ID3V1_SIZE) {
+    const trailer = await readBlobBytes(blob, blob.size - ID3V1_SIZE);
+    if (parseId3v1(trailer)) audioEnd -= ID3V1_SIZE;
+  }
+
+  const tag = buildId3v2Tag(tags, existing?.frames, options);
+  return [tag, blob.slice(v2Size, audioEnd)];
+};
+
+// FLAC metadata block header: last-block flag, type, 24-bit length
+const buildFlacBlock = (type, body, isLast) => {
+  const header = new Uint8Array(4);
+  header[0] = (isLast ? 0x80 : 0) | type;
+  header[1] = (body.length >>> 16) & 0xff;
+  header[2] = (body.length >>> 8) & 0xff;
+  header[3] = body.length & 0xff;
+  return concatBytes([header, body]);
+};
+
+// Rebuild the FLAC metadata: STREAMINFO and unrelated blocks are kept,
+// the comment block is merged and padding is regenerated
+const writeFlacTags = async (blob, tags, { artwork } = {}) => {
+  const flacStart = await findFlacStart(blob);
+  if (flacStart === -1) throw new Error('Not a FLAC file');
+
+  const { blocks, audioOffset } = await listFlacBlocks(blob, flacStart);
+  const replacePictures = artwork !== undefined;
+  let vendor = DEFAULT_VENDOR;
+  let comments = [];
+  const kept = [];
+
+  for (const block of blocks) {
+    const body = await readBlobBytes(blob, block.offset + 4, block.offset + 4 + block.length);
+
+    if (block.type === FLAC_BLOCK_TYPES.VORBIS_COMMENT) {
+      ({ vendor, comments } = parseVorbisComment(body));
+    } else if (block.type === FLAC_BLOCK_TYPES.PADDING) {
+      continue;
+    } else if (block.type === FLAC_BLOCK_TYPES.PICTURE && replacePictures) {
+      continue;
+    } else {
+      kept.push({ type: block.type, body });
+    }
+  }
+
+  // STREAMINFO must stay first
+  const newBlocks = [
+    ...kept,
+    { type: FLAC_BLOCK_TYPES.VORBIS_COMMENT, body: buildVorbisComment(vendor, mergeVorbisComments(comments, tags, { replacePictures })) }
+  ];
+  if (artwork?.data?.length) {
+    newBlocks.push({ type: FLAC_BLOCK_TYPES.PICTURE, body: buildPictureBlock(artwork) });
+  }
+  newBlocks.push({ type: FLAC_BLOCK_TYPES.PADDING, body: new Uint8Array(PADDING_SIZE) });
+
+  const metadata = newBlocks.map((block, index) => buildFlacBlock(block.type, block.body, index === newBlocks.length - 1));
+  return [
+    blob.slice(0, flacStart),
+    encodeText('fLaC', 'latin1'),
+    ...metadata,
+    blob.slice(audioOffset)
+  ];
+};
+
+const WRITERS = {
+  mp3: writeMp3Tags,
+  flac: writeFlacTags
+};
+
+// Return a copy of `blob` carrying `tags`. Options:
+//   artwork  new cover ({ mimeType, data, ... }), null to remove all
+//            pictures, or undefined to keep the existing ones
+export const writeAudioTags = async (blob, format, tags, options = {}) => {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw new Error(`Writing ${format || 'unknown'} tags is not supported`);
+  }
+
+  const parts = await writer(blob, tags, options);
+  return new File(parts, blob.name || 'audio', { type: blob.type, lastModified: Date.now() });
+};
@@ -0,0 +1,253 @@
+// Play queue state and the pure operations on it. The queue is
+//   { items, currentIndex, originalItems }
+// where items are { queueId, track } entries (the same track may be
+// queued twice) and originalItems holds the unshuffled order while
+// shuffle is on, or null.
+
+let nextQueueId = 0;
+
+export const createQueueEntry = (track) => ({
+  queueId: `q${Date.now().toString(36)}-${(nextQueueId++).toString(36)}`,
+  track
+});
+
+export const EMPTY_QUEUE = { items: [], currentIndex: -1, originalItems: null };
+
+export const getCurrentEntry = (queue) => queue.items[queue.currentIndex] || null;
+
+// The item that plays when the current one ends: null when the current
+// item repeats or the queue runs out
+export const getFollowingEntry = (queue, repeatMode = 'none') => {
+  const { items, currentIndex } = queue;
+  if (currentIndex < 0 || repeatMode === 'one') return null;
+  if (currentIndex < items.length - 1) return items[currentIndex + 1];
+  return repeatMode === 'all' && items.length > 1 ? items[0] : null;
+};
+
+const fisherYates = (list) => {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const artistKey = (entry) => (entry.track.artist || entry.track.metadata?.albumArtist || '').toLowerCase();
+const albumKey = (entry) => (entry.track.album || '').toLowerCase();
+
+// Shuffle so that entries sharing a key end up spread apart. Each group
+// (e.g. one artist) is laid out evenly across the whole range with a
+// random offset, then the groups are interleaved. Within a group the
+// remaining keys apply, so an artist's albums are spread as well.
+// `previous` is the entry that plays just before the result: its group
+// is laid out as if continuing from it, so the first entry isn't by the
+// same artist or from the same album where that can be avoided.
+export const spreadShuffle = (entries, keys = [artistKey, albumKey], previous = null) => {
+  if (entries.length < 2 || keys.length === 0) return fisherYates(entries);
+
+  const [key, ...rest] = keys;
+  const groups = new Map();
+  entries.forEach(entry => {
+    const name = key(entry);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(entry);
+  });
+
+  const previousName = previous ? key(previous) : '';
+  const positioned = [];
+  groups.forEach((group, name) => {
+    // Entries without the key ('') don't belong together
+    const follows = name !== '' && name === previousName;
+    const ordered = name ? spreadShuffle(group, rest, follows ? previous : null) : fisherYates(group);
+    // `previous` takes the slot just before the range
+    const spacing = 1 / (ordered.length + (follows ? 1 : 0));
+    const offset = follows ? spacing : Math.random() * spacing;
+    ordered.forEach((entry, index) => {
+      // A little jitter so equal-sized groups don't alternate rigidly
+      const jitter = (Math.random() - 0.5) * spacing * 0.2;
+      positioned.push({ entry, position: offset + index * spacing + jitter });
+    });
+  });
+
+  const result = positioned
+    .sort((a, b) => a.position - b.position)
+    .map(({ entry }) => entry);
+
+  // Never start with `previous`'s group while another one is left
+  if (previousName && key(result[0]) === previousName) {
+    const index = result.findIndex(entry => key(entry) !== previousName);
+    if (index > 0) result.unshift(...result.splice(index, 1));
+  }
+  return result;
+};
+
+// Precompute a shuffled order for everything after the current item.
+// Played items and the current one stay where they are, so previous
+// walks back through what actually played.
+export const shuffleUpcoming = (queue) => {
+  const played = queue.items.slice(0, queue.currentIndex + 1);
+  const upcoming = spreadShuffle(
+    queue.items.slice(queue.currentIndex + 1),
+    undefined,
+    getCurrentEntry(queue)
+  );
+
+  return {
+    items: [...played, ...upcoming],
+    currentIndex: queue.currentIndex,
+    originalItems: queue.originalItems || queue.items
+  };
+};
+
+// Shuffle a fresh queue: the current item moves to the front and
+// everything else follows in shuffled order, so every track gets a turn
+export const shuffleQueue = (queue) => {
+  const current = getCurrentEntry(queue);
+  if (!current) return shuffleUpcoming(queue);
+
+  const others = queue.items.filter(entry => entry !== current);
+  return {
+    items: [current, ...spreadShuffle(others, undefined, current)],
+    currentIndex: 0,
+    originalItems: queue.originalItems || queue.items
+  };
+};
+
+// Put the queue back in its unshuffled order, keeping the current item
+export const unshuffle = (queue) => {
+  if (!queue.originalItems) return queue;
+
+  const current = getCurrentEntry(queue);
+  const items = queue.originalItems;
+  return {
+    items,
+    currentIndex: current ? items.indexOf(current) : -1,
+    originalItems: null
+  };
+};
+
+// Replace the queue with `tracks`, starting at `startIndex`
+export const replaceQueue = (tracks, startIndex = 0) => ({
+  items: tracks.map(createQueueEntry),
+  currentIndex: tracks.length ? Math.min(Math.max(startIndex, 0), tracks.length - 1) : -1,
+  originalItems: null
+});
+
+// Insert entries right after the current item (or at the end when
+// nothing is playing). The unshuffled order gets them after the current
+// item as well.
+export const insertAfterCurrent = (queue, entries) => {
+  const insertAt = (items, current) => {
+    const index = current ? items.indexOf(current) + 1 : items.length;
+    return [...items.slice(0, index), ...entries, ...items.slice(index)];
+  };
+  const current = getCurrentEntry(queue);
+
+  return {
+    items: insertAt(queue.items, current),
+    currentIndex: current ? queue.currentIndex : entries.length ? queue.items.length : -1,
+    originalItems: queue.originalItems && insertAt(queue.originalItems, current)
+  };
+};
+
+// Append entries to the end of the queue
+export const appendEntries = (queue, entries) => ({
+  items: [...queue.items, ...entries],
+  currentIndex: queue.currentIndex === -1 && entries.length ? queue.items.length : queue.currentIndex,
+  originalItems: queue.originalItems && [...queue.originalItems, ...entries]
+});
+
+// Remove entries matching `predicate`. If the current item goes, the
+// next remaining one takes its place (or the previous, at the end).
+export const removeEntries = (queue, predicate) => {
+  const items = queue.items.filter(entry => !predicate(entry));
+  if (items.length === queue.items.length) return queue;
+
+  const current = getCurrentEntry(queue);
+  let currentIndex = -1;
+  if (current && items.includes(current)) {
+    currentIndex = items.indexOf(current);
+  } else if (items.length) {
+    // Entries before the old position that survived
+    const before = queue.items.slice(0, queue.currentIndex).filter(entry => !predicate(entry)).length;
+    currentIndex = Math.min(before, items.length - 1);
+  }
+
+  return {
+    items,
+    currentIndex,
+    originalItems: queue.originalItems && queue.originalItems.filter(entry => !predicate(entry))
+  };
+};
+
+// Drop everything after the current item
+export const clearUpcoming = (queue) => {
+  const upcoming = new Set(queue.items.slice(queue.currentIndex + 1));
+  return removeEntries(queue, entry => upcoming.has(entry));
+};
+
+// Move the entry at `from` to `to`; the current item keeps playing
+export const moveEntry = (queue, from, to) => {
+  if (from === to || from < 0 || to < 0 || from >= queue.items.length || to >= queue.items.length) {
+    return queue;
+  }
+
+  const current = getCurrentEntry(queue);
+  const items = [...queue.items];
+  const [moved] = items.splice(from, 1);
+  items.splice(to, 0, moved);
+
+  return { ...queue, items, currentIndex: current ? items.indexOf(current) : -1 };
+};
+
+// Refresh queued tracks from the library; tracks that no longer exist
+// are dropped
+export const syncQueueTracks = (queue, tracks) => {
+  const byId = new Map(tracks.map(track => [track.id, track]));
+  const pruned = removeEntries(queue, entry => !byId.has(entry.track.id));
+
+  // New entry objects, shared between items and originalItems as before
+  const refreshed = new Map(pruned.items.map(entry => [entry, { ...entry, track: byId.get(entry.track.id) }]));
+  return {
+    items: pruned.items.map(entry => refreshed.get(entry)),
+    currentIndex: pruned.currentIndex,
+    originalItems: pruned.originalItems && pruned.originalItems.map(entry => refreshed.get(entry))
+  };
+};
+
+// Persisted form: track IDs, plus the unshuffled order as indexes into items
+export const serializeQueue = (queue) => ({
+  trackIds: queue.items.map(entry => entry.track.id),
+  currentIndex: queue.currentIndex,
+  originalOrder: queue.originalItems
+    ? queue.originalItems.map(entry => queue.items.indexOf(entry))
+    : null
+});
+
+// Rebuild a queue from its persisted form. `tracks` is the library;
+// IDs that no longer resolve are skipped.
+export const deserializeQueue = (saved, tracks) => {
+  // Older versions stored a bare list
+  const state = Array.isArray(saved)
+    ? { trackIds: saved.map(item => (typeof item === 'string' ? item : item?.id)), currentIndex: 0 }
+    : saved;
+  if (!state?.trackIds?.length) return EMPTY_QUEUE;
+
+  const byId = new Map(tracks.map(track => [track.id, track]));
+  const items = state.trackIds.map(id => (byId.has(id) ? createQueueEntry(byId.get(id)) : null));
+  const originalItems = Array.isArray(state.originalOrder) && state.originalOrder.length === items.length
+    ? state.originalOrder.map(index => items[index])
+    : null;
+
+  const queue = {
+    items,
+    currentIndex: Number.isInteger(state.currentIndex) ? state.currentIndex : 0,
+    originalItems
+  };
+
+  return removeEntries(
+    { ...queue, currentIndex: Math.min(queue.currentIndex, items.length - 1) },
+    entry => !entry
+  );
+};
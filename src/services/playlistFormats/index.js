@@ -0,0 +1,85 @@
+// Playlist file import and export. Each format has a parser returning
+// { name, entries } and a serializer taking library tracks; matching
+// entries to the library is shared (see matching.js). Tracks from a CUE
+// sheet have no file of their own, so exports list their album's file
+// with the track's title and duration, which is what import matches on.
+import { parseM3u, serializeM3u } from './m3u';
+import { parseXspf, serializeXspf } from './xspf';
+import { parsePls, serializePls } from './pls';
+import { matchPlaylistEntries } from './matching';
+
+export { matchPlaylistEntries } from './matching';
+
+// `legacyText`: files may predate UTF-8 and be Windows-1252
+export const PLAYLIST_FORMATS = {
+  m3u8: { label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl', parse: parseM3u, serialize: serializeM3u },
+  m3u: {
+    label: 'M3U',
+    extension: 'm3u',
+    mimeType: 'audio/x-mpegurl',
+    legacyText: true,
+    parse: parseM3u,
+    serialize: serializeM3u
+  },
+  xspf: { label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml', parse: parseXspf, serialize: serializeXspf },
+  pls: {
+    label: 'PLS',
+    extension: 'pls',
+    mimeType: 'audio/x-scpls',
+    legacyText: true,
+    parse: parsePls,
+    serialize: serializePls
+  }
+};
+
+// Extensions accepted by the import file picker
+export const PLAYLIST_FILE_ACCEPT = Object.values(PLAYLIST_FORMATS).map(format => `.${format.extension}`).join(',');
+
+export const getPlaylistFormat = (fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return PLAYLIST_FORMATS[extension] ? extension : null;
+};
+
+// UTF-8, falling back to Windows-1252 for formats that allow it
+const readPlaylistText = async (file, format) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (PLAYLIST_FORMATS[format].legacyText) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+      return new TextDecoder('windows-1252').decode(bytes);
+    }
+  }
+  return new TextDecoder('utf-8').decode(bytes);
+};
+
+// Read a playlist file and match it against the library. Returns
+// { name, tracks, unmatched, total }.
+export const importPlaylistFile = async (file, libraryTracks) => {
+  const format = getPlaylistFormat(file.name);
+  if (!format) {
+    throw new Error(`Unsupported playlist file: ${file.name}`);
+  }
+
+  const { name, entries } = PLAYLIST_FORMATS[format].parse(await readPlaylistText(file, format));
+  const { tracks, unmatched } = matchPlaylistEntries(entries, libraryTracks);
+
+  return {
+    name: name || file.name.replace(/\.[^.]+$/, ''),
+    tracks,
+    unmatched,
+    total: entries.length
+  };
+};
+
+// A playlist file for `tracks`, ready for downloadBlob()
+export const exportPlaylistFile = (tracks, { name = 'Playlist', format = 'm3u8' } = {}) => {
+  const { extension, mimeType, serialize } = PLAYLIST_FORMATS[format];
+  const text = serialize(tracks, { name });
+  const safeName = name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'Playlist';
+
+  return {
+    blob: new Blob([text], { type: `${mimeType};charset=utf-8` }),
+    fileName: `${safeName}.${extension}`
+  };
+};
@@ -0,0 +1,53 @@
+// Extended M3U (#EXTM3U) playlists. Each entry is an optional
+//   #EXTINF:<seconds>,<artist> - <title>
+// line followed by the file location. Exports use bare file names, so
+// the playlist works next to the exported audio files.
+
+const cleanLine = (line) => line.replace(/^\uFEFF/, '').trim();
+
+// { name, entries } from M3U text
+export const parseM3u = (text) => {
+  let name = null;
+  let info = null;
+  const entries = [];
+
+  text.split(/\r?\n/).map(cleanLine).forEach(line => {
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const [duration, ...title] = line.slice(8).split(',');
+      // Attributes such as tvg-id="..." may follow the duration
+      const seconds = parseFloat(duration);
+      info = { duration: seconds > 0 ? seconds : null, title: title.join(',').trim() || null, raw: line };
+    } else if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice(10).trim() || null;
+    } else if (!line.startsWith('#')) {
+      entries.push({
+        location: line,
+        title: info?.title || null,
+        artist: null,
+        duration: info?.duration || null,
+        line: info ? `${info.raw}\n${line}` : line
+      });
+      info = null;
+    }
+  });
+
+  return { name, entries };
+};
+
+const displayTitle = (track) => (track.artist ? `${track.artist} - ${track.title}` : track.title);
+
+// M3U text for `tracks` (library tracks)
+export const serializeM3u = (tracks, { name } = {}) => {
+  const lines = ['#EXTM3U'];
+  if (name) lines.push(`#PLAYLIST:${name}`);
+
+  tracks.forEach(track => {
+    const duration = track.duration > 0 ? Math.round(track.duration) : -1;
+    lines.push(`#EXTINF:${duration},${displayTitle(track).replace(/[\r\n]+/g, ' ')}`);
+    lines.push(track.metadata?.fileName || track.name);
+  });
+
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,100 @@
+// Match entries read from a playlist file to library tracks. Entries are
+//   { location, title, artist, duration, line }
+// where any field may be null; `line` is the source text shown when an
+// entry can't be matched.
+import { normalizeTitle } from '../duplicateFinder';
+
+// Durations within this many seconds count as the same recording
+const DURATION_TOLERANCE = 2;
+
+// Last path segment of a path or URL, decoded and lowercased
+export const baseName = (location = '') => {
+  let name = location.trim().split(/[\\/]/).pop() || '';
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Not percent-encoded; keep as is
+  }
+  return name.toLowerCase();
+};
+
+const stripExtension = (name) => name.replace(/\.[^.]+$/, '');
+
+// "Artist - Title" in a display string: try the whole string and the
+// part after the first dash
+const titleCandidates = (entry) => {
+  const candidates = [entry.title];
+  const dash = entry.title?.indexOf(' - ') ?? -1;
+  if (dash !== -1) candidates.push(entry.title.slice(dash + 3));
+  if (entry.location) candidates.push(stripExtension(baseName(entry.location)));
+  return candidates.filter(Boolean).map(normalizeTitle).filter(Boolean);
+};
+
+// Title -> tracks with that (normalized) title
+const indexByTitle = (tracks) => {
+  const byTitle = new Map();
+  tracks.forEach(track => {
+    const title = normalizeTitle(track.title || '');
+    if (title) byTitle.set(title, [...(byTitle.get(title) || []), track]);
+  });
+  return byTitle;
+};
+
+// The track in `byTitle` an entry names, or null
+const findByTitle = (entry, byTitle) => {
+  for (const title of titleCandidates(entry)) {
+    let sameTitle = byTitle.get(title) || [];
+    // Formats that name the artist can tell covers apart
+    if (entry.artist && sameTitle.length > 1) {
+      const artist = entry.artist.toLowerCase();
+      const sameArtist = sameTitle.filter(candidate => candidate.artist?.toLowerCase() === artist);
+      if (sameArtist.length) sameTitle = sameArtist;
+    }
+    // Without a duration, a unique title is good enough
+    const track = entry.duration > 0
+      ? sameTitle.find(candidate => Math.abs(candidate.duration - entry.duration) <= DURATION_TOLERANCE)
+      : sameTitle.length === 1 ? sameTitle[0] : null;
+    if (track) return track;
+  }
+  return null;
+};
+
+// { tracks, unmatched }: matched library tracks in playlist order, and
+// the entries that matched nothing. CUE tracks share their album's file
+// name (exports write that file for each of them), so an entry naming
+// such a file is matched among its tracks by title and duration.
+export const matchPlaylistEntries = (entries, libraryTracks) => {
+  const byFileName = new Map();
+  const byCueFileName = new Map();
+  libraryTracks.forEach(track => {
+    const fileName = track.metadata?.fileName?.toLowerCase();
+    if (!fileName) return;
+    if (track.blobId && track.blobId !== track.id) {
+      byCueFileName.set(fileName, [...(byCueFileName.get(fileName) || []), track]);
+    } else if (!byFileName.has(fileName)) {
+      byFileName.set(fileName, track);
+    }
+  });
+  const byTitle = indexByTitle(libraryTracks);
+
+  const tracks = [];
+  const unmatched = [];
+
+  entries.forEach(entry => {
+    const fileName = entry.location ? baseName(entry.location) : null;
+    let track = fileName ? byFileName.get(fileName) : null;
+
+    if (!track && byCueFileName.has(fileName)) {
+      track = findByTitle(entry, indexByTitle(byCueFileName.get(fileName)));
+    }
+    if (!track) track = findByTitle(entry, byTitle);
+
+    if (track) {
+      tracks.push(track);
+    } else {
+      unmatched.push(entry);
+    }
+  });
+
+  return { tracks, unmatched };
+};
@@ -0,0 +1,59 @@
+// PLS (INI-style) playlists:
+//   [playlist]
+//   File1=..., Title1=..., Length1=<seconds or -1>
+//   NumberOfEntries=N, Version=2
+
+// { name, entries } from PLS text. Entries are ordered by their number.
+export const parsePls = (text) => {
+  const numbered = new Map();
+  let name = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/^\uFEFF/, '').trim();
+    const match = /^(File|Title|Length)(\d+)\s*=(.*)$/i.exec(line);
+
+    if (match) {
+      const [, key, number, value] = match;
+      if (!numbered.has(number)) numbered.set(number, {});
+      numbered.get(number)[key.toLowerCase()] = value.trim();
+    } else if (/^X-GNOME-Title\s*=/i.test(line) || /^PlaylistName\s*=/i.test(line)) {
+      name = line.slice(line.indexOf('=') + 1).trim() || null;
+    }
+  });
+
+  const entries = [...numbered.entries()]
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .filter(([, fields]) => fields.file || fields.title)
+    .map(([number, fields]) => {
+      const duration = Number(fields.length);
+      return {
+        location: fields.file || null,
+        title: fields.title || null,
+        artist: null,
+        duration: duration > 0 ? duration : null,
+        line: [
+          fields.file && `File${number}=${fields.file}`,
+          fields.title && `Title${number}=${fields.title}`
+        ].filter(Boolean).join('\n')
+      };
+    });
+
+  return { name, entries };
+};
+
+// PLS text for `tracks` (library tracks)
+export const serializePls = (tracks, { name } = {}) => {
+  const lines = ['[playlist]'];
+  if (name) lines.push(`PlaylistName=${name}`);
+
+  tracks.forEach((track, index) => {
+    const number = index + 1;
+    const title = track.artist ? `${track.artist} - ${track.title}` : track.title;
+    lines.push(`File${number}=${track.metadata?.fileName || track.name}`);
+    lines.push(`Title${number}=${title.replace(/[\r\n]+/g, ' ')}`);
+    lines.push(`Length${number}=${track.duration > 0 ? Math.round(track.duration) : -1}`);
+  });
+
+  lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+  return lines.join('\n') + '\n';
+};
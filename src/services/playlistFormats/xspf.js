@@ -0,0 +1,78 @@
+// XSPF ("spiff") XML playlists: <playlist><trackList><track> with
+// <location>, <title>, <creator>, <album> and <duration> (milliseconds)
+const XSPF_NAMESPACE = 'http://xspf.org/ns/0/';
+
+// Text of the first direct child element called `name`
+const childText = (element, name) => {
+  const child = [...element.children].find(node => node.localName === name);
+  return child?.textContent.trim() || null;
+};
+
+// { name, entries } from XSPF text. Throws on malformed XML.
+export const parseXspf = (text) => {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The XSPF file is not valid XML');
+  }
+
+  const playlist = document.documentElement;
+  const trackList = [...playlist.children].find(node => node.localName === 'trackList');
+  const tracks = trackList ? [...trackList.children].filter(node => node.localName === 'track') : [];
+
+  const entries = tracks.map(track => {
+    const title = childText(track, 'title');
+    const artist = childText(track, 'creator');
+    const album = childText(track, 'album');
+    const duration = Number(childText(track, 'duration'));
+    const location = childText(track, 'location');
+
+    return {
+      location,
+      title,
+      artist,
+      duration: duration > 0 ? duration / 1000 : null,
+      line: [artist && title ? `${artist} - ${title}` : title, album && `(${album})`, location]
+        .filter(Boolean)
+        .join(' ') || '(empty track)'
+    };
+  });
+
+  return { name: childText(playlist, 'title'), entries };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const element = (name, value) => (value ? `      <${name}>${escapeXml(value)}</${name}>` : null);
+
+// Relative URI for a path: every segment percent-encoded, so characters
+// such as # and ? stay part of the file name
+const toLocation = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+// XSPF text for `tracks` (library tracks). Locations are relative file
+// names, percent-encoded as URIs.
+export const serializeXspf = (tracks, { name } = {}) => {
+  const items = tracks.map(track => [
+    '    <track>',
+    element('location', toLocation(track.metadata?.fileName || track.name)),
+    element('title', track.title),
+    element('creator', track.artist),
+    element('album', track.album),
+    track.duration > 0 ? element('duration', Math.round(track.duration * 1000)) : null,
+    '    </track>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<playlist version="1" xmlns="${XSPF_NAMESPACE}">`,
+    name ? `  <title>${escapeXml(name)}</title>` : null,
+    '  <trackList>',
+    ...items,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
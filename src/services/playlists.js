@@ -0,0 +1,146 @@
+// Named playlists. Each record holds an ordered list of track IDs; the
+// tracks themselves stay in the library. Smart playlists hold rules
+// instead (see smartPlaylists.js) and an empty trackIds.
+import { COLLECTIONS, getStorageAdapter } from './storage/storageAdapter';
+import { evaluateSmartPlaylist } from './smartPlaylists';
+
+// Tracks shown in a playlist's cover collage
+const COVER_SIZE = 4;
+
+const generatePlaylistId = () => {
+  return 'pl' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+};
+
+// Create a playlist. Returns the stored record, or null on failure.
+export const createPlaylist = async ({ name, description = '', trackIds = [], smart = null }) => {
+  try {
+    const adapter = await getStorageAdapter();
+    const now = new Date().toISOString();
+    const playlist = {
+      id: generatePlaylistId(),
+      name: name.trim(),
+      description,
+      trackIds,
+      smart,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await adapter.put(COLLECTIONS.PLAYLISTS, playlist.id, playlist);
+    return playlist;
+  } catch (error) {
+    console.error('Failed to create playlist:', error);
+    return null;
+  }
+};
+
+// All playlists, most recently changed first
+export const getPlaylists = async () => {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.query(COLLECTIONS.PLAYLISTS, { index: 'updatedAt', direction: 'prev' });
+  } catch (error) {
+    console.error('Failed to load playlists:', error);
+    return [];
+  }
+};
+
+export const getPlaylist = async (id) => {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.get(COLLECTIONS.PLAYLISTS, id);
+  } catch (error) {
+    console.error('Failed to load playlist:', error);
+    return null;
+  }
+};
+
+// Update a playlist. `updates` is merged into the record, or is a
+// function that receives the record and returns the fields to change.
+export const updatePlaylist = async (id, updates) => {
+  try {
+    const adapter = await getStorageAdapter();
+    const updated = await adapter.update(COLLECTIONS.PLAYLISTS, [id], (existing) => ({
+      ...existing,
+      ...(typeof updates === 'function' ? updates(existing) : updates),
+      updatedAt: new Date().toISOString()
+    }));
+    return updated === 1;
+  } catch (error) {
+    console.error('Failed to update playlist:', error);
+    return false;
+  }
+};
+
+export const renamePlaylist = (id, name) => updatePlaylist(id, { name: name.trim() });
+
+// Copy a playlist under a new name. Returns the copy, or null.
+export const duplicatePlaylist = async (id) => {
+  const playlist = await getPlaylist(id);
+  if (!playlist) return null;
+
+  return createPlaylist({
+    name: `${playlist.name} (copy)`,
+    description: playlist.description,
+    trackIds: [...playlist.trackIds],
+    smart: playlist.smart || null
+  });
+};
+
+export const deletePlaylist = async (id) => {
+  try {
+    const adapter = await getStorageAdapter();
+    await adapter.delete(COLLECTIONS.PLAYLISTS, id);
+    return true;
+  } catch (error) {
+    console.error('Failed to delete playlist:', error);
+    return false;
+  }
+};
+
+// Append tracks; a track may appear in a playlist more than once
+export const addTracksToPlaylist = (id, trackIds) => {
+  return updatePlaylist(id, (playlist) => ({ trackIds: [...playlist.trackIds, ...trackIds] }));
+};
+
+// Remove the track at `index` (positions, since IDs can repeat)
+export const removeFromPlaylist = (id, index) => {
+  return updatePlaylist(id, (playlist) => ({
+    trackIds: playlist.trackIds.filter((trackId, position) => position !== index)
+  }));
+};
+
+export const movePlaylistTrack = (id, fromIndex, toIndex) => {
+  return updatePlaylist(id, (playlist) => {
+    const trackIds = [...playlist.trackIds];
+    const [moved] = trackIds.splice(fromIndex, 1);
+    trackIds.splice(toIndex, 0, moved);
+    return { trackIds };
+  });
+};
+
+// A playlist's library tracks with their positions in trackIds. IDs of
+// deleted tracks are skipped. Smart playlist entries have no position.
+export const resolvePlaylistEntries = (playlist, tracks) => {
+  if (playlist.smart) {
+    return evaluateSmartPlaylist(playlist.smart, tracks, { seed: playlist.updatedAt })
+      .map(track => ({ index: null, track }));
+  }
+
+  const byId = new Map(tracks.map(track => [track.id, track]));
+  return playlist.trackIds
+    .map((id, index) => ({ index, track: byId.get(id) }))
+    .filter(entry => entry.track);
+};
+
+export const resolvePlaylistTracks = (playlist, tracks) => {
+  return resolvePlaylistEntries(playlist, tracks).map(entry => entry.track);
+};
+
+// Up to four distinct tracks with artwork, for the cover collage
+export const getPlaylistCoverTracks = (playlist, tracks) => {
+  const seen = new Set();
+  return resolvePlaylistTracks(playlist, tracks)
+    .filter(track => track.hasArtwork && !seen.has(track.id) && seen.add(track.id))
+    .slice(0, COVER_SIZE);
+};
@@ -0,0 +1,133 @@
+// Loudness normalization at playback. Gains come from the track's tags
+// (ReplayGain, Opus R128 or iTunes Sound Check, kept in metadata.custom
+// by the tag readers) or, for untagged tracks, from the loudness stored
+// in metadata.loudness after measuring the audio (see loudness.js).
+// Settings are stored in user preferences as
+//   replayGain: { mode, preamp, preventClipping }
+
+export const REPLAY_GAIN_MODES = {
+  track: 'Track',
+  album: 'Album',
+  off: 'Off'
+};
+
+export const REPLAY_GAIN_PREAMP_RANGE = [-15, 15]; // dB
+
+export const DEFAULT_REPLAY_GAIN = { mode: 'track', preamp: 0, preventClipping: true };
+
+// ReplayGain 2.0 plays everything at -18 LUFS
+export const REFERENCE_LOUDNESS = -18;
+// Opus R128 gains are relative to -23 LUFS
+const R128_REFERENCE = -23;
+
+export const normalizeReplayGain = (settings) => {
+  const [min, max] = REPLAY_GAIN_PREAMP_RANGE;
+  const preamp = Number(settings?.preamp);
+  return {
+    mode: REPLAY_GAIN_MODES[settings?.mode] ? settings.mode : DEFAULT_REPLAY_GAIN.mode,
+    preamp: Number.isFinite(preamp) ? Math.min(max, Math.max(min, preamp)) : 0,
+    preventClipping: settings?.preventClipping ?? DEFAULT_REPLAY_GAIN.preventClipping
+  };
+};
+
+// Custom tag names differ in case between formats (TXXX descriptions,
+// Vorbis fields, MP4 freeform atoms), so look them up case-insensitively
+const customLookup = (custom) => {
+  const byName = new Map(Object.entries(custom || {}).map(([name, value]) => [name.toUpperCase(), value]));
+  return (name) => byName.get(name) ?? null;
+};
+
+// "-6.48 dB" -> -6.48
+const parseNumber = (value) => {
+  const number = parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+// R128_*_GAIN: a Q7.8 fixed-point dB value, e.g. "-1536" for -6 dB
+const parseR128Gain = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number / 256 + (REFERENCE_LOUDNESS - R128_REFERENCE) : null;
+};
+
+// iTunNORM: ten hex words. The first two are the adjustment for the
+// left and right channels in 1/1000 W relative to 1 mW; words 7 and 8
+// are the channels' peak sample values.
+const parseSoundCheck = (value) => {
+  const words = String(value || '').trim().split(/\s+/).map(word => parseInt(word, 16));
+  if (words.length < 10 || words.some(word => !Number.isFinite(word))) return null;
+
+  const adjustment = Math.max(words[0], words[1]);
+  if (adjustment <= 0) return null;
+  const peak = Math.max(words[6], words[7]) / 32768;
+
+  return {
+    gain: -10 * Math.log10(adjustment / 1000),
+    peak: peak > 0 ? peak : null
+  };
+};
+
+// Gain (dB) and peak (linear, 1 = full scale) for the track and album,
+// each null when the tags don't say. Proper ReplayGain tags win over
+// R128 gains, which win over Sound Check.
+export const readReplayGain = (custom) => {
+  const tag = customLookup(custom);
+  const result = {
+    trackGain: parseNumber(tag('REPLAYGAIN_TRACK_GAIN')),
+    trackPeak: parseNumber(tag('REPLAYGAIN_TRACK_PEAK')),
+    albumGain: parseNumber(tag('REPLAYGAIN_ALBUM_GAIN')),
+    albumPeak: parseNumber(tag('REPLAYGAIN_ALBUM_PEAK'))
+  };
+
+  if (result.trackGain === null && tag('R128_TRACK_GAIN') !== null) {
+    result.trackGain = parseR128Gain(tag('R128_TRACK_GAIN'));
+  }
+  if (result.albumGain === null && tag('R128_ALBUM_GAIN') !== null) {
+    result.albumGain = parseR128Gain(tag('R128_ALBUM_GAIN'));
+  }
+
+  if (result.trackGain === null) {
+    const soundCheck = parseSoundCheck(tag('ITUNNORM'));
+    if (soundCheck) {
+      result.trackGain = soundCheck.gain;
+      result.trackPeak = result.trackPeak ?? soundCheck.peak;
+    }
+  }
+
+  return result;
+};
+
+// The gain (dB) to play `track` at. `source` says where it came from:
+// 'track' or 'album' tags, 'measured' loudness, or null when nothing is
+// known (the track plays unchanged, and is worth measuring).
+// `loudness` overrides metadata.loudness with a fresher measurement.
+export const getNormalizationGain = (track, settings, loudness = track?.metadata?.loudness) => {
+  if (!track || settings.mode === 'off') return { gain: 0, source: 'off' };
+
+  const tags = readReplayGain(track.metadata?.custom);
+  let gain = null;
+  let peak = null;
+  let source = null;
+
+  if (settings.mode === 'album' && tags.albumGain !== null) {
+    gain = tags.albumGain;
+    peak = tags.albumPeak ?? tags.trackPeak;
+    source = 'album';
+  } else if (tags.trackGain !== null) {
+    gain = tags.trackGain;
+    peak = tags.trackPeak;
+    source = 'track';
+  } else if (Number.isFinite(loudness?.integrated)) {
+    gain = REFERENCE_LOUDNESS - loudness.integrated;
+    peak = loudness.peak ?? null;
+    source = 'measured';
+  }
+
+  if (gain === null) return { gain: 0, source: null };
+
+  let total = gain + settings.preamp;
+  // Don't raise the loudest sample past full scale
+  if (settings.preventClipping && peak > 0) {
+    total = Math.min(total, -20 * Math.log10(peak));
+  }
+  return { gain: total, source };
+};
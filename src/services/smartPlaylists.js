@@ -0,0 +1,220 @@
+// Rule-based ("smart") playlists. A playlist's `smart` field holds
+//   { rules, sort: { field, direction }, limit }
+// where `rules` is a group { type: 'group', match: 'all' | 'any', rules }
+// whose entries are rules { type: 'rule', field, operator, value } or
+// nested groups. Tracks are matched live, so the playlist follows the
+// library as play counts and tags change.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields rules can test. `get` reads the value from a library track
+// (see toTrack in audioStorage); `scale` converts what the user types
+// into the stored unit.
+export const SMART_FIELDS = [
+  { name: 'title', label: 'Title', type: 'text', get: track => track.title },
+  { name: 'artist', label: 'Artist', type: 'text', get: track => track.artist },
+  { name: 'album', label: 'Album', type: 'text', get: track => track.album },
+  { name: 'albumArtist', label: 'Album artist', type: 'text', get: track => track.metadata?.albumArtist },
+  { name: 'genre', label: 'Genre', type: 'text', get: track => track.metadata?.genre },
+  { name: 'fileName', label: 'File name', type: 'text', get: track => track.metadata?.fileName },
+  { name: 'year', label: 'Year', type: 'number', get: track => track.metadata?.year },
+  { name: 'trackNumber', label: 'Track number', type: 'number', get: track => track.metadata?.trackNumber },
+  { name: 'duration', label: 'Duration (min)', type: 'number', scale: 60, get: track => track.duration },
+  { name: 'playCount', label: 'Play count', type: 'number', get: track => track.playCount || 0 },
+  { name: 'lastPlayed', label: 'Last played', type: 'date', get: track => track.lastPlayed },
+  { name: 'createdAt', label: 'Date added', type: 'date', get: track => track.uploadDate }
+];
+
+// Operators per field type. `input` is the kind of value they take.
+export const SMART_OPERATORS = {
+  text: [
+    { name: 'is', label: 'is', input: 'text' },
+    { name: 'isNot', label: 'is not', input: 'text' },
+    { name: 'contains', label: 'contains', input: 'text' },
+    { name: 'notContains', label: 'does not contain', input: 'text' },
+    { name: 'startsWith', label: 'starts with', input: 'text' },
+    { name: 'isEmpty', label: 'is empty', input: 'none' }
+  ],
+  number: [
+    { name: 'eq', label: '=', input: 'number' },
+    { name: 'neq', label: '≠', input: 'number' },
+    { name: 'gt', label: '>', input: 'number' },
+    { name: 'lt', label: '<', input: 'number' },
+    { name: 'isEmpty', label: 'is empty', input: 'none' }
+  ],
+  date: [
+    { name: 'inLast', label: 'in the last (days)', input: 'number' },
+    { name: 'notInLast', label: 'not in the last (days)', input: 'number' },
+    { name: 'after', label: 'is after', input: 'date' },
+    { name: 'before', label: 'is before', input: 'date' },
+    { name: 'isEmpty', label: 'never', input: 'none' }
+  ]
+};
+
+export const SORT_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'artist', label: 'Artist' },
+  { name: 'album', label: 'Album' },
+  { name: 'year', label: 'Year' },
+  { name: 'duration', label: 'Duration' },
+  { name: 'playCount', label: 'Play count' },
+  { name: 'lastPlayed', label: 'Last played' },
+  { name: 'createdAt', label: 'Date added' },
+  { name: 'random', label: 'Random' }
+];
+
+const FIELDS_BY_NAME = Object.fromEntries(SMART_FIELDS.map(field => [field.name, field]));
+
+export const getSmartField = (name) => FIELDS_BY_NAME[name] || SMART_FIELDS[0];
+
+export const getOperators = (fieldName) => SMART_OPERATORS[getSmartField(fieldName).type];
+
+export const getOperator = (fieldName, operatorName) => {
+  const operators = getOperators(fieldName);
+  return operators.find(operator => operator.name === operatorName) || operators[0];
+};
+
+export const createRule = (field = 'artist') => ({
+  type: 'rule',
+  field,
+  operator: getOperators(field)[0].name,
+  value: ''
+});
+
+export const createGroup = (match = 'all') => ({ type: 'group', match, rules: [createRule()] });
+
+export const DEFAULT_SMART = {
+  rules: createGroup(),
+  sort: { field: 'title', direction: 'asc' },
+  limit: null
+};
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+const toTime = (value) => {
+  if (isEmptyValue(value)) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+const testRule = (rule, track, now) => {
+  const field = getSmartField(rule.field);
+  const operator = getOperator(rule.field, rule.operator);
+  const actual = field.get(track);
+
+  if (operator.name === 'isEmpty') return isEmptyValue(actual);
+
+  switch (field.type) {
+    case 'text': {
+      const text = (actual || '').toString().toLowerCase();
+      const expected = (rule.value || '').toString().trim().toLowerCase();
+      switch (operator.name) {
+        case 'is': return text === expected;
+        case 'isNot': return text !== expected;
+        case 'contains': return text.includes(expected);
+        case 'notContains': return !text.includes(expected);
+        case 'startsWith': return text.startsWith(expected);
+        default: return false;
+      }
+    }
+    case 'number': {
+      const expected = Number(rule.value) * (field.scale || 1);
+      if (isEmptyValue(actual) || isEmptyValue(rule.value) || isNaN(expected)) return false;
+      const number = Number(actual);
+      switch (operator.name) {
+        case 'eq': return field.scale ? Math.abs(number - expected) < field.scale / 2 : number === expected;
+        case 'neq': return field.scale ? Math.abs(number - expected) >= field.scale / 2 : number !== expected;
+        case 'gt': return number > expected;
+        case 'lt': return number < expected;
+        default: return false;
+      }
+    }
+    case 'date': {
+      const time = toTime(actual);
+      if (operator.input === 'number') {
+        const days = Number(rule.value);
+        if (isEmptyValue(rule.value) || isNaN(days)) return false;
+        const inLast = time !== null && time >= now - days * DAY;
+        return operator.name === 'inLast' ? inLast : !inLast;
+      }
+      const expected = toTime(rule.value);
+      if (time === null || expected === null) return false;
+      // Dates from the picker mean the whole day
+      return operator.name === 'after' ? time >= expected + DAY : time < expected;
+    }
+    default:
+      return false;
+  }
+};
+
+// Does `track` satisfy a rule or group? Empty groups match everything.
+export const matchesRules = (node, track, now = Date.now()) => {
+  if (node.type === 'group') {
+    if (!node.rules?.length) return true;
+    return node.match === 'any'
+      ? node.rules.some(child => matchesRules(child, track, now))
+      : node.rules.every(child => matchesRules(child, track, now));
+  }
+  return testRule(node, track, now);
+};
+
+const sortValue = (track, field) => {
+  switch (field) {
+    case 'createdAt': return toTime(track.uploadDate);
+    case 'lastPlayed': return toTime(track.lastPlayed);
+    case 'year': return track.metadata?.year ?? null;
+    case 'playCount': return track.playCount || 0;
+    default: return track[field] ?? null;
+  }
+};
+
+const compareValues = (a, b) => {
+  // Missing values sort last in either direction
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === 'string' || typeof b === 'string') {
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+  }
+  return a - b;
+};
+
+// Deterministic shuffle (mulberry32), so a random order stays put
+// between renders
+const seededShuffle = (list, seedText) => {
+  let seed = [...String(seedText)].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+  const random = () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// The library tracks a smart playlist currently holds. `seed` fixes the
+// order of a random sort.
+export const evaluateSmartPlaylist = (smart, tracks, { now = Date.now(), seed = '' } = {}) => {
+  const matched = tracks.filter(track => matchesRules(smart.rules, track, now));
+  const { field = 'title', direction = 'asc' } = smart.sort || {};
+
+  let sorted;
+  if (field === 'random') {
+    sorted = seededShuffle(matched, seed);
+  } else {
+    sorted = [...matched].sort((a, b) => {
+      const first = sortValue(a, field);
+      const second = sortValue(b, field);
+      if (first === null || second === null) return compareValues(first, second);
+      return direction === 'desc' ? compareValues(second, first) : compareValues(first, second);
+    });
+  }
+
+  return smart.limit > 0 ? sorted.slice(0, smart.limit) : sorted;
+};
@@ -0,0 +1,54 @@
+// Conversions between Blobs and data URLs, for backends that can only
+// hold strings and for reading the legacy base64 library
+
+// Split a data URL into its MIME type and payload
+const parseDataUrl = (dataUrl) => {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(dataUrl || '');
+  if (!match) {
+    throw new Error('Invalid data URL');
+  }
+
+  return {
+    mimeType: match[1] || 'application/octet-stream',
+    isBase64: /;base64/i.test(match[2]),
+    payload: match[3]
+  };
+};
+
+// Number of bytes a data URL decodes to, without decoding it
+export const dataUrlByteLength = (dataUrl) => {
+  const { isBase64, payload } = parseDataUrl(dataUrl);
+  if (!isBase64) {
+    return new TextEncoder().encode(decodeURIComponent(payload)).length;
+  }
+
+  const clean = payload.replace(/\s/g, '');
+  const padding = clean.endsWith('==') ? 2 : clean.endsWith('=') ? 1 : 0;
+  return Math.floor((clean.length * 3) / 4) - padding;
+};
+
+// Decode a data URL back into a Blob
+export const dataUrlToBlob = (dataUrl) => {
+  const { mimeType, isBase64, payload } = parseDataUrl(dataUrl);
+
+  if (!isBase64) {
+    return new Blob([decodeURIComponent(payload)], { type: mimeType });
+  }
+
+  const binary = atob(payload.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+};
+
+// Encode a Blob as a base64 data URL
+export const blobToDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.readAsDataURL(blob);
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+  });
+};
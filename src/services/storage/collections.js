@@ -0,0 +1,78 @@
+// Collection names, declared indexes and the in-memory query evaluator
+// shared by every storage backend
+export const COLLECTIONS = {
+  TRACKS: 'tracks',
+  SETTINGS: 'settings',
+  PLAYLISTS: 'playlists'
+};
+
+// Index name -> dotted path into the stored value
+export const COLLECTION_INDEXES = {
+  [COLLECTIONS.TRACKS]: {
+    name: 'metadata.name',
+    createdAt: 'createdAt',
+    lastPlayed: 'lastPlayed',
+    hash: 'hash',
+    blobId: 'blobId'
+  },
+  [COLLECTIONS.SETTINGS]: {},
+  [COLLECTIONS.PLAYLISTS]: {
+    name: 'name',
+    updatedAt: 'updatedAt'
+  }
+};
+
+// Read a dotted path such as 'metadata.name'
+export const getValueAtPath = (value, path) => {
+  return path.split('.').reduce((current, part) => (current == null ? undefined : current[part]), value);
+};
+
+const compareKeys = (a, b) => {
+  if (a === b) return 0;
+  if (typeof a === typeof b) return a < b ? -1 : 1;
+  // IndexedDB orders numbers before strings
+  return typeof a === 'number' ? -1 : 1;
+};
+
+const isValidKey = (key) => typeof key === 'number' || typeof key === 'string' || key instanceof Date;
+
+// In-memory equivalent of an IndexedDB index query
+export const applyQuery = (collection, values, { index, equals, lower, upper, direction = 'next', limit } = {}) => {
+  let results = values;
+
+  if (index) {
+    const path = COLLECTION_INDEXES[collection]?.[index];
+    if (!path) {
+      throw new Error(`Unknown index "${index}" on ${collection}`);
+    }
+
+    results = values
+      .map(value => ({ key: getValueAtPath(value, path), value }))
+      .filter(({ key }) => isValidKey(key))
+      .filter(({ key }) => equals === undefined || compareKeys(key, equals) === 0)
+      .filter(({ key }) => lower === undefined || compareKeys(key, lower) >= 0)
+      .filter(({ key }) => upper === undefined || compareKeys(key, upper) <= 0)
+      .sort((a, b) => compareKeys(a.key, b.key))
+      .map(({ value }) => value);
+  }
+
+  if (direction === 'prev') {
+    results = [...results].reverse();
+  }
+
+  return limit ? results.slice(0, limit) : results;
+};
+
+// update() for backends without transactions: one record at a time
+export const applyUpdates = async (adapter, collection, keys, updater) => {
+  let updated = 0;
+  for (const key of keys) {
+    const existing = await adapter.get(collection, key);
+    const next = existing ? updater(existing) : null;
+    if (next) {
+      await adapter.put(collection, key, next);
+      updated++;
+    }
+  }
+  return updated;
+};
@@ -0,0 +1,235 @@
+// IndexedDB backend: one object store per collection plus a store for
+// audio blobs. Declared indexes become native IndexedDB indexes.
+import { COLLECTIONS, COLLECTION_INDEXES } from './collections';
+
+const DB_NAME = 'player_library';
+const DB_VERSION = 5;
+const BLOB_STORE = 'audio_blobs';
+
+let databasePromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Resolve once a transaction has committed
+const transactionDone = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+// Create object stores and indexes for a fresh or outdated database.
+// Tracks keep their in-line `id` key from the first schema version;
+// collections added later use out-of-line keys.
+const upgradeDatabase = (db, transaction) => {
+  Object.values(COLLECTIONS).forEach(name => {
+    const store = db.objectStoreNames.contains(name)
+      ? transaction.objectStore(name)
+      : db.createObjectStore(name, name === COLLECTIONS.TRACKS ? { keyPath: 'id' } : undefined);
+
+    Object.entries(COLLECTION_INDEXES[name] || {}).forEach(([index, path]) => {
+      if (!store.indexNames.contains(index)) {
+        store.createIndex(index, path);
+      }
+    });
+  });
+
+  if (!db.objectStoreNames.contains(BLOB_STORE)) {
+    db.createObjectStore(BLOB_STORE, { keyPath: 'id' });
+  }
+};
+
+// Check if IndexedDB exists in this environment
+const isIndexedDbAvailable = () => {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+};
+
+// Open (and lazily upgrade) the library database
+const openDatabase = () => {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => upgradeDatabase(request.result, request.transaction);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let other tabs upgrade the schema instead of blocking them
+        db.onversionchange = () => {
+          db.close();
+          databasePromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+      request.onblocked = () => {
+        console.warn('Library database upgrade is blocked by another open tab');
+      };
+    });
+  }
+
+  return databasePromise;
+};
+
+// Run work inside a single transaction and wait for it to commit.
+// The callback receives the object stores keyed by name and may return
+// a request (or array of requests) whose results are resolved.
+const runTransaction = async (storeNames, mode, callback) => {
+  const db = await openDatabase();
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+  const transaction = db.transaction(names, mode);
+  const stores = Object.fromEntries(names.map(name => [name, transaction.objectStore(name)]));
+
+  const done = transactionDone(transaction);
+  let pending;
+  try {
+    pending = callback(stores, transaction);
+  } catch (error) {
+    transaction.abort();
+    await done.catch(() => {});
+    throw error;
+  }
+
+  const result = Array.isArray(pending)
+    ? Promise.all(pending.map(item => (item instanceof IDBRequest ? promisifyRequest(item) : item)))
+    : pending instanceof IDBRequest ? promisifyRequest(pending) : Promise.resolve(pending);
+
+  const [value] = await Promise.all([result, done]);
+  return value;
+};
+
+// Collections created after the first schema use out-of-line keys
+const putArgs = (store, key, value) => (store.keyPath ? [value] : [value, key]);
+
+export const createIndexedDbAdapter = () => ({
+  name: 'indexeddb',
+
+  isSupported: isIndexedDbAvailable,
+
+  async init() {
+    await openDatabase();
+  },
+
+  async get(collection, key) {
+    const value = await runTransaction(collection, 'readonly', stores => stores[collection].get(key));
+    return value ?? null;
+  },
+
+  put(collection, key, value) {
+    return runTransaction(collection, 'readwrite', stores => {
+      const store = stores[collection];
+      return store.put(...putArgs(store, key, value));
+    });
+  },
+
+  // Reads and writes share one transaction, so a failure leaves every
+  // record untouched
+  update(collection, keys, updater) {
+    return runTransaction(collection, 'readwrite', stores => {
+      const store = stores[collection];
+      return new Promise((resolve, reject) => {
+        let remaining = keys.length;
+        let updated = 0;
+        if (remaining === 0) resolve(0);
+
+        keys.forEach(key => {
+          const request = store.get(key);
+          request.onsuccess = () => {
+            const next = request.result ? updater(request.result) : null;
+            if (next) {
+              store.put(...putArgs(store, key, next));
+              updated++;
+            }
+            if (--remaining === 0) resolve(updated);
+          };
+          request.onerror = () => reject(request.error);
+        });
+      });
+    });
+  },
+
+  delete(collection, key) {
+    return runTransaction(collection, 'readwrite', stores => stores[collection].delete(key));
+  },
+
+  list(collection) {
+    return runTransaction(collection, 'readonly', stores => stores[collection].getAll());
+  },
+
+  query(collection, { index, equals, lower, upper, direction = 'next', limit } = {}) {
+    return runTransaction(collection, 'readonly', stores => {
+      const source = index ? stores[collection].index(index) : stores[collection];
+      let range = null;
+      if (equals !== undefined) {
+        range = IDBKeyRange.only(equals);
+      } else if (lower !== undefined && upper !== undefined) {
+        range = IDBKeyRange.bound(lower, upper);
+      } else if (lower !== undefined) {
+        range = IDBKeyRange.lowerBound(lower);
+      } else if (upper !== undefined) {
+        range = IDBKeyRange.upperBound(upper);
+      }
+
+      if (direction === 'next') {
+        return source.getAll(range, limit || undefined);
+      }
+
+      // getAll() only walks forwards, so use a cursor for descending order
+      return new Promise((resolve, reject) => {
+        const results = [];
+        const request = source.openCursor(range, direction);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || (limit && results.length >= limit)) {
+            resolve(results);
+            return;
+          }
+          results.push(cursor.value);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    });
+  },
+
+  async readBlob(key) {
+    const entry = await runTransaction(BLOB_STORE, 'readonly', stores => stores[BLOB_STORE].get(key));
+    return entry ? entry.blob : null;
+  },
+
+  writeBlob(key, blob) {
+    return runTransaction(BLOB_STORE, 'readwrite', stores => stores[BLOB_STORE].put({ id: key, blob }));
+  },
+
+  deleteBlob(key) {
+    return runTransaction(BLOB_STORE, 'readwrite', stores => stores[BLOB_STORE].delete(key));
+  },
+
+  async getUsage() {
+    const entries = await runTransaction(BLOB_STORE, 'readonly', stores => stores[BLOB_STORE].getAll());
+    const used = entries.reduce((total, entry) => total + (entry.blob?.size || 0), 0);
+    return { used, total: null };
+  },
+
+  clear() {
+    const names = [...Object.values(COLLECTIONS), BLOB_STORE];
+    return runTransaction(names, 'readwrite', stores => names.map(name => stores[name].clear()));
+  }
+});
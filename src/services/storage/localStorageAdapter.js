@@ -0,0 +1,95 @@
+// localStorage backend. Records are JSON strings and blobs are stored
+// as base64 data URLs, so capacity is limited to a few megabytes.
+import { applyQuery, applyUpdates } from './collections';
+import { blobToDataUrl, dataUrlToBlob } from './blobEncoding';
+
+const RECORD_PREFIX = 'player_store:';
+const BLOB_PREFIX = 'player_blob:';
+
+// Rough estimate of localStorage limit (usually 5-10MB)
+const ESTIMATED_CAPACITY = 10 * 1024 * 1024;
+
+const recordKey = (collection, key) => `${RECORD_PREFIX}${collection}:${key}`;
+const blobKey = (key) => `${BLOB_PREFIX}${key}`;
+
+// All localStorage keys starting with a prefix, sorted
+const keysWithPrefix = (prefix) => {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(prefix)) {
+      keys.push(key);
+    }
+  }
+  return keys.sort();
+};
+
+export const createLocalStorageAdapter = () => ({
+  name: 'localstorage',
+
+  isSupported() {
+    try {
+      const test = '__storage_test__';
+      localStorage.setItem(test, test);
+      localStorage.removeItem(test);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  async init() {},
+
+  async get(collection, key) {
+    const stored = localStorage.getItem(recordKey(collection, key));
+    return stored ? JSON.parse(stored) : null;
+  },
+
+  async put(collection, key, value) {
+    localStorage.setItem(recordKey(collection, key), JSON.stringify(value));
+  },
+
+  update(collection, keys, updater) {
+    return applyUpdates(this, collection, keys, updater);
+  },
+
+  async delete(collection, key) {
+    localStorage.removeItem(recordKey(collection, key));
+  },
+
+  async list(collection) {
+    return keysWithPrefix(`${RECORD_PREFIX}${collection}:`)
+      .map(key => JSON.parse(localStorage.getItem(key)));
+  },
+
+  async query(collection, options) {
+    return applyQuery(collection, await this.list(collection), options);
+  },
+
+  async readBlob(key) {
+    const stored = localStorage.getItem(blobKey(key));
+    return stored ? dataUrlToBlob(stored) : null;
+  },
+
+  async writeBlob(key, blob) {
+    localStorage.setItem(blobKey(key), await blobToDataUrl(blob));
+  },
+
+  async deleteBlob(key) {
+    localStorage.removeItem(blobKey(key));
+  },
+
+  async getUsage() {
+    let used = 0;
+    [...keysWithPrefix(RECORD_PREFIX), ...keysWithPrefix(BLOB_PREFIX)].forEach(key => {
+      used += key.length + localStorage.getItem(key).length;
+    });
+    return { used, total: ESTIMATED_CAPACITY };
+  },
+
+  async clear() {
+    [...keysWithPrefix(RECORD_PREFIX), ...keysWithPrefix(BLOB_PREFIX)].forEach(key => {
+      localStorage.removeItem(key);
+    });
+  }
+});
@@ -0,0 +1,82 @@
+// In-memory storage backend. Nothing survives a reload; used as the
+// last-resort fallback and when running outside the browser.
+import { applyQuery, applyUpdates } from './collections';
+
+const sortedValues = (map) => {
+  return [...map.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, value]) => value);
+};
+
+// Stored values are cloned so callers can't mutate them in place
+const clone = (value) => (value === undefined || value === null ? null : structuredClone(value));
+
+export const createMemoryAdapter = () => {
+  const collections = new Map();
+  const blobs = new Map();
+
+  const getCollection = (collection) => {
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map());
+    }
+    return collections.get(collection);
+  };
+
+  return {
+    name: 'memory',
+
+    isSupported: () => true,
+
+    async init() {},
+
+    async get(collection, key) {
+      return clone(getCollection(collection).get(key));
+    },
+
+    async put(collection, key, value) {
+      getCollection(collection).set(key, clone(value));
+    },
+
+    update(collection, keys, updater) {
+      return applyUpdates(this, collection, keys, updater);
+    },
+
+    async delete(collection, key) {
+      getCollection(collection).delete(key);
+    },
+
+    async list(collection) {
+      return sortedValues(getCollection(collection)).map(clone);
+    },
+
+    async query(collection, options) {
+      return applyQuery(collection, await this.list(collection), options);
+    },
+
+    async readBlob(key) {
+      return blobs.get(key) || null;
+    },
+
+    async writeBlob(key, blob) {
+      blobs.set(key, blob);
+    },
+
+    async deleteBlob(key) {
+      blobs.delete(key);
+    },
+
+    async getUsage() {
+      let used = 0;
+      blobs.forEach(blob => { used += blob.size; });
+      collections.forEach(map => {
+        map.forEach(value => { used += JSON.stringify(value).length; });
+      });
+      return { used, total: null };
+    },
+
+    async clear() {
+      collections.clear();
+      blobs.clear();
+    }
+  };
+};
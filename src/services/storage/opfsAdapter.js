@@ -0,0 +1,124 @@
+// Origin Private File System backend. Each record is a JSON file under
+// collections/<collection>/ and each blob a file under blobs/.
+import { applyQuery, applyUpdates } from './collections';
+
+const ROOT_DIRECTORY = 'player_library';
+
+// File names can't contain path separators, so keys are URI-encoded
+const fileNameForKey = (key) => encodeURIComponent(String(key));
+
+const isNotFound = (error) => error?.name === 'NotFoundError';
+
+export const createOpfsAdapter = () => {
+  let root = null;
+
+  const getDirectory = async (...path) => {
+    let directory = root;
+    for (const name of path) {
+      directory = await directory.getDirectoryHandle(name, { create: true });
+    }
+    return directory;
+  };
+
+  const writeFile = async (directory, name, contents) => {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(contents);
+    await writable.close();
+  };
+
+  const readFile = async (directory, name) => {
+    try {
+      const handle = await directory.getFileHandle(name);
+      return await handle.getFile();
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const removeFile = async (directory, name) => {
+    try {
+      await directory.removeEntry(name);
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+  };
+
+  const listFiles = async (directory) => {
+    const files = [];
+    for await (const [name, handle] of directory.entries()) {
+      if (handle.kind === 'file') {
+        files.push({ name, file: await handle.getFile() });
+      }
+    }
+    return files.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  };
+
+  return {
+    name: 'opfs',
+
+    isSupported() {
+      return typeof navigator !== 'undefined' &&
+        typeof navigator.storage?.getDirectory === 'function' &&
+        typeof FileSystemFileHandle !== 'undefined' &&
+        'createWritable' in FileSystemFileHandle.prototype;
+    },
+
+    async init() {
+      const storageRoot = await navigator.storage.getDirectory();
+      root = await storageRoot.getDirectoryHandle(ROOT_DIRECTORY, { create: true });
+    },
+
+    async get(collection, key) {
+      const file = await readFile(await getDirectory('collections', collection), fileNameForKey(key));
+      return file ? JSON.parse(await file.text()) : null;
+    },
+
+    async put(collection, key, value) {
+      await writeFile(await getDirectory('collections', collection), fileNameForKey(key), JSON.stringify(value));
+    },
+
+    update(collection, keys, updater) {
+      return applyUpdates(this, collection, keys, updater);
+    },
+
+    async delete(collection, key) {
+      await removeFile(await getDirectory('collections', collection), fileNameForKey(key));
+    },
+
+    async list(collection) {
+      const files = await listFiles(await getDirectory('collections', collection));
+      return Promise.all(files.map(async ({ file }) => JSON.parse(await file.text())));
+    },
+
+    async query(collection, options) {
+      return applyQuery(collection, await this.list(collection), options);
+    },
+
+    async readBlob(key) {
+      return readFile(await getDirectory('blobs'), fileNameForKey(key));
+    },
+
+    async writeBlob(key, blob) {
+      await writeFile(await getDirectory('blobs'), fileNameForKey(key), blob);
+    },
+
+    async deleteBlob(key) {
+      await removeFile(await getDirectory('blobs'), fileNameForKey(key));
+    },
+
+    async getUsage() {
+      const blobs = await listFiles(await getDirectory('blobs'));
+      return { used: blobs.reduce((total, { file }) => total + file.size, 0), total: null };
+    },
+
+    async clear() {
+      for (const name of ['collections', 'blobs']) {
+        await root.removeEntry(name, { recursive: true }).catch(error => {
+          if (!isNotFound(error)) throw error;
+        });
+      }
+    }
+  };
+};
@@ -0,0 +1,101 @@
+// Storage adapter contract and backend selection.
+//
+// Every backend implements the same async interface:
+//
+//   name                         backend identifier ('indexeddb', 'opfs', ...)
+//   isSupported()                sync check that the backend can run here
+//   init()                       open handles, create schema
+//   get(collection, key)         value or null
+//   put(collection, key, value)  insert or replace
+//   update(collection, keys, fn) rewrite several records; fn(value) returns the
+//                                new value or null to skip it. Atomic where the
+//                                backend has transactions. Resolves to the count
+//   delete(collection, key)
+//   list(collection)             all values in key order
+//   query(collection, options)   { index, equals, lower, upper, direction, limit }
+//   readBlob(key)                Blob or null
+//   writeBlob(key, blob)
+//   deleteBlob(key)
+//   getUsage()                   { used, total } in bytes (total may be null)
+//   clear()                      drop every record and blob
+//
+// Indexes are declared once in collections.js; backends without native indexes
+// evaluate queries in memory with applyQuery().
+import { createMemoryAdapter } from './memoryAdapter';
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createIndexedDbAdapter } from './indexedDbAdapter';
+import { createOpfsAdapter } from './opfsAdapter';
+
+export { COLLECTIONS, COLLECTION_INDEXES } from './collections';
+
+// Preferred order when nothing is configured
+const BACKEND_PRIORITY = ['indexeddb', 'opfs', 'localstorage', 'memory'];
+
+const ADAPTER_FACTORIES = {
+  indexeddb: createIndexedDbAdapter,
+  opfs: createOpfsAdapter,
+  localstorage: createLocalStorageAdapter,
+  memory: createMemoryAdapter
+};
+
+let activeAdapter = null;
+let initPromise = null;
+
+// Build an adapter for a backend name
+export const createStorageAdapter = (name) => {
+  const factory = ADAPTER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}"`);
+  }
+  return factory();
+};
+
+// Pick the first supported backend, starting with the preferred one
+const selectAdapter = async (preferred) => {
+  const candidates = preferred
+    ? [preferred, ...BACKEND_PRIORITY.filter(name => name !== preferred)]
+    : BACKEND_PRIORITY;
+
+  for (const name of candidates) {
+    const adapter = createStorageAdapter(name);
+    if (!adapter.isSupported()) continue;
+
+    try {
+      await adapter.init();
+      return adapter;
+    } catch (error) {
+      console.warn(`Storage backend "${name}" failed to initialize:`, error);
+    }
+  }
+
+  throw new Error('No storage backend is available');
+};
+
+// Choose and open the storage backend. Called once on app start;
+// `preferred` (or VITE_STORAGE_BACKEND) overrides the default order.
+export const initializeStorage = (preferred = import.meta.env?.VITE_STORAGE_BACKEND) => {
+  if (!initPromise) {
+    initPromise = selectAdapter(preferred)
+      .then(adapter => {
+        activeAdapter = adapter;
+        return adapter;
+      })
+      .catch(error => {
+        initPromise = null;
+        throw error;
+      });
+  }
+  return initPromise;
+};
+
+// Use a specific adapter instance (tests, Node scripts)
+export const setStorageAdapter = (adapter) => {
+  activeAdapter = adapter;
+  initPromise = Promise.resolve(adapter);
+  return adapter;
+};
+
+// Resolve the active adapter, initializing with defaults if needed
+export const getStorageAdapter = () => {
+  return activeAdapter ? Promise.resolve(activeAdapter) : initializeStorage();
+};